@@ -7,6 +7,17 @@
 
 require('dotenv').config();
 
+const { estimateTokensFromChars } = require('../services/tokenizer');
+
+// Contexto máximo (en tokens) de los modelos de embeddings más usados en Ollama
+const EMBED_MODEL_CONTEXT_TOKENS = {
+  'nomic-embed-text': 2048,
+  'mxbai-embed-large': 512,
+  'all-minilm': 256,
+  'snowflake-arctic-embed': 512,
+  'bge-m3': 8192
+};
+
 /**
  * Parsea un valor booleano de string
  * @param {string} value - Valor a parsear
@@ -51,6 +62,17 @@ function parseArray(value, defaultValue = []) {
   return value.split(',').map(v => v.trim()).filter(v => v.length > 0);
 }
 
+/**
+ * Contexto en tokens del modelo de embeddings (ignora el tag, p. ej. ":latest")
+ * @param {string} model - Nombre del modelo
+ * @param {number} defaultValue - Valor si el modelo no es conocido
+ * @returns {number}
+ */
+function getEmbedContextTokens(model, defaultValue = 2048) {
+  const baseName = (model || '').split(':')[0];
+  return EMBED_MODEL_CONTEXT_TOKENS[baseName] || defaultValue;
+}
+
 // ============= CONFIGURACIÓN =============
 
 const config = {
@@ -66,8 +88,16 @@ const config = {
   ollama: {
     baseURL: process.env.OLLAMA_BASE_URL || 'http://localhost:11434',
     embedModel: process.env.OLLAMA_EMBED_MODEL || 'nomic-embed-text',
+    embedContextTokens: parseNumber(
+      process.env.OLLAMA_EMBED_CONTEXT_TOKENS,
+      getEmbedContextTokens(process.env.OLLAMA_EMBED_MODEL || 'nomic-embed-text')
+    ),
     llmModel: process.env.OLLAMA_LLM_MODEL || 'mistral',
     timeout: parseNumber(process.env.OLLAMA_TIMEOUT, 120000),
+    embedBatchSize: parseNumber(process.env.OLLAMA_EMBED_BATCH_SIZE, 16),
+    embedConcurrency: parseNumber(process.env.OLLAMA_EMBED_CONCURRENCY, 2),
+    embedRetries: parseNumber(process.env.OLLAMA_EMBED_RETRIES, 3),
+    embedRetryDelay: parseNumber(process.env.OLLAMA_EMBED_RETRY_DELAY_MS, 1000),
     temperature: parseFloatValue(process.env.OLLAMA_TEMPERATURE, 0.1),
     topP: parseFloatValue(process.env.OLLAMA_TOP_P, 0.9),
     topK: parseNumber(process.env.OLLAMA_TOP_K, 40)
@@ -77,9 +107,43 @@ const config = {
   rag: {
     chunkSize: parseNumber(process.env.RAG_CHUNK_SIZE, 500),
     chunkOverlap: parseNumber(process.env.RAG_CHUNK_OVERLAP, 1),
+    chunkStrategy: (process.env.RAG_CHUNK_STRATEGY || 'semantic').toLowerCase(),
+    chunkUnit: (process.env.RAG_CHUNK_UNIT || 'chars').toLowerCase(),
+    language: (process.env.RAG_LANGUAGE || 'auto').toLowerCase(),
     topK: parseNumber(process.env.RAG_TOP_K, 3),
     similarityThreshold: parseFloatValue(process.env.RAG_SIMILARITY_THRESHOLD, 0.3),
-    strictMode: parseBoolean(process.env.RAG_STRICT_MODE, true)
+    strictMode: parseBoolean(process.env.RAG_STRICT_MODE, true),
+    searchMode: (process.env.RAG_SEARCH_MODE || 'ann').toLowerCase(),
+    hybrid: {
+      enabled: parseBoolean(process.env.RAG_HYBRID_SEARCH, true),
+      vectorWeight: parseFloatValue(process.env.RAG_HYBRID_VECTOR_WEIGHT, 1.0),
+      keywordWeight: parseFloatValue(process.env.RAG_HYBRID_KEYWORD_WEIGHT, 1.0),
+      rrfK: parseNumber(process.env.RAG_HYBRID_RRF_K, 60),
+      candidates: parseNumber(process.env.RAG_HYBRID_CANDIDATES, 20)
+    },
+    contextExpansion: {
+      window: parseNumber(process.env.RAG_CONTEXT_WINDOW, 0),
+      maxChars: parseNumber(process.env.RAG_CONTEXT_MAX_CHARS, 4000)
+    },
+    boilerplate: {
+      enabled: parseBoolean(process.env.RAG_BOILERPLATE_REMOVAL, true),
+      minPageRatio: parseFloatValue(process.env.RAG_BOILERPLATE_PAGE_RATIO, 0.5)
+    },
+    mmr: {
+      enabled: parseBoolean(process.env.RAG_MMR_ENABLED, false),
+      lambda: parseFloatValue(process.env.RAG_MMR_LAMBDA, 0.7),
+      candidates: parseNumber(process.env.RAG_MMR_CANDIDATES, 20)
+    },
+    conversation: {
+      historyTurns: parseNumber(process.env.RAG_CONVERSATION_TURNS, 4),
+      rewriteQuery: parseBoolean(process.env.RAG_CONVERSATION_REWRITE, true),
+      summaryMaxChars: parseNumber(process.env.RAG_CONVERSATION_SUMMARY_MAX_CHARS, 1500)
+    },
+    hnsw: {
+      m: parseNumber(process.env.RAG_HNSW_M, 16),
+      efConstruction: parseNumber(process.env.RAG_HNSW_EF_CONSTRUCTION, 100),
+      efSearch: parseNumber(process.env.RAG_HNSW_EF_SEARCH, 64)
+    }
   },
 
   // Rutas
@@ -88,6 +152,12 @@ const config = {
     data: process.env.DATA_DIR || './data'
   },
 
+  // Importación masiva desde la API (ZIP o varios archivos por request)
+  bulkImport: {
+    maxFiles: parseNumber(process.env.BULK_IMPORT_MAX_FILES, 500),
+    maxBytes: parseNumber(process.env.BULK_IMPORT_MAX_MB, 500) * 1024 * 1024
+  },
+
   // Seguridad
   security: {
     rateLimit: {
@@ -118,14 +188,29 @@ function validateConfig() {
   }
 
   // Validar RAG
-  if (config.rag.chunkSize < 100) {
-    errors.push(`RAG_CHUNK_SIZE muy pequeño: ${config.rag.chunkSize}. Mínimo: 100`);
+  if (!['chars', 'tokens'].includes(config.rag.chunkUnit)) {
+    errors.push(`RAG_CHUNK_UNIT inválido: ${config.rag.chunkUnit}. Valores permitidos: chars, tokens`);
+  }
+
+  // En tokens los límites equivalen a los de caracteres (~3 caracteres por token)
+  const inTokens = config.rag.chunkUnit === 'tokens';
+  const minChunkSize = inTokens ? estimateTokensFromChars(100) : 100;
+  const largeChunkSize = inTokens ? estimateTokensFromChars(2000) : 2000;
+
+  if (config.rag.chunkSize < minChunkSize) {
+    errors.push(`RAG_CHUNK_SIZE muy pequeño: ${config.rag.chunkSize}. Mínimo: ${minChunkSize}`);
   }
 
-  if (config.rag.chunkSize > 2000) {
+  if (config.rag.chunkSize > largeChunkSize) {
     console.warn(`⚠️  RAG_CHUNK_SIZE grande: ${config.rag.chunkSize}. Puede afectar performance.`);
   }
 
+  // Un chunk más largo que el contexto del modelo de embeddings se trunca sin aviso
+  const chunkTokens = inTokens ? config.rag.chunkSize : estimateTokensFromChars(config.rag.chunkSize);
+  if (chunkTokens > config.ollama.embedContextTokens) {
+    console.warn(`⚠️  RAG_CHUNK_SIZE (${config.rag.chunkSize} ${inTokens ? 'tokens' : `caracteres, ~${chunkTokens} tokens`}) supera el contexto de ${config.ollama.embedModel} (${config.ollama.embedContextTokens} tokens). Los chunks se truncarán al generar embeddings.`);
+  }
+
   if (config.rag.topK < 1) {
     errors.push(`RAG_TOP_K inválido: ${config.rag.topK}. Debe ser >= 1`);
   }
@@ -138,11 +223,79 @@ function validateConfig() {
     errors.push(`RAG_SIMILARITY_THRESHOLD inválido: ${config.rag.similarityThreshold}. Debe estar entre 0-1`);
   }
 
+  if (!['semantic', 'structure', 'fixed'].includes(config.rag.chunkStrategy)) {
+    errors.push(`RAG_CHUNK_STRATEGY inválido: ${config.rag.chunkStrategy}. Valores permitidos: semantic, structure, fixed`);
+  }
+
+  if (!['auto', 'es', 'en'].includes(config.rag.language)) {
+    errors.push(`RAG_LANGUAGE inválido: ${config.rag.language}. Valores permitidos: auto, es, en`);
+  }
+
+  if (!['ann', 'exact'].includes(config.rag.searchMode)) {
+    errors.push(`RAG_SEARCH_MODE inválido: ${config.rag.searchMode}. Valores permitidos: ann, exact`);
+  }
+
+  if (config.rag.hybrid.vectorWeight < 0 || config.rag.hybrid.keywordWeight < 0) {
+    errors.push('RAG_HYBRID_VECTOR_WEIGHT y RAG_HYBRID_KEYWORD_WEIGHT deben ser >= 0');
+  }
+
+  if (config.rag.hybrid.enabled && config.rag.hybrid.vectorWeight + config.rag.hybrid.keywordWeight === 0) {
+    errors.push('Búsqueda híbrida activada con ambos pesos en 0');
+  }
+
+  if (config.rag.hybrid.rrfK < 1) {
+    errors.push(`RAG_HYBRID_RRF_K inválido: ${config.rag.hybrid.rrfK}. Debe ser >= 1`);
+  }
+
+  if (config.rag.contextExpansion.window < 0 || config.rag.contextExpansion.window > 5) {
+    errors.push(`RAG_CONTEXT_WINDOW inválido: ${config.rag.contextExpansion.window}. Debe estar entre 0 y 5`);
+  }
+
+  if (config.rag.boilerplate.minPageRatio <= 0 || config.rag.boilerplate.minPageRatio > 1) {
+    errors.push(`RAG_BOILERPLATE_PAGE_RATIO inválido: ${config.rag.boilerplate.minPageRatio}. Debe ser mayor que 0 y como máximo 1`);
+  }
+
+  if (config.rag.mmr.lambda < 0 || config.rag.mmr.lambda > 1) {
+    errors.push(`RAG_MMR_LAMBDA inválido: ${config.rag.mmr.lambda}. Debe estar entre 0 y 1`);
+  }
+
+  if (config.rag.conversation.historyTurns < 0 || config.rag.conversation.historyTurns > 20) {
+    errors.push(`RAG_CONVERSATION_TURNS inválido: ${config.rag.conversation.historyTurns}. Debe estar entre 0 y 20`);
+  }
+
+  if (config.rag.hnsw.m < 2) {
+    errors.push(`RAG_HNSW_M inválido: ${config.rag.hnsw.m}. Debe ser >= 2`);
+  }
+
+  if (config.rag.hnsw.efSearch < config.rag.topK) {
+    console.warn(`⚠️  RAG_HNSW_EF_SEARCH (${config.rag.hnsw.efSearch}) menor que RAG_TOP_K. Se usará TOP_K como mínimo.`);
+  }
+
+  if (config.bulkImport.maxFiles < 1 || config.bulkImport.maxBytes < 1) {
+    errors.push('BULK_IMPORT_MAX_FILES y BULK_IMPORT_MAX_MB deben ser >= 1');
+  }
+
   // Validar timeout
   if (config.ollama.timeout < 1000) {
     console.warn(`⚠️  OLLAMA_TIMEOUT muy bajo: ${config.ollama.timeout}ms. Recomendado: >= 10000ms`);
   }
 
+  if (config.ollama.embedBatchSize < 1) {
+    errors.push(`OLLAMA_EMBED_BATCH_SIZE inválido: ${config.ollama.embedBatchSize}. Debe ser >= 1`);
+  }
+
+  if (config.ollama.embedConcurrency < 1) {
+    errors.push(`OLLAMA_EMBED_CONCURRENCY inválido: ${config.ollama.embedConcurrency}. Debe ser >= 1`);
+  }
+
+  if (config.ollama.embedContextTokens < 1) {
+    errors.push(`OLLAMA_EMBED_CONTEXT_TOKENS inválido: ${config.ollama.embedContextTokens}. Debe ser >= 1`);
+  }
+
+  if (config.ollama.embedRetries < 0) {
+    errors.push(`OLLAMA_EMBED_RETRIES inválido: ${config.ollama.embedRetries}. Debe ser >= 0`);
+  }
+
   // Si hay errores críticos, lanzar excepción
   if (errors.length > 0) {
     throw new Error(`Errores de configuración:\n  - ${errors.join('\n  - ')}`);
@@ -162,24 +315,36 @@ function printConfig() {
   console.log('');
   console.log(`   Ollama:`);
   console.log(`      URL: ${config.ollama.baseURL}`);
-  console.log(`      Modelo embeddings: ${config.ollama.embedModel}`);
+  console.log(`      Modelo embeddings: ${config.ollama.embedModel} (contexto ${config.ollama.embedContextTokens} tokens)`);
   console.log(`      Modelo LLM: ${config.ollama.llmModel}`);
   console.log(`      Timeout: ${config.ollama.timeout}ms`);
+  console.log(`      Embeddings: lotes de ${config.ollama.embedBatchSize}, ${config.ollama.embedConcurrency} en paralelo, ${config.ollama.embedRetries} reintentos`);
   console.log(`      Temperature: ${config.ollama.temperature}`);
   console.log(`      Top-P: ${config.ollama.topP}`);
   console.log(`      Top-K: ${config.ollama.topK}`);
   console.log('');
   console.log(`   RAG:`);
-  console.log(`      Chunk size: ${config.rag.chunkSize} caracteres`);
+  console.log(`      Chunk size: ${config.rag.chunkSize} ${config.rag.chunkUnit === 'tokens' ? 'tokens' : 'caracteres'}`);
   console.log(`      Chunk overlap: ${config.rag.chunkOverlap} oraciones`);
+  console.log(`      Estrategia de chunking: ${config.rag.chunkStrategy}`);
+  console.log(`      Idioma (abreviaturas): ${config.rag.language === 'auto' ? 'Detección automática' : config.rag.language}`);
+  console.log(`      Limpieza de encabezados/pies PDF: ${config.rag.boilerplate.enabled ? `Activada (>= ${config.rag.boilerplate.minPageRatio * 100}% de páginas)` : 'Desactivada'}`);
   console.log(`      Top-K: ${config.rag.topK} documentos`);
   console.log(`      Similarity threshold: ${config.rag.similarityThreshold}`);
   console.log(`      Modo estricto: ${config.rag.strictMode ? 'Activado' : 'Desactivado'}`);
+  console.log(`      Híbrida (vector + BM25): ${config.rag.hybrid.enabled ? `Activada (pesos ${config.rag.hybrid.vectorWeight}/${config.rag.hybrid.keywordWeight}, RRF k=${config.rag.hybrid.rrfK})` : 'Desactivada'}`);
+  console.log(`      Chunks vecinos: ${config.rag.contextExpansion.window > 0 ? `±${config.rag.contextExpansion.window} (máx. ${config.rag.contextExpansion.maxChars} caracteres)` : 'Desactivado'}`);
+  console.log(`      MMR (diversidad): ${config.rag.mmr.enabled ? `Activado (lambda=${config.rag.mmr.lambda}, candidatos=${config.rag.mmr.candidates})` : 'Desactivado'}`);
+  console.log(`      Conversación: ${config.rag.conversation.historyTurns > 0 ? `${config.rag.conversation.historyTurns} turnos previos (máx. ${config.rag.conversation.summaryMaxChars} caracteres), reformulación ${config.rag.conversation.rewriteQuery ? 'activada' : 'desactivada'}` : 'Desactivada'}`);
+  console.log(`      Búsqueda: ${config.rag.searchMode === 'ann' ? `ANN (HNSW M=${config.rag.hnsw.m}, ef=${config.rag.hnsw.efSearch})` : 'Exacta (lineal)'}`);
   console.log('');
   console.log(`   Rutas:`);
   console.log(`      Uploads: ${config.paths.uploads}`);
   console.log(`      Data: ${config.paths.data}`);
   console.log('');
+  console.log(`   Importación masiva:`);
+  console.log(`      Máximo: ${config.bulkImport.maxFiles} archivos, ${config.bulkImport.maxBytes / 1024 / 1024} MB descomprimidos por importación`);
+  console.log('');
 }
 
 /**
@@ -6,28 +6,161 @@
 
 const path = require('path');
 const { AppError } = require('./errorHandler');
+const { DOCUMENT_STATUSES, SORT_COLUMNS } = require('../services/documentRegistry');
+const { getLoader, getSupportedExtensions } = require('../services/documentLoaders');
 
 /**
- * Valida la carga de archivos PDF
+ * Valida la carga de documentos (formatos con cargador registrado)
  */
-function validatePDFUpload(req, res, next) {
+function validateDocumentUpload(req, res, next) {
   if (!req.file) {
     return next(new AppError('No file uploaded', 400));
   }
 
-  const fileExt = path.extname(req.file.originalname).toLowerCase();
-  if (fileExt !== '.pdf') {
-    return next(new AppError('Only PDF files are allowed', 400));
+  if (!getLoader(req.file.originalname)) {
+    const fileExt = path.extname(req.file.originalname).toLowerCase() || req.file.originalname;
+    return next(new AppError(`Unsupported file type: ${fileExt}. Allowed: ${getSupportedExtensions().join(', ')}`, 400));
   }
 
   next();
 }
 
+const MAX_FILTER_ITEMS = 50;
+
+// Versiones de documento consultables: solo la vigente o también las reemplazadas
+const FILTER_VERSIONS = ['current', 'all'];
+
+// Nombres de colección: minúsculas, números, guiones y guiones bajos
+const COLLECTION_NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{0,63}$/;
+
+// Ids de conversación (UUID generado por el servidor o por el cliente)
+const CONVERSATION_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+/**
+ * Convierte una fecha (ISO 8601 o timestamp en milisegundos) a timestamp unix en segundos
+ * @returns {number|null} - null si la fecha es inválida
+ */
+function parseFilterDate(value) {
+  const time = typeof value === 'number' ? value : Date.parse(value);
+  return Number.isFinite(time) ? Math.floor(time / 1000) : null;
+}
+
+/**
+ * Valida y normaliza una lista de strings no vacíos
+ * @returns {Array<string>|null} - null si el valor es inválido
+ */
+function parseStringList(value) {
+  if (!Array.isArray(value) || value.length > MAX_FILTER_ITEMS) return null;
+  if (!value.every(item => typeof item === 'string' && item.trim().length > 0)) return null;
+  return value.map(item => item.trim());
+}
+
+/**
+ * Valida y normaliza el filtro de metadata de una consulta
+ *
+ * Formato aceptado:
+ * {
+ *   filenames: ["manual.pdf"],
+ *   pages: [{ from: 1, to: 10 }, 15],
+ *   sections: ["Vacaciones", "Manual > Permisos"],
+ *   tags: ["rrhh"],
+ *   uploadedAfter: "2024-01-01",
+ *   uploadedBefore: "2024-12-31T23:59:59Z",
+ *   versions: "all"
+ * }
+ *
+ * Por defecto solo se buscan versiones vigentes; `filenames` permite nombrar una versión
+ * anterior concreta y `versions: "all"` incluye todas. Las versiones anteriores solo
+ * las consulta un admin (ver validateQuery).
+ *
+ * @param {Object} filter - Filtro recibido en el body
+ * @returns {Object} - Filtro normalizado (fechas en segundos unix, páginas como {from, to})
+ * @throws {AppError} Si el filtro es inválido
+ */
+function normalizeQueryFilter(filter) {
+  if (typeof filter !== 'object' || Array.isArray(filter)) {
+    throw new AppError('Filter must be an object', 400);
+  }
+
+  const allowedKeys = ['filenames', 'pages', 'sections', 'tags', 'uploadedAfter', 'uploadedBefore', 'versions'];
+  const unknownKeys = Object.keys(filter).filter(key => !allowedKeys.includes(key));
+  if (unknownKeys.length > 0) {
+    throw new AppError(`Unknown filter fields: ${unknownKeys.join(', ')}`, 400);
+  }
+
+  const normalized = {};
+
+  if (filter.filenames !== undefined) {
+    const filenames = parseStringList(filter.filenames);
+    if (!filenames) {
+      throw new AppError(`filter.filenames must be an array of up to ${MAX_FILTER_ITEMS} filenames`, 400);
+    }
+    normalized.filenames = filenames;
+  }
+
+  if (filter.pages !== undefined) {
+    if (!Array.isArray(filter.pages) || filter.pages.length > MAX_FILTER_ITEMS) {
+      throw new AppError(`filter.pages must be an array of up to ${MAX_FILTER_ITEMS} page ranges`, 400);
+    }
+
+    normalized.pages = filter.pages.map(range => {
+      const { from, to } = typeof range === 'number' ? { from: range, to: range } : (range || {});
+
+      if (!Number.isInteger(from) || !Number.isInteger(to) || from < 1 || to < from) {
+        throw new AppError('Each page range must be a page number or {from, to} with 1 <= from <= to', 400);
+      }
+
+      return { from, to };
+    });
+  }
+
+  if (filter.sections !== undefined) {
+    const sections = parseStringList(filter.sections);
+    if (!sections) {
+      throw new AppError(`filter.sections must be an array of up to ${MAX_FILTER_ITEMS} section headings`, 400);
+    }
+    normalized.sections = sections.map(section => section.split('>').map(part => part.trim()).filter(Boolean).join(' > '));
+  }
+
+  if (filter.tags !== undefined) {
+    const tags = parseStringList(filter.tags);
+    if (!tags) {
+      throw new AppError(`filter.tags must be an array of up to ${MAX_FILTER_ITEMS} tags`, 400);
+    }
+    normalized.tags = tags.map(tag => tag.toLowerCase());
+  }
+
+  for (const key of ['uploadedAfter', 'uploadedBefore']) {
+    if (filter[key] !== undefined && filter[key] !== null) {
+      const timestamp = parseFilterDate(filter[key]);
+      if (timestamp === null) {
+        throw new AppError(`filter.${key} must be an ISO 8601 date`, 400);
+      }
+      normalized[key] = timestamp;
+    }
+  }
+
+  if (normalized.uploadedAfter != null && normalized.uploadedBefore != null &&
+      normalized.uploadedAfter > normalized.uploadedBefore) {
+    throw new AppError('filter.uploadedAfter must be before filter.uploadedBefore', 400);
+  }
+
+  if (filter.versions !== undefined) {
+    if (!FILTER_VERSIONS.includes(filter.versions)) {
+      throw new AppError(`filter.versions must be one of: ${FILTER_VERSIONS.join(', ')}`, 400);
+    }
+    normalized.versions = filter.versions;
+  }
+
+  return normalized;
+}
+
 /**
  * Valida el body del request de consulta
+ * Si incluye `filter`, lo reemplaza por su versión normalizada
  */
 function validateQuery(req, res, next) {
-  const { query } = req.body;
+  const { query, filter, collection, mmr, contextWindow, conversationId } = req.body;
 
   if (!query || typeof query !== 'string' || query.trim().length === 0) {
     return next(new AppError('Query is required and must be a non-empty string', 400));
@@ -37,6 +170,122 @@ function validateQuery(req, res, next) {
     return next(new AppError('Query is too long (max 2000 characters)', 400));
   }
 
+  if (collection !== undefined && collection !== null &&
+      (typeof collection !== 'string' || !COLLECTION_NAME_PATTERN.test(collection))) {
+    return next(new AppError('Invalid collection name', 400));
+  }
+
+  if (filter !== undefined && filter !== null) {
+    try {
+      req.body.filter = normalizeQueryFilter(filter);
+    } catch (error) {
+      return next(error);
+    }
+
+    // Las versiones reemplazadas solo las consulta un admin; las rutas públicas y los
+    // usuarios buscan siempre en la vigente, aunque nombren el archivo de una anterior
+    if (req.user?.role !== 'admin') {
+      if (req.body.filter.versions === 'all') {
+        return next(new AppError('filter.versions "all" is only available to admins', 403));
+      }
+      req.body.filter.versions = 'current';
+    }
+  }
+
+  if (contextWindow !== undefined && contextWindow !== null &&
+      (!Number.isInteger(contextWindow) || contextWindow < 0 || contextWindow > 5)) {
+    return next(new AppError('contextWindow must be an integer between 0 and 5', 400));
+  }
+
+  if (conversationId !== undefined && conversationId !== null &&
+      (typeof conversationId !== 'string' || !CONVERSATION_ID_PATTERN.test(conversationId))) {
+    return next(new AppError('conversationId must be a string of letters, numbers, "-" or "_" (max 64)', 400));
+  }
+
+  if (mmr !== undefined && mmr !== null) {
+    try {
+      req.body.mmr = normalizeMMROption(mmr);
+    } catch (error) {
+      return next(error);
+    }
+  }
+
+  next();
+}
+
+/**
+ * Normaliza la opción MMR de una consulta
+ * Acepta `true`/`false` o `{ enabled?, lambda? }` (indicar lambda implica activarlo)
+ *
+ * @param {boolean|Object} mmr - Opción recibida en el body
+ * @returns {{enabled: boolean, lambda?: number}}
+ * @throws {AppError} Si el formato no es válido
+ */
+function normalizeMMROption(mmr) {
+  if (typeof mmr === 'boolean') {
+    return { enabled: mmr };
+  }
+
+  if (typeof mmr !== 'object' || Array.isArray(mmr)) {
+    throw new AppError('mmr must be a boolean or an object { enabled, lambda }', 400);
+  }
+
+  const { enabled = true, lambda } = mmr;
+
+  if (typeof enabled !== 'boolean') {
+    throw new AppError('mmr.enabled must be a boolean', 400);
+  }
+
+  if (lambda !== undefined && (typeof lambda !== 'number' || lambda < 0 || lambda > 1)) {
+    throw new AppError('mmr.lambda must be a number between 0 and 1', 400);
+  }
+
+  return lambda === undefined ? { enabled } : { enabled, lambda };
+}
+
+/**
+ * Valida el body de creación/actualización de una colección
+ * En creación (POST) el nombre es obligatorio; los valores null restablecen la config global
+ */
+function validateCollection(req, res, next) {
+  const { name, description, topK, similarityThreshold, strictMode, isPublic } = req.body;
+
+  if (req.method === 'POST' && (typeof name !== 'string' || !COLLECTION_NAME_PATTERN.test(name))) {
+    return next(new AppError('Collection name is required: lowercase letters, numbers, "-" and "_" (max 64)', 400));
+  }
+
+  if (description !== undefined && description !== null && (typeof description !== 'string' || description.length > 500)) {
+    return next(new AppError('description must be a string (max 500 characters)', 400));
+  }
+
+  if (topK !== undefined && topK !== null && (!Number.isInteger(topK) || topK < 1 || topK > 20)) {
+    return next(new AppError('topK must be an integer between 1 and 20', 400));
+  }
+
+  if (similarityThreshold !== undefined && similarityThreshold !== null &&
+      (typeof similarityThreshold !== 'number' || similarityThreshold < 0 || similarityThreshold > 1)) {
+    return next(new AppError('similarityThreshold must be a number between 0 and 1', 400));
+  }
+
+  if (strictMode !== undefined && strictMode !== null && typeof strictMode !== 'boolean') {
+    return next(new AppError('strictMode must be a boolean', 400));
+  }
+
+  if (isPublic !== undefined && typeof isPublic !== 'boolean') {
+    return next(new AppError('isPublic must be a boolean', 400));
+  }
+
+  next();
+}
+
+/**
+ * Valida el parámetro :name de las rutas de colecciones
+ */
+function validateCollectionName(req, res, next) {
+  if (!COLLECTION_NAME_PATTERN.test(req.params.name || '')) {
+    return next(new AppError('Invalid collection name', 400));
+  }
+
   next();
 }
 
@@ -58,8 +307,223 @@ function sanitizeFilename(req, res, next) {
   next();
 }
 
+/**
+ * Valida los parámetros de listado de documentos (?page, ?limit, ?collection, ?status, ?search, ?sort, ?order, ?versions)
+ * Deja los valores normalizados en req.documentListQuery
+ */
+function validateDocumentListQuery(req, res, next) {
+  const { page = '1', limit = '50', collection, status, search, sort = 'createdAt', order = 'desc', versions = 'current' } = req.query;
+
+  const pageNumber = parseInt(page, 10);
+  const limitNumber = parseInt(limit, 10);
+
+  if (!Number.isInteger(pageNumber) || pageNumber < 1) {
+    return next(new AppError('page must be an integer >= 1', 400));
+  }
+
+  if (!Number.isInteger(limitNumber) || limitNumber < 1 || limitNumber > 200) {
+    return next(new AppError('limit must be an integer between 1 and 200', 400));
+  }
+
+  if (collection !== undefined && (typeof collection !== 'string' || !COLLECTION_NAME_PATTERN.test(collection))) {
+    return next(new AppError('Invalid collection name', 400));
+  }
+
+  if (status !== undefined && !DOCUMENT_STATUSES.includes(status)) {
+    return next(new AppError(`status must be one of: ${DOCUMENT_STATUSES.join(', ')}`, 400));
+  }
+
+  if (search !== undefined && (typeof search !== 'string' || search.length > 200)) {
+    return next(new AppError('search must be a string (max 200 characters)', 400));
+  }
+
+  if (!Object.keys(SORT_COLUMNS).includes(sort)) {
+    return next(new AppError(`sort must be one of: ${Object.keys(SORT_COLUMNS).join(', ')}`, 400));
+  }
+
+  if (order !== 'asc' && order !== 'desc') {
+    return next(new AppError('order must be "asc" or "desc"', 400));
+  }
+
+  if (!FILTER_VERSIONS.includes(versions)) {
+    return next(new AppError(`versions must be one of: ${FILTER_VERSIONS.join(', ')}`, 400));
+  }
+
+  req.documentListQuery = {
+    page: pageNumber,
+    limit: limitNumber,
+    collection: collection || null,
+    status: status || null,
+    search: search ? search.trim() : null,
+    sort,
+    order,
+    allVersions: versions === 'all'
+  };
+
+  next();
+}
+
+// Límites del inspector de chunks
+const MAX_CHUNK_TEXT_LENGTH = 20000;
+const MAX_MERGE_CHUNKS = 10;
+
+/**
+ * Valida el parámetro :index de las rutas de chunks y lo deja en req.chunkIndex
+ */
+function validateChunkIndex(req, res, next) {
+  const index = Number(req.params.index);
+
+  if (!/^\d+$/.test(req.params.index || '') || !Number.isSafeInteger(index)) {
+    return next(new AppError('Chunk index must be an integer >= 0', 400));
+  }
+
+  req.chunkIndex = index;
+  next();
+}
+
+/**
+ * Valida los parámetros de listado de chunks (?page, ?limit)
+ * Deja los valores normalizados en req.chunkListQuery
+ */
+function validateChunkListQuery(req, res, next) {
+  const { page = '1', limit = '50' } = req.query;
+
+  const pageNumber = parseInt(page, 10);
+  const limitNumber = parseInt(limit, 10);
+
+  if (!Number.isInteger(pageNumber) || pageNumber < 1) {
+    return next(new AppError('page must be an integer >= 1', 400));
+  }
+
+  if (!Number.isInteger(limitNumber) || limitNumber < 1 || limitNumber > 200) {
+    return next(new AppError('limit must be an integer between 1 and 200', 400));
+  }
+
+  req.chunkListQuery = { page: pageNumber, limit: limitNumber };
+  next();
+}
+
+/**
+ * Valida la edición de un chunk: {text?, excluded?} (al menos uno de los dos)
+ */
+function validateChunkUpdate(req, res, next) {
+  const { text, excluded } = req.body || {};
+
+  if (text === undefined && excluded === undefined) {
+    return next(new AppError('text or excluded is required', 400));
+  }
+
+  if (text !== undefined && (typeof text !== 'string' || text.trim().length === 0 || text.length > MAX_CHUNK_TEXT_LENGTH)) {
+    return next(new AppError(`text must be a non-empty string (max ${MAX_CHUNK_TEXT_LENGTH} characters)`, 400));
+  }
+
+  if (excluded !== undefined && typeof excluded !== 'boolean') {
+    return next(new AppError('excluded must be a boolean', 400));
+  }
+
+  if (text !== undefined) {
+    req.body.text = text.trim();
+  }
+
+  next();
+}
+
+/**
+ * Valida la unión de chunks consecutivos: {from, to} (índices inclusive)
+ */
+function validateChunkMerge(req, res, next) {
+  const { from, to } = req.body || {};
+
+  if (!Number.isInteger(from) || !Number.isInteger(to) || from < 0 || to <= from) {
+    return next(new AppError('from and to must be integers with 0 <= from < to', 400));
+  }
+
+  if (to - from + 1 > MAX_MERGE_CHUNKS) {
+    return next(new AppError(`At most ${MAX_MERGE_CHUNKS} chunks can be merged at once`, 400));
+  }
+
+  next();
+}
+
+/**
+ * Valida la división de un chunk: {at} (posición del corte dentro del texto)
+ */
+function validateChunkSplit(req, res, next) {
+  const { at } = req.body || {};
+
+  if (!Number.isInteger(at) || at < 1) {
+    return next(new AppError('at must be an integer >= 1 (position inside the chunk text)', 400));
+  }
+
+  next();
+}
+
+const MAX_CONVERSATION_TITLE_LENGTH = 100;
+
+/**
+ * Valida el parámetro :id de las rutas de conversaciones
+ */
+function validateConversationId(req, res, next) {
+  if (!CONVERSATION_ID_PATTERN.test(req.params.id || '')) {
+    return next(new AppError('Invalid conversation id', 400));
+  }
+
+  next();
+}
+
+/**
+ * Valida los parámetros de listado de conversaciones (?page, ?limit)
+ * Deja los valores normalizados en req.conversationListQuery
+ */
+function validateConversationListQuery(req, res, next) {
+  const { page = '1', limit = '50' } = req.query;
+
+  const pageNumber = parseInt(page, 10);
+  const limitNumber = parseInt(limit, 10);
+
+  if (!Number.isInteger(pageNumber) || pageNumber < 1) {
+    return next(new AppError('page must be an integer >= 1', 400));
+  }
+
+  if (!Number.isInteger(limitNumber) || limitNumber < 1 || limitNumber > 200) {
+    return next(new AppError('limit must be an integer between 1 and 200', 400));
+  }
+
+  req.conversationListQuery = { page: pageNumber, limit: limitNumber };
+  next();
+}
+
+/**
+ * Valida el renombrado de una conversación: {title}
+ */
+function validateConversationRename(req, res, next) {
+  const { title } = req.body || {};
+
+  if (typeof title !== 'string' || title.trim().length === 0 || title.trim().length > MAX_CONVERSATION_TITLE_LENGTH) {
+    return next(new AppError(`title must be a non-empty string (max ${MAX_CONVERSATION_TITLE_LENGTH} characters)`, 400));
+  }
+
+  req.body.title = title.replace(/\s+/g, ' ').trim();
+  next();
+}
+
 module.exports = {
-  validatePDFUpload,
+  validateDocumentUpload,
+  // Nombre anterior, se mantiene por compatibilidad
+  validatePDFUpload: validateDocumentUpload,
   validateQuery,
-  sanitizeFilename
+  sanitizeFilename,
+  normalizeQueryFilter,
+  validateCollection,
+  validateCollectionName,
+  validateDocumentListQuery,
+  validateChunkIndex,
+  validateChunkListQuery,
+  validateChunkUpdate,
+  validateChunkMerge,
+  validateChunkSplit,
+  validateConversationId,
+  validateConversationListQuery,
+  validateConversationRename,
+  COLLECTION_NAME_PATTERN
 };
@@ -35,14 +35,20 @@ Your only function is to extract and present the information exactly as it appea
  * @param {string} context - Context from retrieved documents
  * @param {string} query - User's query
  * @param {boolean} strict - Whether to enforce strict mode (only use provided context)
+ * @param {string} conversation - Summary of the previous turns of the conversation (optional)
  * @returns {string} Complete prompt for the LLM
  */
-function buildRAGPrompt(context, query, strict = true) {
+function buildRAGPrompt(context, query, strict = true, conversation = '') {
   const strictInstructions = strict ? `${STRICT_MODE_INSTRUCTIONS}\n\n` : '';
+  const conversationSection = conversation
+    ? `\nPrevious conversation (only to understand what the question refers to; answer from the context):
+${conversation}
+`
+    : '';
 
   return `${strictInstructions}Based on the following context, answer the question clearly and in a structured manner.
 ${RESPONSE_FORMATTING_INSTRUCTIONS}
-
+${conversationSection}
 Context:
 ${context}
 
@@ -51,8 +57,29 @@ Question: ${query}
 Answer:`;
 }
 
+/**
+ * Builds the prompt that turns a follow-up question into a standalone search query
+ *
+ * @param {string} conversation - Summary of the previous turns
+ * @param {string} query - Follow-up question
+ * @returns {string} Prompt for the LLM
+ */
+function buildQueryRewritePrompt(conversation, query) {
+  return `Rewrite the follow-up question as a single standalone question that can be understood without the conversation.
+Keep the language of the follow-up question and keep names, numbers and terms exactly as written.
+Do not answer it. If it is already standalone, return it unchanged. Reply with the question only.
+
+Conversation:
+${conversation}
+
+Follow-up question: ${query}
+
+Standalone question:`;
+}
+
 module.exports = {
   buildRAGPrompt,
+  buildQueryRewritePrompt,
   RESPONSE_FORMATTING_INSTRUCTIONS,
   STRICT_MODE_INSTRUCTIONS
 };
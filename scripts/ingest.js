@@ -0,0 +1,166 @@
+#!/usr/bin/env node
+/**
+ * Bulk Ingestion CLI
+ *
+ * Ingests every supported document under a server-side directory (recursively)
+ * with the same pipeline as uploads, one file at a time, and prints a per-file report.
+ * Documents whose content was already ingested are skipped unless --force is given;
+ * documents whose earlier ingestion failed are resumed from their last embedded batch.
+ *
+ * Usage: npm run ingest -- <directory> [--collection rrhh] [--tags a,b] [--force] [--report report.json]
+ *
+ * Run it with the server stopped (or restart the server afterwards): the server keeps
+ * its ANN indexes in memory and would not see the new chunks until it reloads them.
+ * The CLI never writes the index files itself; the server adds the new chunks to them
+ * when it loads them on startup.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+
+const config = require('../config');
+const VectorStore = require('../services/vectorStore');
+const DocumentRegistry = require('../services/documentRegistry');
+const { ingestDocument } = require('../services/ingestionPipeline');
+const { listDirectoryDocuments, copyToUploads, findDuplicate, summarizeReport } = require('../services/bulkImport');
+
+const USAGE = 'Uso: npm run ingest -- <directorio> [--collection nombre] [--tags a,b] [--force] [--report reporte.json]';
+
+/**
+ * Parses command line arguments
+ * @returns {{directory: string, collection: string, tags: Array<string>, force: boolean, report: string|null}}
+ */
+function parseCliArgs() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      collection: { type: 'string', short: 'c' },
+      tags: { type: 'string', short: 't' },
+      force: { type: 'boolean', short: 'f', default: false },
+      report: { type: 'string', short: 'r' },
+      help: { type: 'boolean', short: 'h', default: false }
+    }
+  });
+
+  if (values.help || positionals.length !== 1) {
+    console.log(USAGE);
+    process.exit(values.help ? 0 : 1);
+  }
+
+  return {
+    directory: path.resolve(positionals[0]),
+    collection: values.collection || VectorStore.DEFAULT_COLLECTION,
+    tags: values.tags ? values.tags.split(',') : [],
+    force: values.force,
+    report: values.report || null
+  };
+}
+
+async function main() {
+  const options = parseCliArgs();
+
+  if (!fs.existsSync(options.directory) || !fs.statSync(options.directory).isDirectory()) {
+    console.error(`❌ No es un directorio: ${options.directory}`);
+    process.exit(1);
+  }
+
+  const rootDir = path.join(__dirname, '..');
+  const uploadsDir = path.join(rootDir, config.paths.uploads);
+  const dbDir = path.join(rootDir, config.paths.data);
+  [uploadsDir, dbDir].forEach(dir => fs.mkdirSync(dir, { recursive: true }));
+
+  // Exact mode: the .hnsw files belong to the server, which may be running and saving them
+  const vectorStore = new VectorStore(path.join(dbDir, 'vectors.db'), {
+    searchMode: 'exact',
+    embedModel: config.ollama.embedModel
+  });
+  const documentRegistry = new DocumentRegistry(vectorStore.db);
+
+  if (!vectorStore.getCollection(options.collection)) {
+    console.error(`❌ Colección no encontrada: ${options.collection}`);
+    vectorStore.close();
+    process.exit(1);
+  }
+
+  const { files, skipped } = await listDirectoryDocuments(options.directory);
+  const report = skipped.map(({ file, reason }) => ({ file, status: 'skipped', reason }));
+
+  console.log(`\n📦 Importando ${files.length} documentos de ${options.directory} (colección: ${options.collection})\n`);
+
+  for (const [index, relativePath] of files.entries()) {
+    const sourcePath = path.join(options.directory, relativePath);
+    const prefix = `[${index + 1}/${files.length}] ${relativePath}`;
+
+    try {
+      const { sha256, existing } = await findDuplicate({ path: sourcePath }, documentRegistry);
+
+      if (existing && !options.force) {
+        report.push({ file: relativePath, status: 'skipped', reason: 'Contenido ya procesado', duplicateOf: existing.filename });
+        console.log(`↷ ${prefix}: ya procesado como ${existing.filename}`);
+        continue;
+      }
+
+      const failed = documentRegistry.findFailedByHash(sha256);
+      let file;
+      let collection = options.collection;
+
+      if (failed && fs.existsSync(path.join(uploadsDir, failed.filename))) {
+        file = {
+          filename: failed.filename,
+          originalname: failed.originalName,
+          path: path.join(uploadsDir, failed.filename),
+          size: failed.byteSize,
+          mimetype: failed.mimeType
+        };
+        collection = failed.collection;
+        documentRegistry.markProcessing(failed.filename);
+        console.log(`↻ ${prefix}: reanudando la ingesta fallida de ${failed.filename}`);
+      } else {
+        file = await copyToUploads(sourcePath, uploadsDir, relativePath);
+        documentRegistry.register({
+          filename: file.filename,
+          originalName: file.originalname,
+          collection,
+          uploadedByName: 'cli',
+          mimeType: file.mimetype,
+          byteSize: file.size,
+          sha256
+        });
+        vectorStore.setDocumentTags(file.filename, options.tags);
+      }
+
+      const result = await ingestDocument(
+        file,
+        { collection, tags: vectorStore.getDocumentTags(file.filename) },
+        { vectorStore, documentRegistry, ragConfig: config.rag }
+      );
+
+      report.push({ file: relativePath, status: 'completed', filename: file.filename, chunks: result.chunks });
+      console.log(`✓ ${prefix}: ${result.chunks} chunks`);
+    } catch (error) {
+      report.push({ file: relativePath, status: 'failed', reason: error.message });
+      console.error(`✗ ${prefix}: ${error.message}`);
+    }
+  }
+
+  vectorStore.close();
+
+  const summary = summarizeReport(report);
+  console.log(`\n📊 Resumen: ${summary.completed || 0} procesados, ${summary.skipped || 0} omitidos, ${summary.failed || 0} fallidos`);
+  for (const item of report.filter(entry => entry.status !== 'completed')) {
+    console.log(`   ${item.status === 'failed' ? '✗' : '↷'} ${item.file}: ${item.reason}`);
+  }
+
+  if (options.report) {
+    fs.writeFileSync(options.report, JSON.stringify({ directory: options.directory, collection: options.collection, summary, files: report }, null, 2));
+    console.log(`\n📝 Reporte guardado en ${options.report}`);
+  }
+
+  process.exit(summary.failed ? 1 : 0);
+}
+
+main().catch(error => {
+  console.error('❌ Error en la importación:', error.message);
+  process.exit(1);
+});
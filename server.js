@@ -2,7 +2,7 @@
  * RAG Backend Server
  *
  * Express server for RAG (Retrieval-Augmented Generation) system with:
- * - PDF processing with page-level tracking
+ * - Document processing (PDF, DOCX, Markdown, TXT, HTML, CSV) with page/section tracking
  * - Vector similarity search
  * - LLM response generation (streaming & non-streaming)
  */
@@ -13,22 +13,46 @@ const cors = require('cors');
 const cookieParser = require('cookie-parser');
 const path = require('path');
 const fs = require('fs');
+const crypto = require('crypto');
 
 // Import modular services
 const config = require('./config');
 const VectorStore = require('./services/vectorStore');
+const DocumentRegistry = require('./services/documentRegistry');
+const IngestionJobStore = require('./services/ingestionJobs');
 const AuthService = require('./services/authService');
-const { processPDFDocument } = require('./services/documentProcessor');
+const { hashFile } = require('./services/documentProcessor');
+const { ingestDocument } = require('./services/ingestionPipeline');
+const { getLoader } = require('./services/documentLoaders');
+const { isArchive, extractZipArchive, findDuplicate, summarizeReport } = require('./services/bulkImport');
 const { performRAGSearch, generateRAGResponse, handleStreamingRAGResponse } = require('./services/ragService');
+const { generateEmbedding } = require('./services/embeddingService');
+const { startReembedJob, getReembedJob } = require('./services/reembedJob');
+const { listChunks, editChunk, mergeChunks, splitChunk } = require('./services/chunkEditor');
+const { prepareConversationalQuery } = require('./services/conversationContext');
 const { errorHandler, asyncHandler, AppError } = require('./middleware/errorHandler');
-const { validatePDFUpload, validateQuery, sanitizeFilename } = require('./middleware/validation');
+const {
+  validateDocumentUpload,
+  validateQuery,
+  sanitizeFilename,
+  validateCollection,
+  validateCollectionName,
+  validateDocumentListQuery,
+  validateChunkIndex,
+  validateChunkListQuery,
+  validateChunkUpdate,
+  validateChunkMerge,
+  validateChunkSplit,
+  validateConversationId,
+  validateConversationListQuery,
+  validateConversationRename
+} = require('./middleware/validation');
 const { requireAuth, requireAdmin, optionalAuth } = require('./middleware/auth');
 
 const app = express();
 
 // Configuration
 const { port: PORT } = config.server;
-const { topK: TOP_K, similarityThreshold: SIMILARITY_THRESHOLD } = config.rag;
 
 // Middleware - CORS configurado para permitir credenciales
 app.use(cors({
@@ -59,7 +83,16 @@ const dbDir = path.join(__dirname, config.paths.data);
 });
 
 // Initialize VectorStore and AuthService
-const vectorStore = new VectorStore(path.join(dbDir, 'vectors.db'));
+const vectorStore = new VectorStore(path.join(dbDir, 'vectors.db'), {
+  searchMode: config.rag.searchMode,
+  hnsw: config.rag.hnsw,
+  embedModel: config.ollama.embedModel
+});
+const documentRegistry = new DocumentRegistry(vectorStore.db);
+const ingestionJobs = new IngestionJobStore(vectorStore.db);
+
+// Documents left in 'processing' by a restart; their embedding checkpoints survive so they can be resumed
+const interruptedIngestions = documentRegistry.failInterrupted();
 const authService = new AuthService(path.join(dbDir, 'users.db'));
 
 // Initialize default admin user and start session cleaner
@@ -68,6 +101,23 @@ const authService = new AuthService(path.join(dbDir, 'users.db'));
   authService.startSessionCleaner();
 })();
 
+// Fill in hash and size of documents registered before they were tracked
+(async () => {
+  for (const filename of documentRegistry.getFilenamesMissingFileInfo()) {
+    const filePath = path.join(uploadsDir, filename);
+    if (!fs.existsSync(filePath)) continue;
+
+    try {
+      documentRegistry.updateFileInfo(filename, {
+        sha256: await hashFile(filePath),
+        byteSize: fs.statSync(filePath).size
+      });
+    } catch (error) {
+      console.error(`⚠️  No se pudo calcular el hash de ${filename}:`, error.message);
+    }
+  }
+})();
+
 // Configure Multer
 const storage = multer.diskStorage({
   destination: (req, file, cb) => cb(null, uploadsDir),
@@ -75,6 +125,121 @@ const storage = multer.diskStorage({
 });
 const upload = multer({ storage });
 
+// Bulk imports: no single file (ZIPs included) can exceed the uncompressed limit of the whole import
+const bulkUpload = multer({ storage, limits: { fileSize: config.bulkImport.maxBytes, files: config.bulkImport.maxFiles } });
+
+/**
+ * Receives the files of a bulk import, answering 413 instead of 500 when multer's limits are hit
+ */
+function receiveBulkUpload(req, res, next) {
+  bulkUpload.array('files', config.bulkImport.maxFiles)(req, res, error => {
+    if (error instanceof multer.MulterError && ['LIMIT_FILE_SIZE', 'LIMIT_FILE_COUNT', 'LIMIT_UNEXPECTED_FILE'].includes(error.code)) {
+      return next(new AppError(error.code === 'LIMIT_FILE_SIZE'
+        ? `File too large (max ${config.bulkImport.maxBytes / 1024 / 1024} MB)`
+        : `Too many files (max ${config.bulkImport.maxFiles})`, 413));
+    }
+    next(error);
+  });
+}
+
+/**
+ * Parses tags from a request field: array of strings or comma-separated string
+ */
+function parseTags(value) {
+  if (Array.isArray(value)) {
+    return value.filter(tag => typeof tag === 'string');
+  }
+  return typeof value === 'string' ? value.split(',') : [];
+}
+
+/**
+ * Looks up a collection by name (default collection when omitted)
+ *
+ * @param {string} name - Collection name from the request
+ * @param {Object} options - { publicOnly: reject collections not exposed to public routes }
+ * @returns {Object} Collection
+ * @throws {AppError} 404 if it does not exist (or is not public when publicOnly)
+ */
+function resolveCollection(name, { publicOnly = false } = {}) {
+  const collection = vectorStore.getCollection(name || VectorStore.DEFAULT_COLLECTION);
+
+  if (!collection || (publicOnly && !collection.isPublic)) {
+    throw new AppError(`Colección no encontrada: ${name}`, 404);
+  }
+
+  return collection;
+}
+
+/**
+ * Effective search settings: request value > collection default > global config
+ *
+ * @param {Object} collection - Collection from resolveCollection
+ * @param {boolean} strict - Strict flag from the request body (optional)
+ * @returns {{topK: number, threshold: number, strict: boolean}}
+ */
+function getSearchSettings(collection, strict) {
+  return {
+    topK: collection.topK ?? config.rag.topK,
+    threshold: collection.similarityThreshold ?? config.rag.similarityThreshold,
+    strict: typeof strict === 'boolean' ? strict : (collection.strictMode ?? config.rag.strictMode)
+  };
+}
+
+/**
+ * Registers an uploaded file and queues its ingestion in the background
+ *
+ * @param {Object} file - Multer file
+ * @param {Object} options - { collection, tags, sha256, documentId: set when the file is a new version of that document, batchId: bulk import }
+ * @param {Object} user - Uploading user (req.user)
+ * @returns {Object} Queued job
+ */
+function enqueueIngestion(file, { collection, tags, sha256, documentId = null, batchId = null }, user) {
+  documentRegistry.register({
+    filename: file.filename,
+    originalName: file.originalname,
+    collection,
+    uploadedBy: user.userId,
+    uploadedByName: user.username,
+    mimeType: file.mimetype,
+    byteSize: file.size,
+    sha256,
+    documentId
+  });
+
+  // Saved up front so a failed ingestion can be resumed with the same tags
+  vectorStore.setDocumentTags(file.filename, tags);
+
+  return queueIngestionJob(file, { collection, tags, batchId }, user);
+}
+
+/**
+ * Queues the ingestion of an already registered document
+ *
+ * @param {Object} file - Multer file (or equivalent built from the registry)
+ * @param {Object} options - { collection, tags, batchId }
+ * @param {Object} user - Requesting user (req.user)
+ * @returns {Object} Queued job
+ */
+function queueIngestionJob(file, { collection, tags, batchId = null }, user) {
+  const job = ingestionJobs.create({
+    filename: file.filename,
+    originalName: file.originalname,
+    collection,
+    createdBy: user.username,
+    batchId
+  });
+
+  // Processing runs in the background; clients poll or subscribe to the job
+  ingestionJobs.enqueue(job.id, onProgress => ingestDocument(
+    file,
+    { collection, tags },
+    { vectorStore, documentRegistry, ragConfig: config.rag },
+    onProgress
+  ));
+
+  return job;
+}
+
 // ============= API ROUTES =============
 
 // Health check
@@ -89,12 +254,43 @@ app.get('/api', (req, res) => {
       // Documents
       upload: 'POST /api/upload',
       uploadPDF: 'POST /api/upload-pdf',
+      uploadDocument: 'POST /api/upload-document',
+      uploadDocuments: 'POST /api/upload-documents',
       files: 'GET /api/files',
       query: 'POST /api/query',
       queryStream: 'POST /api/query-stream',
+      // Conversations
+      conversations: 'GET /api/conversations',
+      getConversation: 'GET /api/conversations/:id',
+      renameConversation: 'PUT /api/conversations/:id',
+      deleteConversation: 'DELETE /api/conversations/:id',
       documents: 'GET /api/documents',
       getDocument: 'GET /api/documents/:filename',
+      documentTags: 'PUT /api/documents/:filename/tags',
+      documentCollection: 'PUT /api/documents/:filename/collection',
+      documentVersions: 'GET /api/documents/:filename/versions',
+      uploadDocumentVersion: 'POST /api/documents/:filename/versions',
+      // Chunk inspector (admin only)
+      documentChunks: 'GET /api/documents/:filename/chunks',
+      updateChunk: 'PUT /api/documents/:filename/chunks/:index',
+      mergeChunks: 'POST /api/documents/:filename/chunks/merge',
+      splitChunk: 'POST /api/documents/:filename/chunks/:index/split',
+      // Collections
+      collections: 'GET /api/collections',
+      createCollection: 'POST /api/collections',
+      updateCollection: 'PUT /api/collections/:name',
+      deleteCollection: 'DELETE /api/collections/:name',
       deleteDocument: 'DELETE /api/documents/:filename',
+      // Embeddings (admin only)
+      reembedStatus: 'GET /api/admin/reembed',
+      reembed: 'POST /api/admin/reembed',
+      failedIngestions: 'GET /api/admin/ingestions',
+      resumeIngestion: 'POST /api/documents/:filename/resume',
+      // Ingestion jobs (admin only)
+      jobs: 'GET /api/jobs',
+      job: 'GET /api/jobs/:id',
+      jobEvents: 'GET /api/jobs/:id/events',
+      jobBatch: 'GET /api/jobs/batches/:id',
       // Users (admin only)
       users: 'GET /api/users',
       createUser: 'POST /api/users',
@@ -186,6 +382,73 @@ app.get('/api/chat/history', requireAuth(authService), asyncHandler(async (req,
   });
 }));
 
+// ============= CONVERSATION ROUTES (Authenticated users) =============
+
+/**
+ * Loads a conversation of the authenticated user into req.conversation
+ * Conversations of other users answer 404, like missing ones
+ */
+function loadUserConversation(req, res, next) {
+  const conversation = authService.getUserConversation(req.user.userId, req.params.id);
+
+  if (!conversation) {
+    return next(new AppError('Conversación no encontrada', 404));
+  }
+
+  req.conversation = conversation;
+  next();
+}
+
+// List the user's conversations, most recently active first
+app.get('/api/conversations', requireAuth(authService), validateConversationListQuery, (req, res) => {
+  const { page, limit } = req.conversationListQuery;
+  const { conversations, total } = authService.listConversations(req.user.userId, limit, (page - 1) * limit);
+
+  res.json({
+    success: true,
+    conversations,
+    pagination: {
+      page,
+      limit,
+      total,
+      totalPages: Math.max(1, Math.ceil(total / limit))
+    }
+  });
+});
+
+// Reopen a conversation with all its messages in order
+app.get('/api/conversations/:id', requireAuth(authService), validateConversationId, loadUserConversation, (req, res) => {
+  const { user_id, ...conversation } = req.conversation;
+
+  res.json({
+    success: true,
+    conversation,
+    messages: authService.getConversationMessages(conversation.id)
+  });
+});
+
+// Rename a conversation
+app.put('/api/conversations/:id', requireAuth(authService), validateConversationId, loadUserConversation, validateConversationRename, (req, res) => {
+  authService.renameConversation(req.conversation.id, req.body.title);
+
+  res.json({
+    success: true,
+    message: 'Conversación renombrada',
+    conversation: { id: req.conversation.id, title: req.body.title }
+  });
+});
+
+// Delete a conversation and its messages
+app.delete('/api/conversations/:id', requireAuth(authService), validateConversationId, loadUserConversation, (req, res) => {
+  const deletedMessages = authService.deleteConversation(req.conversation.id);
+
+  res.json({
+    success: true,
+    message: 'Conversación eliminada',
+    deletedMessages
+  });
+});
+
 // Get configuration
 app.get('/api/config', (req, res) => {
   res.json({
@@ -214,99 +477,624 @@ app.post('/api/upload', requireAuth(authService), requireAdmin, upload.single('f
   });
 });
 
-// Upload and process PDF with embeddings (admin only)
-app.post('/api/upload-pdf', requireAuth(authService), requireAdmin, upload.single('file'), validatePDFUpload, asyncHandler(async (req, res) => {
-  // Check if this file (by multer filename) is already processed to prevent duplicates
-  const existingChunks = vectorStore.getChunkCount(req.file.filename);
+// Upload and process a document with embeddings (admin only)
+// /api/upload-pdf is kept for existing clients; both accept every supported format
+app.post(['/api/upload-pdf', '/api/upload-document'], requireAuth(authService), requireAdmin, upload.single('file'), validateDocumentUpload, asyncHandler(async (req, res) => {
+  let collection;
+  try {
+    collection = resolveCollection(req.body.collection);
+  } catch (error) {
+    fs.unlinkSync(req.file.path);
+    throw error;
+  }
+
+  // Duplicate detection by content: multer filenames are unique per upload
+  const contentHash = await hashFile(req.file.path);
+  const force = req.body.force === 'true' || req.body.force === true;
+  const existing = documentRegistry.findByHash(contentHash);
 
-  if (existingChunks > 0) {
-    // File already processed - delete the uploaded file to avoid storage waste
+  if (existing && !force) {
+    // Same bytes already processed - delete the uploaded file to avoid storage waste
     fs.unlinkSync(req.file.path);
 
-    throw new AppError(
-      `This file appears to be already processed (${existingChunks} chunks found). Please delete the existing document first if you want to re-process it.`,
-      409 // Conflict status code
-    );
+    return res.status(409).json({
+      error: `Este documento ya fue procesado como "${existing.filename}" (${existing.chunks} chunks, colección ${existing.collection}). Elimínalo primero o envía force=true para subirlo como un documento nuevo.`,
+      duplicate: true,
+      sha256: contentHash,
+      existing
+    });
   }
 
-  const result = await processPDFDocument(req.file, config.rag);
-
-  // Store in VectorStore
-  vectorStore.insertChunksBatch(result.chunksWithEmbeddings);
-  console.log(`✓ Saved to VectorStore: ${result.chunksWithEmbeddings.length} documents\n`);
+  const job = enqueueIngestion(req.file, {
+    collection: collection.name,
+    tags: parseTags(req.body.tags),
+    sha256: contentHash
+  }, req.user);
 
-  res.json({
+  res.status(202).json({
     success: true,
-    message: 'PDF processed successfully',
+    message: 'Documento recibido, procesando en segundo plano',
     file: req.file.originalname,
-    pages: result.pdfData.numPages,
-    chunks: result.chunks.length,
-    embeddings_generated: result.chunksWithEmbeddings.length
+    filename: req.file.filename,
+    collection: collection.name,
+    sha256: contentHash,
+    ...(existing && { duplicateOf: existing.filename }),
+    jobId: job.id,
+    job,
+    statusUrl: `/api/jobs/${job.id}`,
+    eventsUrl: `/api/jobs/${job.id}/events`
   });
 }));
 
-// List uploaded files (admin only)
-app.get('/api/files', requireAuth(authService), requireAdmin, (req, res) => {
-  fs.readdir(uploadsDir, (err, files) => {
-    if (err) {
-      return res.status(500).json({ error: err.message });
+// Bulk upload: several files and/or ZIP archives in one request (admin only)
+// Every document becomes its own ingestion job; the report says what was queued, skipped or rejected
+app.post('/api/upload-documents', requireAuth(authService), requireAdmin, receiveBulkUpload, asyncHandler(async (req, res) => {
+  const uploads = req.files || [];
+  const removeUploads = () => uploads.forEach(file => fs.rmSync(file.path, { force: true }));
+
+  if (uploads.length === 0) {
+    throw new AppError('No files uploaded', 400);
+  }
+
+  let collection;
+  try {
+    collection = resolveCollection(req.body.collection);
+  } catch (error) {
+    removeUploads();
+    throw error;
+  }
+
+  const report = [];
+  const candidates = [];
+  // Uncompressed bytes of the whole import: plain files plus the extracted content of every ZIP
+  let importedBytes = uploads.filter(file => !isArchive(file.originalname)).reduce((sum, file) => sum + file.size, 0);
+
+  if (importedBytes > config.bulkImport.maxBytes) {
+    removeUploads();
+    throw new AppError(`Import too large (max ${config.bulkImport.maxBytes / 1024 / 1024} MB)`, 413);
+  }
+
+  for (const file of uploads) {
+    if (isArchive(file.originalname)) {
+      try {
+        const { files, skipped, bytes } = await extractZipArchive(file.path, uploadsDir, {
+          maxFiles: config.bulkImport.maxFiles,
+          maxBytes: config.bulkImport.maxBytes - importedBytes
+        });
+        importedBytes += bytes;
+        candidates.push(...files.map(extracted => ({ ...extracted, source: `${file.originalname}/${extracted.source}` })));
+        report.push(...skipped.map(({ file: entry, reason }) => ({ file: `${file.originalname}/${entry}`, status: 'skipped', reason })));
+      } catch (error) {
+        report.push({ file: file.originalname, status: 'failed', reason: `ZIP inválido: ${error.message}` });
+      } finally {
+        fs.rmSync(file.path, { force: true });
+      }
+    } else if (getLoader(file.originalname)) {
+      candidates.push({ ...file, source: file.originalname });
+    } else {
+      fs.rmSync(file.path, { force: true });
+      report.push({ file: file.originalname, status: 'skipped', reason: `Tipo de archivo no soportado: ${path.extname(file.originalname) || file.originalname}` });
     }
+  }
 
-    const fileList = files.map(file => {
-      const filePath = path.join(uploadsDir, file);
-      const stats = fs.statSync(filePath);
-      return {
-        name: file,
-        size: stats.size,
-        created: stats.birthtime
-      };
-    });
+  if (candidates.length > config.bulkImport.maxFiles) {
+    candidates.forEach(file => fs.rmSync(file.path, { force: true }));
+    throw new AppError(`Too many documents: ${candidates.length} (max ${config.bulkImport.maxFiles})`, 413);
+  }
+
+  const force = req.body.force === 'true' || req.body.force === true;
+  const tags = parseTags(req.body.tags);
+  const batchId = crypto.randomUUID();
+
+  for (const file of candidates) {
+    // Also catches repeated files inside the same batch: earlier ones are already registered
+    const { sha256, existing } = await findDuplicate(file, documentRegistry);
+
+    if (existing && !force) {
+      fs.rmSync(file.path, { force: true });
+      report.push({ file: file.source, status: 'skipped', reason: 'Contenido ya procesado', duplicateOf: existing.filename });
+      continue;
+    }
+
+    const job = enqueueIngestion(file, { collection: collection.name, tags, sha256, batchId }, req.user);
+    report.push({ file: file.source, status: 'queued', filename: file.filename, jobId: job.id });
+  }
+
+  console.log(`📦 Importación masiva ${batchId}: ${report.filter(item => item.status === 'queued').length} documentos encolados de ${report.length}`);
 
-    res.json({ files: fileList });
+  res.status(202).json({
+    success: true,
+    batchId,
+    collection: collection.name,
+    summary: summarizeReport(report),
+    files: report,
+    statusUrl: `/api/jobs/batches/${batchId}`
   });
-});
+}));
+
+// Resume a failed ingestion from its last embedded batch (admin only)
+app.post('/api/documents/:filename/resume', requireAuth(authService), requireAdmin, sanitizeFilename, asyncHandler(async (req, res) => {
+  const filename = req.params.filename;
+  const doc = documentRegistry.get(filename);
+
+  if (!doc) {
+    throw new AppError('Documento no encontrado', 404);
+  }
+
+  if (doc.status !== 'failed') {
+    throw new AppError(`Solo se pueden reanudar ingestas fallidas (estado actual: ${doc.status})`, 409);
+  }
+
+  const filePath = path.join(uploadsDir, filename);
+  if (!fs.existsSync(filePath)) {
+    throw new AppError('El archivo original ya no está en uploads/; elimina el documento y vuelve a subirlo', 410);
+  }
 
-// List processed documents (authenticated users)
-app.get('/api/documents', requireAuth(authService), asyncHandler(async (_req, res) => {
-  const stats = vectorStore.getDocumentStats();
+  const collection = resolveCollection(doc.collection);
+  const checkpointed = vectorStore.getIngestionCheckpoint(filename, vectorStore.getEmbeddingModel()).size;
 
-  // Transform to format expected by frontend
-  const documents = Object.entries(stats.files).map(([filename, chunks]) => ({
+  documentRegistry.markProcessing(filename);
+  const job = queueIngestionJob({
+    filename,
+    originalname: doc.originalName,
+    path: filePath,
+    size: doc.byteSize,
+    mimetype: doc.mimeType
+  }, { collection: collection.name, tags: vectorStore.getDocumentTags(filename) }, req.user);
+
+  res.status(202).json({
+    success: true,
+    message: checkpointed > 0
+      ? `Reanudando la ingesta: ${checkpointed} chunks ya tenían embedding`
+      : 'Reintentando la ingesta desde el principio',
     filename,
-    chunks
+    checkpointedChunks: checkpointed,
+    jobId: job.id,
+    job,
+    statusUrl: `/api/jobs/${job.id}`,
+    eventsUrl: `/api/jobs/${job.id}/events`
+  });
+}));
+
+// ============= INGESTION JOB ROUTES (admin only) =============
+
+// Recent ingestion jobs
+app.get('/api/jobs', requireAuth(authService), requireAdmin, (req, res) => {
+  res.json({
+    success: true,
+    jobs: ingestionJobs.list(Math.min(parseInt(req.query.limit) || 50, 200))
+  });
+});
+
+// Ingestion job status (polling)
+app.get('/api/jobs/:id', requireAuth(authService), requireAdmin, (req, res, next) => {
+  const job = ingestionJobs.get(req.params.id);
+
+  if (!job) {
+    return next(new AppError('Job no encontrado', 404));
+  }
+
+  res.json({ success: true, job });
+});
+
+// Ingestion job progress (SSE): one event per update until the job finishes
+app.get('/api/jobs/:id/events', requireAuth(authService), requireAdmin, (req, res, next) => {
+  const job = ingestionJobs.get(req.params.id);
+
+  if (!job) {
+    return next(new AppError('Job no encontrado', 404));
+  }
+
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Connection', 'keep-alive');
+  res.flushHeaders();
+
+  const send = (current) => {
+    const type = current.status === 'completed' ? 'done' : current.status === 'failed' ? 'error' : 'progress';
+    res.write(`data: ${JSON.stringify({ type, content: current })}\n\n`);
+
+    if (IngestionJobStore.isFinished(current)) {
+      unsubscribe();
+      res.write('data: [DONE]\n\n');
+      res.end();
+    }
+  };
+
+  const unsubscribe = ingestionJobs.subscribe(job.id, send);
+  req.on('close', unsubscribe);
+  send(job);
+});
+
+// Per-file outcome of a bulk upload
+app.get('/api/jobs/batches/:id', requireAuth(authService), requireAdmin, (req, res, next) => {
+  const jobs = ingestionJobs.listBatch(req.params.id);
+
+  if (jobs.length === 0) {
+    return next(new AppError('Importación no encontrada', 404));
+  }
+
+  const files = jobs.map(job => ({
+    file: job.originalName,
+    filename: job.filename,
+    status: job.status,
+    progress: job.progress,
+    jobId: job.id,
+    ...(job.error && { error: job.error }),
+    ...(job.result && { chunks: job.result.chunks })
+  }));
+
+  res.json({
+    success: true,
+    batchId: req.params.id,
+    finished: jobs.every(IngestionJobStore.isFinished),
+    summary: summarizeReport(files),
+    files
+  });
+});
+
+// List registered files and registry inconsistencies (admin only)
+app.get('/api/files', requireAuth(authService), requireAdmin, asyncHandler(async (req, res) => {
+  const { documents } = documentRegistry.list({ allVersions: true, limit: -1 });
+
+  const files = documents.map(doc => ({
+    name: doc.filename,
+    originalName: doc.originalName,
+    size: doc.byteSize,
+    created: new Date(doc.createdAt * 1000).toISOString(),
+    status: doc.status,
+    version: doc.version,
+    isCurrent: doc.isCurrent
   }));
 
+  // Uploads with no registry entry (e.g. via /api/upload) are the only filesystem check left
+  const untracked = (await fs.promises.readdir(uploadsDir)).filter(file => !documentRegistry.has(file));
+
+  res.json({
+    files,
+    orphans: {
+      ...documentRegistry.findOrphans(),
+      untrackedFiles: untracked
+    }
+  });
+}));
+
+// List registered documents with metadata and pagination (authenticated users)
+app.get('/api/documents', requireAuth(authService), validateDocumentListQuery, asyncHandler(async (req, res) => {
+  const { collection, status, search, sort, order, allVersions, page, limit } = req.documentListQuery;
+  const { documents, total } = documentRegistry.list({
+    collection,
+    status,
+    search,
+    sort,
+    order,
+    allVersions,
+    limit,
+    offset: (page - 1) * limit
+  });
+
+  res.json({
+    documents: documents.map(doc => ({
+      ...doc,
+      tags: vectorStore.getDocumentTags(doc.filename)
+    })),
+    total_chunks: vectorStore.getDocumentStats(collection).totalDocuments,
+    pagination: {
+      page,
+      limit,
+      total,
+      totalPages: Math.max(1, Math.ceil(total / limit))
+    }
+  });
+}));
+
+// Version history of a document, newest first (authenticated users)
+app.get('/api/documents/:filename/versions', requireAuth(authService), sanitizeFilename, (req, res, next) => {
+  const doc = documentRegistry.get(req.params.filename);
+
+  if (!doc) {
+    return next(new AppError('Documento no encontrado', 404));
+  }
+
+  res.json({
+    success: true,
+    documentId: doc.documentId,
+    versions: documentRegistry.getVersions(doc.documentId)
+  });
+});
+
+// Upload a new version of a document (admin only)
+// The current version keeps answering queries until the new one is fully ingested
+app.post('/api/documents/:filename/versions', requireAuth(authService), requireAdmin, sanitizeFilename, upload.single('file'), validateDocumentUpload, asyncHandler(async (req, res) => {
+  const doc = documentRegistry.get(req.params.filename);
+  const current = doc && documentRegistry.getCurrentVersion(doc.documentId);
+
+  if (!current) {
+    fs.unlinkSync(req.file.path);
+    throw new AppError('Documento no encontrado', 404);
+  }
+
+  const pending = documentRegistry.getVersions(doc.documentId).find(version => version.status === 'processing');
+  if (pending) {
+    fs.unlinkSync(req.file.path);
+    throw new AppError(`La versión ${pending.version} de este documento todavía se está procesando`, 409);
+  }
+
+  const contentHash = await hashFile(req.file.path);
+  if (contentHash === current.sha256) {
+    fs.unlinkSync(req.file.path);
+    throw new AppError(`El archivo es idéntico a la versión vigente (v${current.version})`, 409);
+  }
+
+  const job = enqueueIngestion(req.file, {
+    collection: current.collection,
+    tags: parseTags(req.body.tags),
+    sha256: contentHash,
+    documentId: current.documentId
+  }, req.user);
+  const version = documentRegistry.get(req.file.filename).version;
+
+  res.status(202).json({
+    success: true,
+    message: `Versión ${version} recibida, procesando en segundo plano`,
+    file: req.file.originalname,
+    filename: req.file.filename,
+    documentId: current.documentId,
+    version,
+    replaces: current.filename,
+    collection: current.collection,
+    sha256: contentHash,
+    jobId: job.id,
+    job,
+    statusUrl: `/api/jobs/${job.id}`,
+    eventsUrl: `/api/jobs/${job.id}/events`
+  });
+}));
+
+// Replace document tags (admin only)
+app.put('/api/documents/:filename/tags', requireAuth(authService), requireAdmin, sanitizeFilename, asyncHandler(async (req, res) => {
+  const filename = req.params.filename;
+
+  if (!documentRegistry.has(filename)) {
+    throw new AppError('Documento no encontrado', 404);
+  }
+
+  const tags = vectorStore.setDocumentTags(filename, parseTags(req.body.tags));
+
+  res.json({
+    success: true,
+    file: filename,
+    tags
+  });
+}));
+
+// Move document to another collection without re-embedding (admin only)
+// Every version moves together so the history stays in one collection
+app.put('/api/documents/:filename/collection', requireAuth(authService), requireAdmin, sanitizeFilename, asyncHandler(async (req, res) => {
+  const filename = req.params.filename;
+  const doc = documentRegistry.get(filename);
+
+  if (!doc) {
+    throw new AppError('Documento no encontrado', 404);
+  }
+
+  const collection = resolveCollection(req.body.collection);
+  const moved = vectorStore.transaction(() => documentRegistry.getVersions(doc.documentId).reduce((total, version) => {
+    documentRegistry.setCollection(version.filename, collection.name);
+    return total + vectorStore.moveDocumentToCollection(version.filename, collection.name);
+  }, 0));
+  console.log(`✓ ${filename} movido a la colección "${collection.name}" (${moved} chunks)`);
+
   res.json({
-    documents,
-    total_chunks: stats.totalDocuments
+    success: true,
+    file: filename,
+    collection: collection.name,
+    chunksMoved: moved
+  });
+}));
+
+// ============= CHUNK INSPECTOR ROUTES (admin only) =============
+
+// Another edit changed the chunks while this one was generating embeddings
+const CHUNKS_CHANGED_MESSAGE = 'Los chunks cambiaron mientras se procesaba la edición; recarga el inspector e inténtalo de nuevo';
+
+/**
+ * Registered document whose chunks can be inspected and edited
+ * @param {string} filename - Stored filename
+ * @returns {Object} - Registry entry
+ * @throws {AppError} 404 if unknown, 409 unless its ingestion finished
+ */
+function getInspectableDocument(filename) {
+  const doc = documentRegistry.get(filename);
+
+  if (!doc) {
+    throw new AppError('Documento no encontrado', 404);
+  }
+
+  if (doc.status !== 'ready') {
+    throw new AppError(`Solo se pueden editar los chunks de documentos procesados (estado actual: ${doc.status})`, 409);
+  }
+
+  return doc;
+}
+
+/**
+ * Chunk of a document by index
+ * @param {Array<Object>} chunks - Chunks from listChunks
+ * @param {number} index - Chunk index
+ * @returns {Object}
+ * @throws {AppError} 404 if the document has no such chunk
+ */
+function findChunk(chunks, index) {
+  const chunk = chunks.find(item => item.index === index);
+
+  if (!chunk) {
+    throw new AppError(`Chunk ${index} no encontrado (el documento tiene ${chunks.length})`, 404);
+  }
+
+  return chunk;
+}
+
+// Chunks exactly as indexed: text, page range, character offsets and exclusion flag
+app.get('/api/documents/:filename/chunks', requireAuth(authService), requireAdmin, sanitizeFilename, validateChunkListQuery, (req, res, next) => {
+  const filename = req.params.filename;
+  const doc = documentRegistry.get(filename);
+
+  if (!doc) {
+    return next(new AppError('Documento no encontrado', 404));
+  }
+
+  const { page, limit } = req.chunkListQuery;
+  const chunks = listChunks(filename, vectorStore);
+
+  res.json({
+    success: true,
+    file: filename,
+    originalName: doc.originalName,
+    status: doc.status,
+    version: doc.version,
+    isCurrent: doc.isCurrent,
+    total: chunks.length,
+    excluded: chunks.filter(chunk => chunk.excluded).length,
+    chunks: chunks.slice((page - 1) * limit, page * limit),
+    pagination: {
+      page,
+      limit,
+      total: chunks.length,
+      totalPages: Math.max(1, Math.ceil(chunks.length / limit))
+    }
+  });
+});
+
+// Edit a chunk's text (re-embeds only that chunk) and/or exclude it from retrieval
+app.put('/api/documents/:filename/chunks/:index', requireAuth(authService), requireAdmin, sanitizeFilename, validateChunkIndex, validateChunkUpdate, asyncHandler(async (req, res) => {
+  const filename = req.params.filename;
+  getInspectableDocument(filename);
+
+  const chunk = findChunk(listChunks(filename, vectorStore), req.chunkIndex);
+  const { text, excluded } = req.body;
+
+  if (text !== undefined && text !== chunk.text && !await editChunk(filename, chunk, text, vectorStore)) {
+    throw new AppError(CHUNKS_CHANGED_MESSAGE, 409);
+  }
+
+  if (excluded !== undefined && excluded !== chunk.excluded) {
+    vectorStore.setChunkExcluded(chunk.id, excluded);
+    console.log(`${excluded ? '🚫' : '✓'} Chunk ${chunk.index} de ${filename} ${excluded ? 'excluido de' : 'incluido en'} la recuperación`);
+  }
+
+  res.json({
+    success: true,
+    file: filename,
+    chunk: findChunk(listChunks(filename, vectorStore), req.chunkIndex)
+  });
+}));
+
+// Merge consecutive chunks [from, to] into one; later chunks are renumbered
+app.post('/api/documents/:filename/chunks/merge', requireAuth(authService), requireAdmin, sanitizeFilename, validateChunkMerge, asyncHandler(async (req, res) => {
+  const filename = req.params.filename;
+  getInspectableDocument(filename);
+
+  const chunks = listChunks(filename, vectorStore);
+  const { from, to } = req.body;
+  findChunk(chunks, to);
+
+  const total = await mergeChunks(filename, chunks.slice(from, to + 1), { vectorStore, documentRegistry });
+  if (total === null) {
+    throw new AppError(CHUNKS_CHANGED_MESSAGE, 409);
+  }
+
+  res.json({
+    success: true,
+    file: filename,
+    total,
+    chunk: findChunk(listChunks(filename, vectorStore), from)
+  });
+}));
+
+// Split a chunk in two at a position of its text; later chunks are renumbered
+app.post('/api/documents/:filename/chunks/:index/split', requireAuth(authService), requireAdmin, sanitizeFilename, validateChunkIndex, validateChunkSplit, asyncHandler(async (req, res) => {
+  const filename = req.params.filename;
+  getInspectableDocument(filename);
+
+  const chunk = findChunk(listChunks(filename, vectorStore), req.chunkIndex);
+  const { at } = req.body;
+
+  if (at >= chunk.text.length || !chunk.text.slice(0, at).trim() || !chunk.text.slice(at).trim()) {
+    throw new AppError('at debe cortar el texto del chunk en dos partes no vacías', 400);
+  }
+
+  const total = await splitChunk(filename, chunk, at, { vectorStore, documentRegistry });
+  if (total === null) {
+    throw new AppError(CHUNKS_CHANGED_MESSAGE, 409);
+  }
+
+  const chunks = listChunks(filename, vectorStore);
+
+  res.json({
+    success: true,
+    file: filename,
+    total,
+    chunks: [findChunk(chunks, chunk.index), findChunk(chunks, chunk.index + 1)]
   });
 }));
 
 // Delete document (admin only)
 app.delete('/api/documents/:filename', requireAuth(authService), requireAdmin, sanitizeFilename, asyncHandler(async (req, res) => {
   const filename = req.params.filename;
-  console.log(`\n🗑️  Eliminando documento: ${filename}`);
+  const doc = documentRegistry.get(filename);
 
-  // Delete PDF file
-  const filePath = path.join(uploadsDir, filename);
-  if (fs.existsSync(filePath)) {
-    fs.unlinkSync(filePath);
-    console.log(`✓ PDF eliminado: ${filename}`);
+  // Chunks without a registry entry can still be cleaned up (see /api/files orphans)
+  if (!doc && !vectorStore.hasFile(filename)) {
+    throw new AppError('Documento no encontrado', 404);
   }
 
+  if (doc && doc.status === 'processing') {
+    throw new AppError('El documento se está procesando; espera a que termine para eliminarlo', 409);
+  }
+
+  console.log(`\n🗑️  Eliminando documento: ${filename}`);
+
+  // Deleting the current version brings back the latest remaining ready one
+  const previous = doc && doc.isCurrent
+    ? documentRegistry.getVersions(doc.documentId).find(version => version.filename !== filename && version.status === 'ready')
+    : null;
+
   // Delete embeddings from VectorStore
-  const deletedCount = vectorStore.deleteByFilename(filename);
-  console.log(`✓ ${deletedCount} embeddings eliminados de VectorStore\n`);
+  const deletedCount = vectorStore.transaction(() => {
+    const deleted = vectorStore.deleteByFilename(filename);
+    documentRegistry.remove(filename);
+
+    if (previous) {
+      vectorStore.activateDocument(previous.filename);
+      documentRegistry.setCurrentVersion(previous.filename);
+    }
+    return deleted;
+  });
+  console.log(`✓ ${deletedCount} embeddings eliminados de VectorStore`);
+  if (previous) {
+    console.log(`✓ La versión ${previous.version} (${previous.filename}) vuelve a ser la vigente`);
+  }
+
+  // Delete original file
+  try {
+    await fs.promises.unlink(path.join(uploadsDir, filename));
+    console.log(`✓ Archivo eliminado: ${filename}\n`);
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+    console.warn(`⚠️  El archivo ${filename} ya no existía en uploads/\n`);
+  }
 
   res.json({
     success: true,
     message: 'Documento eliminado correctamente',
     file: filename,
-    embeddingsDeleted: deletedCount
+    embeddingsDeleted: deletedCount,
+    ...(previous && { restoredVersion: { filename: previous.filename, version: previous.version } })
   });
 }));
 
-// Serve PDFs with page navigation
+// Serve original documents (PDFs open at ?page=N)
 app.get('/api/documents/:filename', sanitizeFilename, (req, res, next) => {
   const filename = req.params.filename;
   const page = req.query.page;
@@ -316,46 +1104,210 @@ app.get('/api/documents/:filename', sanitizeFilename, (req, res, next) => {
     return next(new AppError('Archivo no encontrado', 404));
   }
 
-  if (!filename.toLowerCase().endsWith('.pdf')) {
-    return next(new AppError('Solo se pueden servir archivos PDF', 400));
+  const loader = getLoader(filename);
+  if (!loader) {
+    return next(new AppError('Tipo de archivo no soportado', 400));
   }
 
-  console.log(`📄 Sirviendo PDF: ${filename}${page ? ` (página ${page})` : ''}`);
+  console.log(`📄 Sirviendo documento: ${filename}${page ? ` (página ${page})` : ''}`);
+
+  // HTML and DOCX are downloaded, never rendered from our origin
+  const inline = !['html', 'docx'].includes(loader.type);
+  const charset = loader.mimeType.startsWith('text/') ? '; charset=utf-8' : '';
 
-  res.setHeader('Content-Type', 'application/pdf');
-  res.setHeader('Content-Disposition', `inline; filename="${filename}"`);
+  res.setHeader('Content-Type', `${loader.mimeType}${charset}`);
+  res.setHeader('Content-Disposition', `${inline ? 'inline' : 'attachment'}; filename="${filename}"`);
+  res.setHeader('X-Content-Type-Options', 'nosniff');
 
-  if (page && !isNaN(parseInt(page))) {
+  if (loader.type === 'pdf' && page && !isNaN(parseInt(page))) {
     res.setHeader('Content-Location', `/api/documents/${filename}#page=${page}`);
   }
 
   res.sendFile(filePath, (err) => {
     if (err && !res.headersSent) {
-      next(new AppError('Error al servir el PDF', 500));
+      next(new AppError('Error al servir el documento', 500));
     }
   });
 });
 
+// ============= COLLECTION ROUTES =============
+
+// List collections (authenticated users)
+app.get('/api/collections', requireAuth(authService), (req, res) => {
+  res.json({
+    success: true,
+    collections: vectorStore.listCollections()
+  });
+});
+
+// Create collection (admin only)
+app.post('/api/collections', requireAuth(authService), requireAdmin, validateCollection, asyncHandler(async (req, res) => {
+  if (vectorStore.getCollection(req.body.name)) {
+    throw new AppError(`La colección "${req.body.name}" ya existe`, 409);
+  }
+
+  const collection = vectorStore.createCollection(req.body);
+  console.log(`✓ Colección creada: ${collection.name}`);
+
+  res.status(201).json({
+    success: true,
+    collection
+  });
+}));
+
+// Update collection defaults (admin only)
+app.put('/api/collections/:name', requireAuth(authService), requireAdmin, validateCollectionName, validateCollection, asyncHandler(async (req, res) => {
+  resolveCollection(req.params.name);
+
+  const collection = vectorStore.updateCollection(req.params.name, req.body);
+
+  res.json({
+    success: true,
+    collection
+  });
+}));
+
+// Delete empty collection (admin only)
+app.delete('/api/collections/:name', requireAuth(authService), requireAdmin, validateCollectionName, asyncHandler(async (req, res) => {
+  const collection = resolveCollection(req.params.name);
+
+  if (collection.name === VectorStore.DEFAULT_COLLECTION) {
+    throw new AppError('No se puede eliminar la colección por defecto', 400);
+  }
+
+  if (collection.documents > 0) {
+    throw new AppError(`La colección tiene ${collection.documents} documentos. Muévelos o elimínalos primero.`, 409);
+  }
+
+  vectorStore.deleteCollection(collection.name);
+
+  res.json({
+    success: true,
+    message: 'Colección eliminada correctamente',
+    collection: collection.name
+  });
+}));
+
+// ============= EMBEDDING MODEL ROUTES (admin only) =============
+
+// Active embedding model, configured model and re-embedding job status
+app.get('/api/admin/reembed', requireAuth(authService), requireAdmin, (req, res) => {
+  res.json({
+    success: true,
+    embeddings: vectorStore.getEmbeddingStatus(),
+    job: getReembedJob()
+  });
+});
+
+// Re-embed every stored chunk with another model (background job, atomic switch-over)
+app.post('/api/admin/reembed', requireAuth(authService), requireAdmin, asyncHandler(async (req, res) => {
+  const model = req.body.model === undefined ? config.ollama.embedModel : req.body.model;
+
+  if (typeof model !== 'string' || model.trim().length === 0 || model.length > 200) {
+    throw new AppError('model debe ser un nombre de modelo válido', 400);
+  }
+
+  const current = getReembedJob();
+  if (current && current.status === 'running') {
+    throw new AppError(`Ya hay una re-indexación en curso (modelo "${current.model}")`, 409);
+  }
+
+  // Fail fast if Ollama does not serve the model
+  try {
+    await generateEmbedding('test', model.trim());
+  } catch (error) {
+    throw new AppError(`No se pudo generar un embedding con "${model.trim()}": ${error.message}`, 400);
+  }
+
+  const job = startReembedJob(vectorStore, model.trim());
+
+  res.status(202).json({
+    success: true,
+    message: `Re-indexación iniciada: ${job.pending} chunks con "${job.model}"`,
+    job
+  });
+}));
+
+// ============= FAILED INGESTION ROUTES (admin only) =============
+
+/**
+ * Failed ingestions with what is needed to decide between resuming and cleaning up
+ * @returns {Array<Object>}
+ */
+function listFailedIngestions() {
+  const checkpoints = vectorStore.countIngestionCheckpoints();
+
+  return documentRegistry.listFailed().map(doc => ({
+    filename: doc.filename,
+    originalName: doc.originalName,
+    collection: doc.collection,
+    error: doc.error,
+    updatedAt: doc.updatedAt,
+    checkpointedChunks: checkpoints[doc.filename] || 0,
+    fileAvailable: fs.existsSync(path.join(uploadsDir, doc.filename)),
+    resumeUrl: `/api/documents/${doc.filename}/resume`
+  }));
+}
+
+// Failed or interrupted ingestions: resume with POST /api/documents/:filename/resume, clean up with DELETE /api/documents/:filename
+app.get('/api/admin/ingestions', requireAuth(authService), requireAdmin, (req, res) => {
+  res.json({
+    success: true,
+    ingestions: listFailedIngestions()
+  });
+});
+
 // ============= RAG QUERY ROUTES (Authenticated users) =============
 
+/**
+ * Resolves the conversation of a query: a follow-up in an existing conversation is
+ * rewritten into a standalone search query and its recent turns are summarized for the prompt.
+ * A new id starts a conversation, which is created when its first message is saved
+ * @param {Object} req - Request with a validated body and an authenticated user
+ * @returns {Promise<{conversationId: string, searchQuery: string, summary: string}>}
+ * @throws {AppError} 404 if the conversation belongs to another user
+ */
+async function prepareConversation(req) {
+  const { query, conversationId } = req.body;
+  const { historyTurns } = config.rag.conversation;
+
+  if (!conversationId) {
+    return { conversationId: crypto.randomUUID(), searchQuery: query, summary: '' };
+  }
+
+  if (!authService.canUseConversation(req.user.userId, conversationId)) {
+    throw new AppError('Conversación no encontrada', 404);
+  }
+
+  const turns = historyTurns > 0 ? authService.getConversationTurns(req.user.userId, conversationId, historyTurns) : [];
+  const { searchQuery, summary } = await prepareConversationalQuery(query, turns, config.rag.conversation);
+
+  return { conversationId, searchQuery, summary };
+}
+
 // Query documents (RAG) - non-streaming
 app.post('/api/query', requireAuth(authService), validateQuery, asyncHandler(async (req, res) => {
-  const { query, strict = true } = req.body;
+  const { query, filter = null } = req.body;
+  const collection = resolveCollection(req.body.collection);
+  const { topK, threshold, strict } = getSearchSettings(collection, req.body.strict);
+  const { conversationId, searchQuery, summary } = await prepareConversation(req);
 
-  const topDocs = await performRAGSearch(query, vectorStore, TOP_K, SIMILARITY_THRESHOLD);
-  const response = await generateRAGResponse(query, topDocs, strict);
+  const topDocs = await performRAGSearch(searchQuery, vectorStore, topK, threshold, { ...filter, collection: collection.name }, { mmr: req.body.mmr, contextWindow: req.body.contextWindow });
+  const response = await generateRAGResponse(query, topDocs, strict, summary);
 
   // Save to chat history
-  authService.saveChatMessage(req.user.userId, query, response.answer, response.sources);
+  authService.saveChatMessage(req.user.userId, query, response.answer, response.sources, conversationId);
 
-  res.json(response);
+  res.json({ ...response, conversationId, searchQuery });
 }));
 
 // Query documents (RAG) - streaming
 app.post('/api/query-stream', requireAuth(authService), validateQuery, asyncHandler(async (req, res) => {
-  const { query, strict = true } = req.body;
+  const { query, filter = null } = req.body;
+  const collection = resolveCollection(req.body.collection);
+  const { topK, threshold, strict } = getSearchSettings(collection, req.body.strict);
 
-  console.log(`\n🔍 Consultando (STREAMING): "${query}" (Usuario: ${req.user.username}, Modo estricto: ${strict})`);
+  console.log(`\n🔍 Consultando (STREAMING): "${query}" (Usuario: ${req.user.username}, Colección: ${collection.name}, Modo estricto: ${strict})`);
 
   // Configure SSE headers
   res.setHeader('Content-Type', 'text/event-stream');
@@ -364,37 +1316,29 @@ app.post('/api/query-stream', requireAuth(authService), validateQuery, asyncHand
   res.flushHeaders();
 
   try {
-    const topDocs = await performRAGSearch(query, vectorStore, TOP_K, SIMILARITY_THRESHOLD);
-
-    // Capture the full response for saving to history
-    let fullAnswer = '';
-    const originalWrite = res.write.bind(res);
-    res.write = (chunk) => {
-      const data = chunk.toString();
-      const match = data.match(/data: ({.*})/);
-      if (match) {
-        try {
-          const parsed = JSON.parse(match[1]);
-          if (parsed.type === 'content') {
-            fullAnswer += parsed.content;
-          }
-        } catch (e) {
-          // Ignore parse errors
-        }
-      }
-      return originalWrite(chunk);
-    };
+    const { conversationId, searchQuery, summary } = await prepareConversation(req);
+    res.write(`data: ${JSON.stringify({
+      type: 'conversation',
+      conversationId,
+      searchQuery
+    })}\n\n`);
 
-    await handleStreamingRAGResponse(query, topDocs, strict, res);
+    const topDocs = await performRAGSearch(searchQuery, vectorStore, topK, threshold, { ...filter, collection: collection.name }, { mmr: req.body.mmr, contextWindow: req.body.contextWindow });
+
+    const fullAnswer = await handleStreamingRAGResponse(query, topDocs, strict, res, summary);
 
     // Save to chat history after streaming completes
     if (fullAnswer) {
       const sources = topDocs.map(doc => ({
         file: doc.filename,
+        version: doc.version ?? 1,
         page: doc.page,
-        similarity: doc.similarity
+        pageEnd: doc.pageEnd,
+        section: doc.section,
+        similarity: doc.similarity,
+        retrievers: doc.retrievers
       }));
-      authService.saveChatMessage(req.user.userId, query, fullAnswer, sources);
+      authService.saveChatMessage(req.user.userId, query, fullAnswer, sources, conversationId);
     }
   } catch (error) {
     res.write(`data: ${JSON.stringify({
@@ -408,11 +1352,25 @@ app.post('/api/query-stream', requireAuth(authService), validateQuery, asyncHand
 
 // ============= PUBLIC RAG QUERY ROUTES (No authentication required) =============
 
+// Public collections (no authentication)
+app.get('/api/public/collections', (req, res) => {
+  const collections = vectorStore.listCollections()
+    .filter(collection => collection.isPublic)
+    .map(({ name, description }) => ({ name, description }));
+
+  res.json({
+    success: true,
+    collections
+  });
+});
+
 // Public query - streaming (no authentication)
 app.post('/api/public/query-stream', validateQuery, asyncHandler(async (req, res) => {
-  const { query, strict = true } = req.body;
+  const { query, filter = null } = req.body;
+  const collection = resolveCollection(req.body.collection, { publicOnly: true });
+  const { topK, threshold, strict } = getSearchSettings(collection, req.body.strict);
 
-  console.log(`\n🌐 Consulta PÚBLICA (STREAMING): "${query}" (Modo estricto: ${strict})`);
+  console.log(`\n🌐 Consulta PÚBLICA (STREAMING): "${query}" (Colección: ${collection.name}, Modo estricto: ${strict})`);
 
   // Configure SSE headers
   res.setHeader('Content-Type', 'text/event-stream');
@@ -421,7 +1379,7 @@ app.post('/api/public/query-stream', validateQuery, asyncHandler(async (req, res
   res.flushHeaders();
 
   try {
-    const topDocs = await performRAGSearch(query, vectorStore, TOP_K, SIMILARITY_THRESHOLD);
+    const topDocs = await performRAGSearch(query, vectorStore, topK, threshold, { ...filter, collection: collection.name }, { mmr: req.body.mmr, contextWindow: req.body.contextWindow });
     await handleStreamingRAGResponse(query, topDocs, strict, res);
     // No guardamos historial para consultas públicas
   } catch (error) {
@@ -436,11 +1394,13 @@ app.post('/api/public/query-stream', validateQuery, asyncHandler(async (req, res
 
 // Public query - non-streaming (no authentication)
 app.post('/api/public/query', validateQuery, asyncHandler(async (req, res) => {
-  const { query, strict = true } = req.body;
+  const { query, filter = null } = req.body;
+  const collection = resolveCollection(req.body.collection, { publicOnly: true });
+  const { topK, threshold, strict } = getSearchSettings(collection, req.body.strict);
 
-  console.log(`\n🌐 Consulta PÚBLICA: "${query}" (Modo estricto: ${strict})`);
+  console.log(`\n🌐 Consulta PÚBLICA: "${query}" (Colección: ${collection.name}, Modo estricto: ${strict})`);
 
-  const topDocs = await performRAGSearch(query, vectorStore, TOP_K, SIMILARITY_THRESHOLD);
+  const topDocs = await performRAGSearch(query, vectorStore, topK, threshold, { ...filter, collection: collection.name }, { mmr: req.body.mmr, contextWindow: req.body.contextWindow });
   const response = await generateRAGResponse(query, topDocs, strict);
 
   // No guardamos historial para consultas públicas
@@ -464,12 +1424,38 @@ app.listen(PORT, () => {
   console.log(`   Entorno: ${config.server.environment}`);
   console.log(`\n📍 Rutas disponibles:`);
   console.log(`   POST   /api/upload         - Subir archivo genérico`);
-  console.log(`   POST   /api/upload-pdf     - Subir y procesar PDF`);
+  console.log(`   POST   /api/upload-document - Subir documento PDF, DOCX, MD, TXT, HTML o CSV (en segundo plano, devuelve jobId)`);
+  console.log(`   POST   /api/upload-documents - Importación masiva: varios archivos y/o ZIP (campo files)`);
+  console.log(`   GET    /api/jobs/:id       - Progreso de una ingesta (/events para SSE)`);
+  console.log(`   GET    /api/jobs/batches/:id - Reporte por archivo de una importación masiva`);
   console.log(`   GET    /api/files          - Listar archivos`);
   console.log(`   GET    /api/documents      - Listar documentos procesados`);
-  console.log(`   GET    /api/documents/:filename - Servir PDF (con ?page=N opcional)`);
+  console.log(`   GET    /api/documents/:filename - Servir documento original (PDF con ?page=N opcional)`);
+  console.log(`   PUT    /api/documents/:filename/tags - Actualizar etiquetas`);
+  console.log(`   PUT    /api/documents/:filename/collection - Mover a otra colección`);
+  console.log(`   GET    /api/documents/:filename/versions - Historial de versiones`);
+  console.log(`   POST   /api/documents/:filename/versions - Subir una versión nueva (reemplaza a la vigente al terminar)`);
+  console.log(`   GET    /api/documents/:filename/chunks - Inspeccionar chunks (PUT /:index edita o excluye, POST merge / :index/split)`);
+  console.log(`   GET    /api/collections    - Listar colecciones (POST/PUT/DELETE para administrar)`);
+  console.log(`   POST   /api/admin/reembed  - Re-indexar embeddings con otro modelo (GET = estado)`);
+  console.log(`   GET    /api/admin/ingestions - Ingestas fallidas o interrumpidas`);
+  console.log(`   POST   /api/documents/:filename/resume - Reanudar una ingesta fallida`);
   console.log(`   DELETE /api/documents/:filename - Eliminar documento`);
   console.log(`   POST   /api/query          - Consultar documentos (strict=${config.rag.strictMode})`);
   console.log(`   POST   /api/query-stream   - Consultar con streaming (strict=${config.rag.strictMode})`);
+  console.log(`   GET    /api/conversations  - Conversaciones del usuario (GET/PUT/DELETE /:id para abrir, renombrar o eliminar)`);
   console.log(`   GET    /api/config         - Ver configuración\n`);
+
+  const failed = listFailedIngestions();
+  if (failed.length > 0) {
+    console.warn(`⚠️  ${failed.length} ingestas sin terminar${interruptedIngestions.length > 0 ? ` (${interruptedIngestions.length} interrumpidas por el reinicio)` : ''}:`);
+    for (const ingestion of failed.slice(0, 10)) {
+      const progress = ingestion.checkpointedChunks > 0 ? `${ingestion.checkpointedChunks} chunks con embedding guardado` : 'sin progreso guardado';
+      console.warn(`   - ${ingestion.filename}: ${progress}${ingestion.fileAvailable ? '' : ', archivo original no disponible'} (${ingestion.error})`);
+    }
+    if (failed.length > 10) {
+      console.warn(`   ... y ${failed.length - 10} más (GET /api/admin/ingestions)`);
+    }
+    console.warn('   Reanudar: POST /api/documents/:filename/resume · Limpiar: DELETE /api/documents/:filename\n');
+  }
 });
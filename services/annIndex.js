@@ -0,0 +1,479 @@
+/**
+ * Índice ANN (Approximate Nearest Neighbour) basado en HNSW
+ *
+ * Implementación en JavaScript puro de Hierarchical Navigable Small World
+ * para búsqueda aproximada por similitud coseno. Los vectores se normalizan
+ * al insertarse, por lo que la similitud se reduce a un producto punto.
+ *
+ * El grafo (sin los vectores) se puede serializar a disco; los vectores se
+ * vuelven a cargar desde SQLite al iniciar.
+ */
+
+const fs = require('fs');
+
+const INDEX_FORMAT_VERSION = 1;
+
+/**
+ * Cola de prioridad binaria mínima ordenada por `distance`
+ */
+class MinHeap {
+  constructor() {
+    this.items = [];
+  }
+
+  get size() {
+    return this.items.length;
+  }
+
+  peek() {
+    return this.items[0];
+  }
+
+  push(item) {
+    const items = this.items;
+    items.push(item);
+    let i = items.length - 1;
+
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (items[parent].distance <= items[i].distance) break;
+      [items[parent], items[i]] = [items[i], items[parent]];
+      i = parent;
+    }
+  }
+
+  pop() {
+    const items = this.items;
+    const top = items[0];
+    const last = items.pop();
+
+    if (items.length > 0) {
+      items[0] = last;
+      let i = 0;
+
+      while (true) {
+        const left = 2 * i + 1;
+        const right = left + 1;
+        let smallest = i;
+
+        if (left < items.length && items[left].distance < items[smallest].distance) smallest = left;
+        if (right < items.length && items[right].distance < items[smallest].distance) smallest = right;
+        if (smallest === i) break;
+
+        [items[smallest], items[i]] = [items[i], items[smallest]];
+        i = smallest;
+      }
+    }
+
+    return top;
+  }
+}
+
+/**
+ * Cola de prioridad binaria máxima (invierte el signo de la distancia)
+ */
+class MaxHeap {
+  constructor() {
+    this.heap = new MinHeap();
+  }
+
+  get size() {
+    return this.heap.size;
+  }
+
+  peek() {
+    const top = this.heap.peek();
+    return top ? top.item : undefined;
+  }
+
+  push(item) {
+    this.heap.push({ distance: -item.distance, item });
+  }
+
+  pop() {
+    return this.heap.pop().item;
+  }
+
+  toArray() {
+    return this.heap.items.map(entry => entry.item);
+  }
+}
+
+/**
+ * Normaliza un vector a longitud 1 (copia)
+ * @param {Array<number>|Float32Array} vector - Vector de entrada
+ * @returns {Float32Array} - Vector normalizado
+ */
+function normalize(vector) {
+  const normalized = Float32Array.from(vector);
+  let magnitude = 0;
+
+  for (let i = 0; i < normalized.length; i++) {
+    magnitude += normalized[i] * normalized[i];
+  }
+
+  magnitude = Math.sqrt(magnitude);
+  if (magnitude === 0) return normalized;
+
+  for (let i = 0; i < normalized.length; i++) {
+    normalized[i] /= magnitude;
+  }
+
+  return normalized;
+}
+
+/**
+ * Producto punto entre dos vectores de la misma dimensión
+ */
+function dot(a, b) {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) {
+    sum += a[i] * b[i];
+  }
+  return sum;
+}
+
+class HNSWIndex {
+  /**
+   * @param {Object} options
+   * @param {number} options.m - Vecinos por nodo en capas superiores (capa 0 usa 2*M)
+   * @param {number} options.efConstruction - Tamaño de la lista de candidatos al insertar
+   * @param {number} options.efSearch - Tamaño de la lista de candidatos al buscar
+   */
+  constructor({ m = 16, efConstruction = 100, efSearch = 64 } = {}) {
+    this.m = m;
+    this.maxNeighbours0 = m * 2;
+    this.efConstruction = efConstruction;
+    this.efSearch = efSearch;
+    this.levelMultiplier = 1 / Math.log(m);
+
+    this.clear();
+  }
+
+  /**
+   * Vacía el índice
+   */
+  clear() {
+    this.ids = [];               // nodo -> id externo
+    this.nodeById = new Map();   // id externo -> nodo
+    this.vectors = [];           // nodo -> Float32Array normalizado
+    this.levels = [];            // nodo -> nivel máximo
+    this.neighbours = [];        // nodo -> [capa] -> Array<nodo>
+    this.deleted = new Set();    // nodos eliminados (tombstones)
+    this.entryPoint = -1;
+    this.maxLevel = -1;
+    this.dimension = null;
+  }
+
+  /**
+   * Número de vectores activos en el índice
+   */
+  get size() {
+    return this.nodeById.size;
+  }
+
+  /**
+   * Verifica si un id está indexado
+   * @param {string} id - ID del chunk
+   * @returns {boolean}
+   */
+  has(id) {
+    return this.nodeById.has(id);
+  }
+
+  /**
+   * Sortea el nivel de un nuevo nodo (distribución exponencial)
+   */
+  randomLevel() {
+    return Math.floor(-Math.log(Math.random() || Number.MIN_VALUE) * this.levelMultiplier);
+  }
+
+  /**
+   * Búsqueda voraz dentro de una capa
+   * @param {Float32Array} query - Vector normalizado
+   * @param {Array<number>} entryNodes - Nodos de entrada
+   * @param {number} ef - Tamaño de la lista dinámica de candidatos
+   * @param {number} layer - Capa a recorrer
+   * @returns {Array<{node, distance}>} - Hasta `ef` nodos más cercanos
+   */
+  searchLayer(query, entryNodes, ef, layer) {
+    const visited = new Set(entryNodes);
+    const candidates = new MinHeap();
+    const results = new MaxHeap();
+
+    for (const node of entryNodes) {
+      const distance = 1 - dot(query, this.vectors[node]);
+      candidates.push({ node, distance });
+      results.push({ node, distance });
+    }
+
+    while (candidates.size > 0) {
+      const current = candidates.pop();
+      const farthest = results.peek();
+
+      if (current.distance > farthest.distance && results.size >= ef) {
+        break;
+      }
+
+      const neighbours = this.neighbours[current.node][layer] || [];
+
+      for (const neighbour of neighbours) {
+        if (visited.has(neighbour)) continue;
+        visited.add(neighbour);
+
+        const distance = 1 - dot(query, this.vectors[neighbour]);
+
+        if (results.size < ef || distance < results.peek().distance) {
+          candidates.push({ node: neighbour, distance });
+          results.push({ node: neighbour, distance });
+
+          if (results.size > ef) {
+            results.pop();
+          }
+        }
+      }
+    }
+
+    return results.toArray().sort((a, b) => a.distance - b.distance);
+  }
+
+  /**
+   * Selecciona vecinos con la heurística de HNSW (favorece diversidad de direcciones)
+   * @param {Array<{node, distance}>} candidates - Candidatos ordenados por distancia
+   * @param {number} maxNeighbours - Número máximo de vecinos
+   * @returns {Array<number>} - Nodos seleccionados
+   */
+  selectNeighbours(candidates, maxNeighbours) {
+    const selected = [];
+
+    for (const candidate of candidates) {
+      if (selected.length >= maxNeighbours) break;
+
+      const dominated = selected.some(other =>
+        1 - dot(this.vectors[candidate.node], this.vectors[other]) < candidate.distance
+      );
+
+      if (!dominated) {
+        selected.push(candidate.node);
+      }
+    }
+
+    // Completar con los más cercanos si la heurística descartó demasiados
+    for (const candidate of candidates) {
+      if (selected.length >= maxNeighbours) break;
+      if (!selected.includes(candidate.node)) {
+        selected.push(candidate.node);
+      }
+    }
+
+    return selected;
+  }
+
+  /**
+   * Agrega (o reemplaza) un vector en el índice
+   * @param {string} id - ID del chunk
+   * @param {Array<number>|Float32Array} vector - Vector de embedding
+   */
+  add(id, vector) {
+    if (this.dimension === null) {
+      this.dimension = vector.length;
+    } else if (vector.length !== this.dimension) {
+      throw new Error(`Dimensión de vector inválida para el índice ANN: ${vector.length} (esperado ${this.dimension})`);
+    }
+
+    if (this.nodeById.has(id)) {
+      this.remove(id);
+    }
+
+    const node = this.ids.length;
+    const level = this.randomLevel();
+
+    this.ids.push(id);
+    this.vectors.push(normalize(vector));
+    this.levels.push(level);
+    this.neighbours.push(Array.from({ length: level + 1 }, () => []));
+    this.nodeById.set(id, node);
+
+    if (this.entryPoint === -1) {
+      this.entryPoint = node;
+      this.maxLevel = level;
+      return;
+    }
+
+    const query = this.vectors[node];
+    let entryNodes = [this.entryPoint];
+
+    // Descenso voraz por las capas superiores al nivel del nuevo nodo
+    for (let layer = this.maxLevel; layer > level; layer--) {
+      entryNodes = [this.searchLayer(query, entryNodes, 1, layer)[0].node];
+    }
+
+    for (let layer = Math.min(level, this.maxLevel); layer >= 0; layer--) {
+      const candidates = this.searchLayer(query, entryNodes, this.efConstruction, layer);
+      const maxNeighbours = layer === 0 ? this.maxNeighbours0 : this.m;
+      const selected = this.selectNeighbours(candidates, maxNeighbours);
+
+      this.neighbours[node][layer] = selected;
+
+      for (const neighbour of selected) {
+        const links = this.neighbours[neighbour][layer];
+        links.push(node);
+
+        if (links.length > maxNeighbours) {
+          const scored = links
+            .map(other => ({ node: other, distance: 1 - dot(this.vectors[neighbour], this.vectors[other]) }))
+            .sort((a, b) => a.distance - b.distance);
+          this.neighbours[neighbour][layer] = this.selectNeighbours(scored, maxNeighbours);
+        }
+      }
+
+      entryNodes = candidates.map(c => c.node);
+    }
+
+    if (level > this.maxLevel) {
+      this.entryPoint = node;
+      this.maxLevel = level;
+    }
+  }
+
+  /**
+   * Marca un vector como eliminado. El nodo se mantiene en el grafo para
+   * conservar la conectividad y se descarta en los resultados.
+   * @param {string} id - ID del chunk
+   * @returns {boolean} - true si el id estaba indexado
+   */
+  remove(id) {
+    const node = this.nodeById.get(id);
+    if (node === undefined) return false;
+
+    this.nodeById.delete(id);
+    this.deleted.add(node);
+    return true;
+  }
+
+  /**
+   * Proporción de nodos eliminados respecto del total del grafo
+   */
+  get deletedRatio() {
+    return this.ids.length === 0 ? 0 : this.deleted.size / this.ids.length;
+  }
+
+  /**
+   * Busca los vecinos más cercanos a un vector de consulta
+   * @param {Array<number>|Float32Array} queryVector - Vector de consulta
+   * @param {number} k - Número de resultados
+   * @param {number} ef - Tamaño de la lista de candidatos (>= k)
+   * @returns {Array<{id: string, similarity: number}>}
+   */
+  search(queryVector, k, ef = this.efSearch) {
+    if (this.size === 0) return [];
+
+    if (queryVector.length !== this.dimension) {
+      throw new Error(`Dimensión de consulta inválida para el índice ANN: ${queryVector.length} (esperado ${this.dimension})`);
+    }
+
+    const query = normalize(queryVector);
+    let entryNodes = [this.entryPoint];
+
+    for (let layer = this.maxLevel; layer > 0; layer--) {
+      entryNodes = [this.searchLayer(query, entryNodes, 1, layer)[0].node];
+    }
+
+    // Ampliar ef según los tombstones para no quedarnos cortos de resultados vivos
+    const effectiveEf = Math.ceil(Math.max(ef, k) / Math.max(1 - this.deletedRatio, 0.1));
+    const candidates = this.searchLayer(query, entryNodes, effectiveEf, 0);
+
+    return candidates
+      .filter(c => !this.deleted.has(c.node))
+      .slice(0, k)
+      .map(c => ({ id: this.ids[c.node], similarity: 1 - c.distance }));
+  }
+
+  /**
+   * Serializa la estructura del grafo (sin vectores)
+   * @returns {Object}
+   */
+  toJSON() {
+    return {
+      version: INDEX_FORMAT_VERSION,
+      m: this.m,
+      efConstruction: this.efConstruction,
+      dimension: this.dimension,
+      entryPoint: this.entryPoint,
+      maxLevel: this.maxLevel,
+      ids: this.ids,
+      levels: this.levels,
+      neighbours: this.neighbours,
+      deleted: Array.from(this.deleted)
+    };
+  }
+
+  /**
+   * Guarda el grafo en disco de forma atómica (escritura + rename)
+   * @param {string} filePath - Ruta del archivo de índice
+   */
+  save(filePath) {
+    const tmpPath = `${filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(this.toJSON()));
+    fs.renameSync(tmpPath, filePath);
+  }
+
+  /**
+   * Carga un grafo persistido y lo combina con los vectores actuales
+   *
+   * Los ids que ya no existen en `vectorsById` se marcan como eliminados; los
+   * ids nuevos deben agregarse después con `add()`.
+   *
+   * @param {string} filePath - Ruta del archivo de índice
+   * @param {Map<string, Float32Array>} vectorsById - Vectores cargados desde SQLite
+   * @param {Object} options - Opciones del constructor
+   * @returns {HNSWIndex|null} - null si el archivo no existe o es incompatible
+   */
+  static load(filePath, vectorsById, options = {}) {
+    if (!fs.existsSync(filePath)) return null;
+
+    let data;
+    try {
+      data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      console.error('⚠️  Índice ANN corrupto, se reconstruirá:', error.message);
+      return null;
+    }
+
+    if (data.version !== INDEX_FORMAT_VERSION || (options.m && data.m !== options.m)) {
+      return null;
+    }
+
+    const index = new HNSWIndex({ ...options, m: data.m });
+    const deleted = new Set(data.deleted);
+
+    index.dimension = data.dimension;
+    index.entryPoint = data.entryPoint;
+    index.maxLevel = data.maxLevel;
+    index.ids = data.ids;
+    index.levels = data.levels;
+    index.neighbours = data.neighbours;
+
+    for (let node = 0; node < data.ids.length; node++) {
+      const id = data.ids[node];
+      const vector = vectorsById.get(id);
+
+      if (vector && vector.length === data.dimension) {
+        index.vectors[node] = normalize(vector);
+      } else {
+        // El nodo se conserva para la navegación, pero sin vector útil
+        index.vectors[node] = new Float32Array(data.dimension || 0);
+        deleted.add(node);
+      }
+
+      if (!deleted.has(node)) {
+        index.nodeById.set(id, node);
+      }
+    }
+
+    index.deleted = deleted;
+    return index;
+  }
+}
+
+module.exports = HNSWIndex;
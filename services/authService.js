@@ -139,8 +139,62 @@ class AuthService {
   /**
    * Guarda mensaje de chat en el historial
    */
-  saveChatMessage(userId, question, answer, sources = null) {
-    return this.userDb.saveChatMessage(userId, question, answer, sources);
+  saveChatMessage(userId, question, answer, sources = null, conversationId = null) {
+    return this.userDb.saveChatMessage(userId, question, answer, sources, conversationId);
+  }
+
+  /**
+   * Obtiene los últimos turnos de una conversación del usuario (del más antiguo al más reciente)
+   */
+  getConversationTurns(userId, conversationId, limit = 4) {
+    return this.userDb.getConversationTurns(userId, conversationId, limit);
+  }
+
+  /**
+   * Obtiene una conversación si pertenece al usuario (null si no existe o es de otro usuario)
+   */
+  getUserConversation(userId, conversationId) {
+    const conversation = this.userDb.findConversation(conversationId);
+    return conversation && conversation.user_id === userId ? conversation : null;
+  }
+
+  /**
+   * Indica si el usuario puede escribir en una conversación: es suya o todavía no existe
+   */
+  canUseConversation(userId, conversationId) {
+    const conversation = this.userDb.findConversation(conversationId);
+    return !conversation || conversation.user_id === userId;
+  }
+
+  /**
+   * Lista las conversaciones del usuario, la más reciente primero
+   */
+  listConversations(userId, limit = 50, offset = 0) {
+    return {
+      conversations: this.userDb.listConversations(userId, limit, offset),
+      total: this.userDb.countConversations(userId)
+    };
+  }
+
+  /**
+   * Obtiene los mensajes de una conversación en orden
+   */
+  getConversationMessages(conversationId) {
+    return this.userDb.getConversationMessages(conversationId);
+  }
+
+  /**
+   * Renombra una conversación
+   */
+  renameConversation(conversationId, title) {
+    return this.userDb.renameConversation(conversationId, title);
+  }
+
+  /**
+   * Elimina una conversación y sus mensajes
+   */
+  deleteConversation(conversationId) {
+    return this.userDb.deleteConversation(conversationId);
   }
 
   /**
@@ -0,0 +1,220 @@
+/**
+ * Importación Masiva
+ *
+ * Reúne los archivos de una importación masiva (archivo ZIP, varios archivos en una
+ * request o un directorio del servidor) y los copia a uploads/ con un nombre único,
+ * listos para el pipeline de ingesta. Los que no se pueden importar se informan con
+ * su motivo en lugar de interrumpir el lote.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const JSZip = require('jszip');
+const { getLoader } = require('./documentLoaders');
+const { hashFile } = require('./documentProcessor');
+
+const ARCHIVE_EXTENSIONS = ['.zip'];
+
+/**
+ * Indica si un archivo es un archivo comprimido que se expande al importarlo
+ * @param {string} filename - Nombre del archivo
+ * @returns {boolean}
+ */
+function isArchive(filename) {
+  return ARCHIVE_EXTENSIONS.includes(path.extname(filename).toLowerCase());
+}
+
+/**
+ * Indica si una ruta se ignora al importar (archivos ocultos y metadatos de macOS)
+ * @param {string} relativePath - Ruta dentro del ZIP o del directorio
+ * @returns {boolean}
+ */
+function isIgnoredPath(relativePath) {
+  return relativePath.split(/[\\/]/).some(part => part.startsWith('.') || part === '__MACOSX');
+}
+
+/**
+ * Genera un nombre libre en uploads/ con el mismo formato que Multer (`<timestamp>-<nombre>`)
+ * En un lote se importan varios archivos por milisegundo, así que avanza el timestamp hasta no chocar
+ *
+ * @param {string} uploadsDir - Directorio de uploads
+ * @param {string} originalName - Nombre original (sin directorios)
+ * @returns {string}
+ */
+function createUploadFilename(uploadsDir, originalName) {
+  let timestamp = Date.now();
+  while (fs.existsSync(path.join(uploadsDir, `${timestamp}-${originalName}`))) {
+    timestamp++;
+  }
+  return `${timestamp}-${originalName}`;
+}
+
+/**
+ * Describe un archivo ya copiado a uploads/ con la forma de un archivo de Multer
+ * @returns {Object} - {filename, originalname, path, size, mimetype, source}
+ */
+function toUploadedFile(uploadsDir, filename, originalName, source) {
+  const filePath = path.join(uploadsDir, filename);
+  return {
+    filename,
+    originalname: originalName,
+    path: filePath,
+    size: fs.statSync(filePath).size,
+    mimetype: getLoader(originalName).mimeType,
+    source
+  };
+}
+
+/**
+ * Stream que cuenta los bytes que pasan y falla en cuanto superan el máximo
+ * @param {number} maxBytes - Bytes permitidos
+ * @param {string} message - Mensaje del error
+ * @returns {Transform} - Con `bytes` = bytes que pasaron
+ */
+function createByteLimiter(maxBytes, message) {
+  const limiter = new Transform({
+    transform(chunk, encoding, callback) {
+      limiter.bytes += chunk.length;
+      if (limiter.bytes > maxBytes) {
+        callback(new Error(message));
+      } else {
+        callback(null, chunk);
+      }
+    }
+  });
+  limiter.bytes = 0;
+  return limiter;
+}
+
+/**
+ * Extrae los documentos soportados de un ZIP a uploads/
+ * Se usa solo el nombre de cada entrada (nunca su ruta), así una entrada `../x` no sale de uploads/.
+ * Los tamaños que declara el ZIP no son confiables: cada entrada se descomprime en streaming
+ * y se cuentan los bytes realmente escritos. Si se supera el límite no queda nada extraído.
+ *
+ * @param {string} zipPath - Ruta del ZIP
+ * @param {string} uploadsDir - Directorio de uploads
+ * @param {Object} limits - {maxFiles, maxBytes} (maxBytes: bytes descomprimidos que quedan disponibles)
+ * @returns {Promise<{files: Array<Object>, skipped: Array<{file: string, reason: string}>, bytes: number}>}
+ * @throws {Error} Si el ZIP es inválido o supera los límites
+ */
+async function extractZipArchive(zipPath, uploadsDir, { maxFiles, maxBytes }) {
+  const zip = await JSZip.loadAsync(await fs.promises.readFile(zipPath));
+  const entries = Object.values(zip.files).filter(entry => !entry.dir && !isIgnoredPath(entry.name));
+
+  const skipped = [];
+  const supported = [];
+  for (const entry of entries) {
+    if (getLoader(entry.name)) {
+      supported.push(entry);
+    } else {
+      skipped.push({ file: entry.name, reason: `Tipo de archivo no soportado: ${path.extname(entry.name) || entry.name}` });
+    }
+  }
+
+  if (supported.length > maxFiles) {
+    throw new Error(`El ZIP contiene ${supported.length} documentos (máximo ${maxFiles})`);
+  }
+
+  const files = [];
+  let bytes = 0;
+  try {
+    for (const entry of supported) {
+      const originalName = path.posix.basename(entry.name.replace(/\\/g, '/'));
+      const filename = createUploadFilename(uploadsDir, originalName);
+      const limiter = createByteLimiter(maxBytes - bytes, 'El contenido descomprimido supera el tamaño máximo de la importación');
+
+      // Se registra antes de escribir para borrarlo también si la escritura falla a medias
+      files.push({ filename, originalName, source: entry.name });
+      await pipeline(entry.nodeStream('nodebuffer'), limiter, fs.createWriteStream(path.join(uploadsDir, filename)));
+      bytes += limiter.bytes;
+    }
+  } catch (error) {
+    files.forEach(file => fs.rmSync(path.join(uploadsDir, file.filename), { force: true }));
+    throw error;
+  }
+
+  return {
+    files: files.map(file => toUploadedFile(uploadsDir, file.filename, file.originalName, file.source)),
+    skipped,
+    bytes
+  };
+}
+
+/**
+ * Lista recursivamente los archivos de un directorio (orden alfabético, sin ocultos)
+ * @param {string} dir - Directorio raíz
+ * @returns {Promise<{files: Array<string>, skipped: Array<{file: string, reason: string}>}>}
+ *   Rutas relativas a `dir` de los documentos soportados y de los descartados
+ */
+async function listDirectoryDocuments(dir) {
+  const entries = await fs.promises.readdir(dir, { recursive: true, withFileTypes: true });
+  const files = [];
+  const skipped = [];
+
+  for (const entry of entries) {
+    if (!entry.isFile()) continue;
+
+    const relativePath = path.relative(dir, path.join(entry.parentPath ?? entry.path, entry.name));
+    if (isIgnoredPath(relativePath)) continue;
+
+    if (getLoader(entry.name)) {
+      files.push(relativePath);
+    } else {
+      skipped.push({ file: relativePath, reason: `Tipo de archivo no soportado: ${path.extname(entry.name) || entry.name}` });
+    }
+  }
+
+  files.sort();
+  return { files, skipped };
+}
+
+/**
+ * Copia un archivo local a uploads/
+ * @param {string} sourcePath - Ruta del archivo
+ * @param {string} uploadsDir - Directorio de uploads
+ * @param {string} source - Ruta a mostrar en el reporte
+ * @returns {Promise<Object>} - Archivo con la forma de Multer
+ */
+async function copyToUploads(sourcePath, uploadsDir, source = sourcePath) {
+  const originalName = path.basename(sourcePath);
+  const filename = createUploadFilename(uploadsDir, originalName);
+  await fs.promises.copyFile(sourcePath, path.join(uploadsDir, filename));
+  return toUploadedFile(uploadsDir, filename, originalName, source);
+}
+
+/**
+ * Calcula el hash de un archivo y busca si su contenido ya fue ingerido
+ * @param {Object} file - Archivo (formato Multer)
+ * @param {Object} documentRegistry - Instancia de DocumentRegistry
+ * @returns {Promise<{sha256: string, existing: Object|null}>}
+ */
+async function findDuplicate(file, documentRegistry) {
+  const sha256 = await hashFile(file.path);
+  return { sha256, existing: documentRegistry.findByHash(sha256) };
+}
+
+/**
+ * Resume un reporte de importación por estado
+ * @param {Array<{status: string}>} report - Entradas del reporte
+ * @returns {Object} - {total, <status>: número}
+ */
+function summarizeReport(report) {
+  const summary = { total: report.length };
+  for (const item of report) {
+    summary[item.status] = (summary[item.status] || 0) + 1;
+  }
+  return summary;
+}
+
+module.exports = {
+  isArchive,
+  extractZipArchive,
+  listDirectoryDocuments,
+  copyToUploads,
+  findDuplicate,
+  summarizeReport,
+  ARCHIVE_EXTENSIONS
+};
@@ -0,0 +1,163 @@
+/**
+ * Editor de Chunks
+ *
+ * Correcciones manuales sobre los chunks ya indexados de un documento, sin volver a
+ * procesar el archivo: editar el texto de un chunk (solo ese chunk se vuelve a embeber),
+ * excluirlo de la recuperación, o unir y dividir chunks consecutivos.
+ *
+ * Unir y dividir cambian la cantidad de chunks: los siguientes se renumeran para que
+ * los índices sigan siendo contiguos (ver VectorStore.spliceChunks).
+ *
+ * Mientras se generan los embeddings otra edición puede cambiar el documento: los cambios
+ * solo se guardan si los chunks siguen siendo los que se leyeron (si no, devuelven null/false).
+ */
+
+const { buildEmbeddingText } = require('./documentLoaders');
+const { generateEmbeddings } = require('./embeddingService');
+const { joinWithoutOverlap } = require('./contextExpansion');
+const { countTokens } = require('./tokenizer');
+
+/**
+ * Chunks de un documento con su tamaño, para el inspector
+ * @param {string} filename - Nombre del archivo
+ * @param {Object} vectorStore - Instancia de VectorStore
+ * @returns {Array<Object>} - Chunks (ver VectorStore.getDocumentChunks) con `chars` y `tokens`
+ */
+function listChunks(filename, vectorStore) {
+  return vectorStore.getDocumentChunks(filename).map(chunk => ({
+    ...chunk,
+    chars: chunk.text.length,
+    tokens: countTokens(chunk.text)
+  }));
+}
+
+/**
+ * Embebe chunks con el modelo activo del almacén, igual que en la ingesta
+ * @param {Array<{text: string, section: string|null}>} chunks - Chunks a embeber
+ * @param {string} filename - Nombre del archivo (determina el formato)
+ * @param {Object} vectorStore - Instancia de VectorStore
+ * @returns {Promise<Array<Array<number>>>}
+ */
+function embedChunks(chunks, filename, vectorStore) {
+  return generateEmbeddings(
+    chunks.map(chunk => buildEmbeddingText(chunk.text, chunk.section, filename)),
+    vectorStore.getEmbeddingModel() || undefined
+  );
+}
+
+/**
+ * Campos que un chunk nuevo hereda del chunk original
+ * @param {Object} chunk - Chunk original
+ * @returns {Object}
+ */
+function inheritedFields(chunk) {
+  return {
+    section: chunk.section,
+    collection: chunk.collection,
+    version: chunk.version,
+    isCurrent: chunk.isCurrent,
+    editedAt: Math.floor(Date.now() / 1000)
+  };
+}
+
+/**
+ * Reemplaza el texto de un chunk y vuelve a embeber solo ese chunk
+ * @param {string} filename - Nombre del archivo
+ * @param {Object} chunk - Chunk actual (de listChunks)
+ * @param {string} text - Texto nuevo
+ * @param {Object} vectorStore - Instancia de VectorStore
+ * @returns {Promise<boolean>} - false si el chunk cambió mientras se generaba el embedding
+ */
+async function editChunk(filename, chunk, text, vectorStore) {
+  const [embedding] = await embedChunks([{ text, section: chunk.section }], filename, vectorStore);
+  if (!vectorStore.updateChunkText(chunk.id, text, embedding, chunk.text)) {
+    return false;
+  }
+
+  console.log(`✏️  Chunk ${chunk.index} de ${filename} editado y re-embebido`);
+  return true;
+}
+
+/**
+ * Une chunks consecutivos en uno solo (sin repetir el overlap entre ellos)
+ * El resultado abarca todas sus páginas y queda excluido solo si todos lo estaban
+ *
+ * @param {string} filename - Nombre del archivo
+ * @param {Array<Object>} chunks - Chunks consecutivos a unir, en orden (de listChunks)
+ * @param {Object} services - {vectorStore, documentRegistry}
+ * @returns {Promise<number|null>} - Chunks del documento después de unir (null si cambiaron mientras tanto)
+ */
+async function mergeChunks(filename, chunks, { vectorStore, documentRegistry }) {
+  const first = chunks[0];
+  const last = chunks[chunks.length - 1];
+  const pages = chunks.flatMap(chunk => [chunk.pageStart, chunk.pageEnd]).filter(page => page !== null);
+
+  const merged = {
+    ...inheritedFields(first),
+    text: chunks.slice(1).reduce((text, chunk) => joinWithoutOverlap(text, chunk.text), first.text),
+    page: first.page,
+    pageStart: pages.length > 0 ? Math.min(...pages) : null,
+    pageEnd: pages.length > 0 ? Math.max(...pages) : null,
+    charStart: first.charStart,
+    charEnd: last.charEnd,
+    excluded: chunks.every(chunk => chunk.excluded)
+  };
+
+  [merged.embedding] = await embedChunks([merged], filename, vectorStore);
+
+  const total = vectorStore.spliceChunks(filename, first.index, chunks, [merged]);
+  if (total === null) return null;
+
+  documentRegistry.setChunkCount(filename, total);
+  console.log(`🔗 Chunks ${first.index}-${last.index} de ${filename} unidos (${total} chunks)`);
+
+  return total;
+}
+
+/**
+ * Divide un chunk en dos en una posición de su texto
+ * Las posiciones en el documento se reparten en proporción al texto; ambas partes
+ * conservan las páginas del chunk original
+ *
+ * @param {string} filename - Nombre del archivo
+ * @param {Object} chunk - Chunk a dividir (de listChunks)
+ * @param {number} at - Posición del corte dentro del texto (1..length-1)
+ * @param {Object} services - {vectorStore, documentRegistry}
+ * @returns {Promise<number|null>} - Chunks del documento después de dividir (null si cambió mientras tanto)
+ */
+async function splitChunk(filename, chunk, at, { vectorStore, documentRegistry }) {
+  const hasOffsets = chunk.charStart !== null && chunk.charEnd !== null;
+  const splitOffset = hasOffsets
+    ? chunk.charStart + Math.round((chunk.charEnd - chunk.charStart) * at / chunk.text.length)
+    : null;
+
+  const location = {
+    ...inheritedFields(chunk),
+    page: chunk.page,
+    pageStart: chunk.pageStart,
+    pageEnd: chunk.pageEnd,
+    excluded: chunk.excluded
+  };
+  const parts = [
+    { ...location, text: chunk.text.slice(0, at).trim(), charStart: chunk.charStart, charEnd: splitOffset },
+    { ...location, text: chunk.text.slice(at).trim(), charStart: splitOffset, charEnd: chunk.charEnd }
+  ];
+
+  const embeddings = await embedChunks(parts, filename, vectorStore);
+  parts.forEach((part, i) => { part.embedding = embeddings[i]; });
+
+  const total = vectorStore.spliceChunks(filename, chunk.index, [chunk], parts);
+  if (total === null) return null;
+
+  documentRegistry.setChunkCount(filename, total);
+  console.log(`✂️  Chunk ${chunk.index} de ${filename} dividido (${total} chunks)`);
+
+  return total;
+}
+
+module.exports = {
+  listChunks,
+  editChunk,
+  mergeChunks,
+  splitChunk
+};
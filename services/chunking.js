@@ -1,3 +1,18 @@
+const { countTokens } = require('./tokenizer');
+const { segmentSentences, resolveLanguage, getSegmentationQuality } = require('./sentenceSegmenter');
+
+// Estrategias de chunking disponibles (config.rag.chunkStrategy)
+const CHUNK_STRATEGIES = ['semantic', 'structure', 'fixed'];
+
+// Unidades en las que se mide el tamaño de un chunk (config.rag.chunkUnit)
+const CHUNK_UNITS = ['chars', 'tokens'];
+
+// Inicio de un ítem de lista: viñeta, número o letra ("1.", "2)", "a)", "(iv)")
+const LIST_ITEM_PATTERN = /^\s*(?:[•·▪◦‣●○■□➢►✓✔*–-]\s+|\(?(?:\d{1,3}|[a-zA-Z]|[ivxIVX]{1,4})[.)]\s+)/;
+
+// Tamaño mínimo de un chunk (los más cortos se descartan)
+const MIN_CHUNK_LENGTH = 20;
+
 /**
  * Módulo de Chunking Semántico
  *
@@ -6,67 +21,102 @@
  * @param {string} text - Texto a dividir
  * @param {number} maxChunkSize - Tamaño máximo del chunk en caracteres (default: 500)
  * @param {number} overlapSentences - Número de oraciones a repetir entre chunks (default: 1)
+ * @param {string} unit - Unidad de maxChunkSize: 'chars' o 'tokens' (default: 'chars')
+ * @param {string} language - Idioma para las abreviaturas: 'auto', 'es' o 'en' (default: 'auto')
  * @returns {Array<string>} - Array de chunks
  */
-function splitIntoSemanticChunks(text, maxChunkSize = 500, overlapSentences = 1) {
-  // 1. Limpieza básica del texto
-  text = text
-    .replace(/\s+/g, ' ')           // Normalizar espacios múltiples
-    .replace(/\n+/g, '\n')          // Normalizar saltos de línea
-    .trim();
-
-  if (!text || text.length === 0) {
+function splitIntoSemanticChunks(text, maxChunkSize = 500, overlapSentences = 1, unit = 'chars', language = 'auto') {
+  return splitIntoSemanticChunksWithOffsets(text, maxChunkSize, overlapSentences, unit, language).map(chunk => chunk.text);
+}
+
+/**
+ * Devuelve la función que mide el tamaño de un texto en la unidad indicada
+ * En 'tokens' usa el tokenizador aproximado (ver tokenizer.js)
+ *
+ * @param {string} unit - 'chars' o 'tokens'
+ * @returns {Function} - (text) => tamaño
+ */
+function createMeasure(unit = 'chars') {
+  return unit === 'tokens' ? countTokens : text => text.length;
+}
+
+/**
+ * Divide texto en chunks semánticos conservando su posición en el texto original
+ *
+ * El texto del chunk tiene los espacios colapsados, pero `charStart`/`charEnd` apuntan al
+ * texto recibido: el chunk abarca text.slice(charStart, charEnd). Con overlap, los rangos
+ * de chunks consecutivos se solapan.
+ *
+ * @param {string} text - Texto a dividir
+ * @param {number} maxChunkSize - Tamaño máximo del chunk en caracteres (default: 500)
+ * @param {number} overlapSentences - Número de oraciones a repetir entre chunks (default: 1)
+ * @param {string} unit - Unidad de maxChunkSize: 'chars' o 'tokens' (default: 'chars')
+ * @param {string} language - Idioma para las abreviaturas: 'auto', 'es' o 'en' (default: 'auto')
+ * @returns {Array<{text: string, charStart: number, charEnd: number}>} - Chunks con su posición
+ */
+function splitIntoSemanticChunksWithOffsets(text, maxChunkSize = 500, overlapSentences = 1, unit = 'chars', language = 'auto') {
+  const measure = createMeasure(unit);
+
+  if (!text || !text.trim()) {
     return [];
   }
 
-  // 2. Dividir en oraciones usando regex mejorado para español
-  // Detecta finales de oración: . ! ? seguidos de espacio/mayúscula o fin de texto
-  const sentenceRegex = /[^.!?]+[.!?]+(?:\s+|$)/g;
-
-  let sentences = text.match(sentenceRegex) || [];
+  // 1. Dividir en oraciones con el segmentador (abreviaturas, decimales, URLs, "¿...?")
+  // El texto sin puntuación (títulos, listas, filas de tabla) se divide por líneas
+  const resolvedLanguage = resolveLanguage(language, text);
+  const ranges = segmentSentences(text, { language: resolvedLanguage });
 
   console.log(`\n🔍 DEBUG Chunking:`);
-  console.log(`   Texto total: ${text.length} caracteres`);
-  console.log(`   Primeros 300 chars: "${text.substring(0, 300)}"`);
-  console.log(`   Oraciones detectadas por regex: ${sentences.length}`);
-
-  // Si no se detectaron oraciones con el regex (texto sin puntuación), usar todo el texto
-  if (sentences.length === 0) {
-    console.log(`   ⚠️  NO SE DETECTARON ORACIONES - el texto no tiene puntuación`);
-    console.log(`   Se usará el texto completo como 1 solo chunk`);
-    sentences = [text];
-  } else {
-    console.log(`   ✓ ${sentences.length} oraciones encontradas`);
-    console.log(`   Primeras 3 oraciones:`);
-    sentences.slice(0, 3).forEach((s, i) => {
-      console.log(`      ${i + 1}. "${s.substring(0, 100)}${s.length > 100 ? '...' : ''}"`);
-    });
-  }
+  console.log(`   Texto total: ${text.length} caracteres (idioma: ${resolvedLanguage})`);
+  console.log(`   Primeros 300 chars: "${text.substring(0, 300).replace(/\s+/g, ' ')}"`);
+  console.log(`   Oraciones detectadas: ${ranges.length} (${ranges.filter(r => r.source === 'line').length} por líneas)`);
 
-  // Limpiar oraciones (quitar espacios extras)
-  sentences = sentences.map(s => s.trim()).filter(s => s.length > 0);
+  // 2. Texto de cada oración con los espacios colapsados y su rango [start, end) en el texto
+  const sentences = ranges.map(range => ({
+    text: text.slice(range.start, range.end).replace(/\s+/g, ' '),
+    start: range.start,
+    end: range.end
+  }));
+
+  console.log(`   Primeras 3 oraciones:`);
+  sentences.slice(0, 3).forEach((s, i) => {
+    console.log(`      ${i + 1}. "${s.text.substring(0, 100)}${s.text.length > 100 ? '...' : ''}"`);
+  });
 
   // 3. Agrupar oraciones en chunks respetando maxChunkSize
   const chunks = [];
   let currentChunk = [];
   let currentSize = 0;
 
+  const pushChunk = (parts) => {
+    chunks.push({
+      text: parts.map(s => s.text).join(' '),
+      start: parts[0].start,
+      end: parts[parts.length - 1].end
+    });
+  };
+
   for (let i = 0; i < sentences.length; i++) {
     const sentence = sentences[i];
-    const sentenceSize = sentence.length;
+    const sentenceSize = measure(sentence.text);
 
     // Caso especial: Una sola oración excede maxChunkSize
     if (sentenceSize > maxChunkSize) {
       // Si ya tenemos contenido en currentChunk, guardarlo primero
       if (currentChunk.length > 0) {
-        chunks.push(currentChunk.join(' '));
+        pushChunk(currentChunk);
         currentChunk = [];
         currentSize = 0;
       }
 
-      // Dividir la oración larga por palabras
-      const subChunks = splitLongSentenceByWords(sentence, maxChunkSize);
-      chunks.push(...subChunks);
+      // Dividir la oración larga por palabras (mismo largo que en el texto para conservar posiciones)
+      const segment = text.slice(sentence.start, sentence.end).replace(/\s/g, ' ');
+      const subChunks = splitLongSentenceByWords(segment, maxChunkSize, measure);
+      chunks.push(...subChunks.map(sub => ({
+        text: sub.text,
+        start: sentence.start + sub.start,
+        end: sentence.start + sub.end
+      })));
       continue;
     }
 
@@ -75,13 +125,13 @@ function splitIntoSemanticChunks(text, maxChunkSize = 500, overlapSentences = 1)
 
     if (wouldExceed && currentChunk.length > 0) {
       // Guardar el chunk actual
-      chunks.push(currentChunk.join(' '));
+      pushChunk(currentChunk);
 
       // Preparar nuevo chunk con overlap
       if (overlapSentences > 0 && currentChunk.length > overlapSentences) {
         // Mantener las últimas N oraciones para contexto
         currentChunk = currentChunk.slice(-overlapSentences);
-        currentSize = currentChunk.reduce((sum, s) => sum + s.length, 0);
+        currentSize = currentChunk.reduce((sum, s) => sum + measure(s.text), 0);
       } else {
         currentChunk = [];
         currentSize = 0;
@@ -95,45 +145,243 @@ function splitIntoSemanticChunks(text, maxChunkSize = 500, overlapSentences = 1)
 
   // Agregar el último chunk si tiene contenido
   if (currentChunk.length > 0) {
-    chunks.push(currentChunk.join(' '));
+    pushChunk(currentChunk);
   }
 
-  // 4. Post-procesamiento: eliminar chunks vacíos o muy pequeños
+  // 4. Post-procesamiento: eliminar chunks muy pequeños
   return chunks
-    .map(chunk => chunk.trim())
-    .filter(chunk => chunk.length > 20); // Mínimo 20 caracteres
+    .filter(chunk => chunk.text.length > MIN_CHUNK_LENGTH)
+    .map(chunk => ({
+      text: chunk.text,
+      charStart: chunk.start,
+      charEnd: chunk.end
+    }));
 }
 
 /**
  * Divide una oración muy larga por palabras cuando excede maxChunkSize
  *
- * @param {string} sentence - Oración a dividir
+ * @param {string} sentence - Oración a dividir (sin saltos de línea)
  * @param {number} maxChunkSize - Tamaño máximo por chunk
- * @returns {Array<string>} - Array de sub-chunks
+ * @param {Function} measure - Mide el tamaño de un texto (default: caracteres)
+ * @returns {Array<{text: string, start: number, end: number}>} - Sub-chunks con su rango en la oración
  */
-function splitLongSentenceByWords(sentence, maxChunkSize) {
-  const words = sentence.split(/\s+/);
+function splitLongSentenceByWords(sentence, maxChunkSize, measure = text => text.length) {
+  const words = sentence.matchAll(/\S+/g);
   const subChunks = [];
-  let currentSubChunk = '';
+  let current = null;
 
   for (const word of words) {
-    const testChunk = currentSubChunk ? `${currentSubChunk} ${word}` : word;
+    const wordEnd = word.index + word[0].length;
+    // Tamaño del sub-chunk si se le agrega esta palabra (con el espacio que la precede)
+    const grownSize = current ? current.size + measure(sentence.slice(current.end, wordEnd)) : 0;
 
-    if (testChunk.length > maxChunkSize && currentSubChunk) {
+    if (current && grownSize > maxChunkSize) {
       // Guardar el sub-chunk actual y empezar uno nuevo
-      subChunks.push(currentSubChunk.trim());
-      currentSubChunk = word;
-    } else {
-      currentSubChunk = testChunk;
+      subChunks.push(current);
+      current = null;
     }
+
+    current = current
+      ? { text: `${current.text} ${word[0]}`, start: current.start, end: wordEnd, size: grownSize }
+      : { text: word[0], start: word.index, end: wordEnd, size: measure(word[0]) };
   }
 
   // Agregar el último sub-chunk
-  if (currentSubChunk.trim().length > 0) {
-    subChunks.push(currentSubChunk.trim());
+  if (current) {
+    subChunks.push(current);
   }
 
-  return subChunks;
+  return subChunks.map(({ text, start, end }) => ({ text, start, end }));
+}
+
+/**
+ * Deduce bloques de estructura de un texto sin información de layout
+ * Cada línea es un bloque; las que empiezan con viñeta o numeración son ítems de lista
+ *
+ * @param {string} text - Texto completo (bloques separados por saltos de línea)
+ * @returns {Array<{type: string, charStart: number, charEnd: number}>}
+ */
+function detectBlocksFromText(text) {
+  const blocks = [];
+  const lineRegex = /[^\n]+/g;
+  let match;
+
+  while ((match = lineRegex.exec(text)) !== null) {
+    if (!match[0].trim()) continue;
+    blocks.push({
+      type: LIST_ITEM_PATTERN.test(match[0]) ? 'list' : 'paragraph',
+      charStart: match.index,
+      charEnd: match.index + match[0].length
+    });
+  }
+
+  return blocks;
+}
+
+/**
+ * Divide texto en chunks respetando la estructura del documento
+ *
+ * - Los encabezados nunca cierran un chunk: van en el mismo chunk que el contenido que les sigue
+ * - Los párrafos, listas y tablas se agregan enteros mientras quepan; si no caben en el chunk
+ *   actual, empiezan uno nuevo
+ * - Solo una unidad más grande que maxChunkSize se corta: las listas entre ítems, las tablas
+ *   entre filas y los párrafos entre oraciones (con overlap de oraciones)
+ *
+ * @param {string} text - Texto completo del documento
+ * @param {Array<{type, charStart, charEnd}>} blocks - Bloques (heading, paragraph, list, table) en orden;
+ *                                                    sin bloques se deducen de los saltos de línea
+ * @param {number} maxChunkSize - Tamaño máximo del chunk en caracteres (default: 500)
+ * @param {number} overlapSentences - Oraciones repetidas al cortar un párrafo (default: 1)
+ * @param {string} unit - Unidad de maxChunkSize: 'chars' o 'tokens' (default: 'chars')
+ * @param {string} language - Idioma para las abreviaturas: 'auto', 'es' o 'en' (default: 'auto')
+ * @returns {Array<{text: string, charStart: number, charEnd: number}>} - Chunks con su posición en text
+ */
+function splitIntoStructuredChunks(text, blocks, maxChunkSize = 500, overlapSentences = 1, unit = 'chars', language = 'auto') {
+  if (!text || !text.trim()) {
+    return [];
+  }
+
+  const resolvedLanguage = resolveLanguage(language, text);
+
+  const sourceBlocks = blocks && blocks.length > 0 ? blocks : detectBlocksFromText(text);
+
+  // 1. Agrupar bloques en unidades: ítems de lista y filas de tabla consecutivos forman una sola unidad
+  const units = [];
+  for (const block of sourceBlocks) {
+    const last = units[units.length - 1];
+    const part = { start: block.charStart, end: block.charEnd };
+
+    if (last && last.type === block.type && (block.type === 'list' || block.type === 'table')) {
+      last.parts.push(part);
+      last.end = part.end;
+    } else {
+      units.push({
+        type: block.type,
+        start: part.start,
+        end: part.end,
+        parts: block.type === 'paragraph'
+          ? segmentSentences(text, { language: resolvedLanguage, start: part.start, end: part.end })
+          : [part]
+      });
+    }
+  }
+
+  // 2. Empaquetar unidades en chunks
+  const chunks = [];
+  // Chunk en curso: bodyEnd = fin del último contenido; headingStart = inicio de los encabezados finales
+  let current = null;
+
+  const measure = createMeasure(unit);
+  const sizeOf = range => measure(text.slice(range.start, range.end));
+  const hasBody = () => current !== null && current.bodyEnd !== null;
+  // Los rangos se unen con un espacio
+  const separatorSize = measure(' ');
+  const fits = size => (current ? sizeOf(current) + separatorSize : 0) + size <= maxChunkSize;
+
+  const append = (range, isBody = true) => {
+    if (!current) {
+      current = { start: range.start, end: range.end, bodyEnd: null, headingStart: null };
+    }
+    current.end = range.end;
+    if (isBody) {
+      current.bodyEnd = range.end;
+      current.headingStart = null;
+    } else if (current.headingStart === null) {
+      current.headingStart = range.start;
+    }
+  };
+
+  // Cierra el chunk actual; los encabezados del final pasan al chunk siguiente con su contenido
+  const flush = () => {
+    if (!hasBody()) return;
+
+    chunks.push({ start: current.start, end: current.bodyEnd });
+    current = current.headingStart !== null
+      ? { start: current.headingStart, end: current.end, bodyEnd: null, headingStart: current.headingStart }
+      : null;
+  };
+
+  for (const unit of units) {
+    if (unit.type === 'heading') {
+      append(unit, false);
+      continue;
+    }
+
+    // La unidad entera cabe en el chunk actual, o en uno nuevo
+    if (fits(sizeOf(unit))) {
+      append(unit);
+      continue;
+    }
+
+    if (hasBody() && sizeOf(unit) <= maxChunkSize) {
+      flush();
+      if (fits(sizeOf(unit))) {
+        append(unit);
+        continue;
+      }
+    }
+
+    // Unidad demasiado grande: cortar entre sus partes
+    let unitParts = [];
+    for (const part of unit.parts) {
+      if (sizeOf(part) > maxChunkSize) {
+        // Una sola oración o ítem gigante: cortar por palabras (los encabezados pendientes van con el primer trozo)
+        flush();
+        const segment = text.slice(part.start, part.end).replace(/\s/g, ' ');
+        splitLongSentenceByWords(segment, maxChunkSize, measure).forEach((sub, index) => {
+          const start = index === 0 && current ? current.start : part.start + sub.start;
+          chunks.push({ start, end: part.start + sub.end });
+        });
+        current = null;
+        unitParts = [];
+        continue;
+      }
+
+      if (hasBody() && !fits(sizeOf(part))) {
+        flush();
+
+        // Overlap: repetir las últimas oraciones del párrafo que se está cortando
+        if (unit.type === 'paragraph' && overlapSentences > 0 && unitParts.length > overlapSentences) {
+          unitParts = unitParts.slice(-overlapSentences);
+          const end = unitParts[unitParts.length - 1].end;
+          current = { start: unitParts[0].start, end, bodyEnd: end, headingStart: null };
+        } else {
+          unitParts = [];
+        }
+      }
+
+      append(part);
+      unitParts.push(part);
+    }
+  }
+
+  if (current) {
+    chunks.push({ start: current.start, end: current.end });
+  }
+
+  // 3. Un chunk demasiado corto (un ítem o fila suelta) se une al siguiente en vez de descartarse
+  const merged = [];
+  for (let i = 0; i < chunks.length; i++) {
+    const chunk = chunks[i];
+    const isShort = text.slice(chunk.start, chunk.end).replace(/\s+/g, ' ').trim().length <= MIN_CHUNK_LENGTH;
+
+    if (isShort && i + 1 < chunks.length) {
+      chunks[i + 1].start = Math.min(chunks[i + 1].start, chunk.start);
+    } else if (isShort && merged.length > 0) {
+      merged[merged.length - 1].end = chunk.end;
+    } else {
+      merged.push(chunk);
+    }
+  }
+
+  return merged
+    .map(chunk => ({
+      text: text.slice(chunk.start, chunk.end).replace(/\s+/g, ' ').trim(),
+      charStart: chunk.start,
+      charEnd: chunk.end
+    }))
+    .filter(chunk => chunk.text.length > MIN_CHUNK_LENGTH);
 }
 
 /**
@@ -153,10 +401,112 @@ function splitIntoFixedChunks(text, chunkSize = 500, overlap = 50) {
   return chunks;
 }
 
+/**
+ * Chunking por caracteres fijos conservando la posición de cada chunk
+ * En 'tokens' las ventanas se arman con palabras enteras hasta chunkSize tokens
+ *
+ * @param {string} text - Texto a dividir
+ * @param {number} chunkSize - Tamaño del chunk
+ * @param {number} overlap - Overlap (en la misma unidad que chunkSize)
+ * @param {string} unit - Unidad de chunkSize y overlap: 'chars' o 'tokens' (default: 'chars')
+ * @returns {Array<{text: string, charStart: number, charEnd: number}>}
+ */
+function splitIntoFixedChunksWithOffsets(text, chunkSize = 500, overlap = 50, unit = 'chars') {
+  if (unit === 'tokens') {
+    return splitIntoTokenWindows(text, chunkSize, overlap);
+  }
+
+  const step = Math.max(1, chunkSize - overlap);
+  const chunks = [];
+
+  for (let i = 0; i < text.length; i += step) {
+    const charEnd = Math.min(i + chunkSize, text.length);
+    const chunkText = text.slice(i, charEnd).replace(/\s+/g, ' ').trim();
+    if (chunkText) {
+      chunks.push({ text: chunkText, charStart: i, charEnd });
+    }
+    if (charEnd === text.length) break;
+  }
+
+  return chunks;
+}
+
+/**
+ * Ventanas de palabras enteras de hasta chunkSize tokens, con overlap en tokens
+ *
+ * @param {string} text - Texto a dividir
+ * @param {number} chunkSize - Tokens máximos por ventana
+ * @param {number} overlap - Tokens a repetir entre ventanas consecutivas
+ * @returns {Array<{text: string, charStart: number, charEnd: number}>}
+ */
+function splitIntoTokenWindows(text, chunkSize, overlap) {
+  const words = [...(text || '').matchAll(/\S+/g)].map(match => ({
+    start: match.index,
+    end: match.index + match[0].length,
+    tokens: countTokens(match[0])
+  }));
+  const chunks = [];
+
+  let first = 0;
+  while (first < words.length) {
+    // Extender la ventana mientras quepa (al menos una palabra)
+    let last = first;
+    let size = words[first].tokens;
+    while (last + 1 < words.length && size + words[last + 1].tokens <= chunkSize) {
+      last++;
+      size += words[last].tokens;
+    }
+
+    const charStart = words[first].start;
+    const charEnd = words[last].end;
+    chunks.push({ text: text.slice(charStart, charEnd).replace(/\s+/g, ' '), charStart, charEnd });
+    if (last === words.length - 1) break;
+
+    // La siguiente ventana retrocede hasta `overlap` tokens, avanzando al menos una palabra
+    let next = last + 1;
+    let overlapSize = 0;
+    while (next - 1 > first && overlapSize + words[next - 1].tokens <= overlap) {
+      next--;
+      overlapSize += words[next].tokens;
+    }
+    first = next;
+  }
+
+  return chunks;
+}
+
+/**
+ * Divide un documento con la estrategia configurada
+ *
+ * - semantic: oraciones completas hasta chunkSize, con overlap de oraciones
+ * - structure: respeta encabezados, listas, tablas y párrafos (usa `documentData.blocks`)
+ * - fixed: ventanas de chunkSize caracteres (o tokens) con overlap de 10%
+ *
+ * chunkUnit indica si chunkSize se mide en caracteres ('chars') o en tokens del
+ * tokenizador aproximado ('tokens'), para alinear los chunks con el contexto del modelo de embeddings.
+ *
+ * @param {Object} documentData - Resultado del cargador ({fullText, blocks?})
+ * @param {Object} config - Configuración RAG ({chunkStrategy, chunkSize, chunkOverlap, chunkUnit, language})
+ * @returns {Array<{text: string, charStart: number, charEnd: number}>} - Chunks con su posición en fullText
+ */
+function chunkDocument(documentData, { chunkStrategy = 'semantic', chunkSize = 500, chunkOverlap = 1, chunkUnit = 'chars', language = 'auto' } = {}) {
+  switch (chunkStrategy) {
+    case 'structure':
+      return splitIntoStructuredChunks(documentData.fullText, documentData.blocks, chunkSize, chunkOverlap, chunkUnit, language);
+    case 'fixed':
+      return splitIntoFixedChunksWithOffsets(documentData.fullText, chunkSize, Math.floor(chunkSize / 10), chunkUnit);
+    case 'semantic':
+      return splitIntoSemanticChunksWithOffsets(documentData.fullText, chunkSize, chunkOverlap, chunkUnit, language);
+    default:
+      throw new Error(`Estrategia de chunking desconocida: ${chunkStrategy}`);
+  }
+}
+
 /**
  * Obtiene estadísticas de un conjunto de chunks para análisis
+ * Los tamaños se informan en caracteres y en tokens estimados
  *
- * @param {Array<string>} chunks - Array de chunks
+ * @param {Array<string|{text: string}>} chunks - Array de chunks (texto o con propiedad text)
  * @returns {Object} - Estadísticas detalladas
  */
 function getChunkStatistics(chunks) {
@@ -166,12 +516,19 @@ function getChunkStatistics(chunks) {
       avgSize: 0,
       minSize: 0,
       maxSize: 0,
-      totalChars: 0
+      totalChars: 0,
+      avgTokens: 0,
+      minTokens: 0,
+      maxTokens: 0,
+      totalTokens: 0
     };
   }
 
-  const sizes = chunks.map(c => c.length);
+  const texts = chunks.map(c => (typeof c === 'string' ? c : c.text));
+  const sizes = texts.map(t => t.length);
   const totalChars = sizes.reduce((sum, size) => sum + size, 0);
+  const tokenCounts = texts.map(countTokens);
+  const totalTokens = tokenCounts.reduce((sum, tokens) => sum + tokens, 0);
 
   return {
     count: chunks.length,
@@ -179,24 +536,64 @@ function getChunkStatistics(chunks) {
     minSize: Math.min(...sizes),
     maxSize: Math.max(...sizes),
     totalChars: totalChars,
-    sizes: sizes
+    sizes: sizes,
+    avgTokens: Math.round(totalTokens / chunks.length),
+    minTokens: Math.min(...tokenCounts),
+    maxTokens: Math.max(...tokenCounts),
+    totalTokens: totalTokens,
+    tokenCounts: tokenCounts
   };
 }
 
+/**
+ * Oraciones según el regex simple usado antes del segmentador (solo para comparar)
+ * Pierde el texto sin puntuación final y corta en abreviaturas y decimales
+ *
+ * @param {string} text - Texto
+ * @returns {Array<{start: number, end: number}>}
+ */
+function findRegexSentenceRanges(text) {
+  return [...text.matchAll(/[^.!?]+[.!?]+(?:\s+|$)/g)]
+    .map(match => {
+      const leading = match[0].length - match[0].trimStart().length;
+      return { start: match.index + leading, end: match.index + leading + match[0].trim().length };
+    })
+    .filter(range => range.end > range.start);
+}
+
+/**
+ * Cuenta los caracteres (sin espacios) que no caen en ningún rango
+ * @param {string} text - Texto
+ * @param {Array<{start: number, end: number}>} ranges - Rangos
+ * @returns {number}
+ */
+function countUncoveredChars(text, ranges) {
+  const covered = new Uint8Array(text.length);
+  for (const range of ranges) covered.fill(1, range.start, range.end);
+
+  let uncovered = 0;
+  for (let i = 0; i < text.length; i++) {
+    if (!covered[i] && /\S/.test(text[i])) uncovered++;
+  }
+  return uncovered;
+}
+
 /**
  * Analiza la calidad del chunking comparando métodos
+ * Incluye la calidad de la segmentación en oraciones: el segmentador frente al regex simple
  *
  * @param {string} text - Texto original
  * @param {number} maxSize - Tamaño máximo de chunk
+ * @param {string} language - Idioma para las abreviaturas: 'auto', 'es' o 'en' (default: 'auto')
  * @returns {Object} - Comparación entre métodos
  */
-function compareChunkingMethods(text, maxSize = 500) {
+function compareChunkingMethods(text, maxSize = 500, language = 'auto') {
   // Chunking fijo
   const fixedChunks = splitIntoFixedChunks(text, maxSize, 50);
   const fixedStats = getChunkStatistics(fixedChunks);
 
   // Chunking semántico
-  const semanticChunks = splitIntoSemanticChunks(text, maxSize, 1);
+  const semanticChunks = splitIntoSemanticChunks(text, maxSize, 1, 'chars', language);
   const semanticStats = getChunkStatistics(semanticChunks);
 
   // Analizar calidad: chunks que terminan a mitad de palabra
@@ -210,6 +607,10 @@ function compareChunkingMethods(text, maxSize = 500) {
     return lastChar !== '.' && lastChar !== '!' && lastChar !== '?' && !chunk.trim().endsWith('...');
   }).length;
 
+  // Segmentación en oraciones
+  const regexSentences = findRegexSentenceRanges(text);
+  const segmenterSentences = segmentSentences(text, { language });
+
   return {
     fixed: {
       ...fixedStats,
@@ -221,13 +622,32 @@ function compareChunkingMethods(text, maxSize = 500) {
       brokenChunks: semanticBrokenWords,
       completenessScore: ((semanticStats.count - semanticBrokenWords) / semanticStats.count * 100).toFixed(1)
     },
+    segmentation: {
+      regex: {
+        ...getSegmentationQuality(text, regexSentences, language),
+        // Caracteres (sin contar espacios) que no quedan en ninguna oración
+        lostChars: countUncoveredChars(text, regexSentences)
+      },
+      segmenter: {
+        ...getSegmentationQuality(text, segmenterSentences, language),
+        lostChars: countUncoveredChars(text, segmenterSentences)
+      }
+    },
     recommendation: semanticStats.count > 0 ? 'semantic' : 'fixed'
   };
 }
 
 module.exports = {
+  CHUNK_STRATEGIES,
+  CHUNK_UNITS,
+  LIST_ITEM_PATTERN,
+  chunkDocument,
   splitIntoSemanticChunks,
+  splitIntoSemanticChunksWithOffsets,
+  splitIntoStructuredChunks,
+  detectBlocksFromText,
   splitIntoFixedChunks,
+  splitIntoFixedChunksWithOffsets,
   getChunkStatistics,
   compareChunkingMethods
 };
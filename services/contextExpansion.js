@@ -0,0 +1,195 @@
+/**
+ * Servicio de Expansión de Contexto
+ *
+ * Amplía cada chunk recuperado con sus chunks vecinos del mismo archivo para que
+ * el LLM no reciba ideas cortadas a mitad. El orden del documento se obtiene del
+ * índice en el id del chunk (`${filename}_chunk_${i}`).
+ */
+
+const CHUNK_INDEX_PATTERN = /_chunk_(\d+)$/;
+
+/**
+ * Extrae la posición de un chunk dentro de su documento
+ *
+ * @param {string} id - ID del chunk
+ * @returns {number|null} Índice del chunk o null si el id no sigue el formato
+ */
+function getChunkIndex(id) {
+  const match = CHUNK_INDEX_PATTERN.exec(id);
+  return match ? parseInt(match[1], 10) : null;
+}
+
+/**
+ * Une dos chunks consecutivos eliminando las oraciones repetidas por el overlap
+ *
+ * El chunking repite las últimas oraciones de un chunk al inicio del siguiente;
+ * se busca el prefijo más largo del segundo (cortado en fin de oración) que
+ * coincide con el final del primero.
+ *
+ * @param {string} previous - Texto acumulado
+ * @param {string} next - Texto del chunk siguiente
+ * @returns {string} Texto unido sin duplicados
+ */
+function joinWithoutOverlap(previous, next) {
+  let overlap = 0;
+  const sentenceEnd = /[.!?]+(?=\s|$)/g;
+  let match;
+
+  while ((match = sentenceEnd.exec(next)) !== null) {
+    const end = match.index + match[0].length;
+    const prefix = next.slice(0, end);
+
+    if (end > previous.length) break;
+    if (previous.endsWith(prefix) && (end === previous.length || /\s/.test(previous[previous.length - end - 1]))) {
+      overlap = end;
+    }
+  }
+
+  const rest = next.slice(overlap).trim();
+  return rest ? `${previous} ${rest}` : previous;
+}
+
+/**
+ * Expande los resultados con sus N chunks anteriores y posteriores
+ *
+ * - Los vecinos se añaden por cercanía (primero ±1 de cada resultado, luego ±2...)
+ *   siguiendo el ranking, hasta agotar el presupuesto de caracteres
+ * - Ventanas del mismo archivo que se tocan o solapan se fusionan en un solo pasaje
+ * - Los resultados originales siempre se conservan aunque superen el presupuesto
+ *
+ * @param {Array} docs - Documentos recuperados, mejor primero
+ * @param {Object} vectorStore - Instancia de VectorStore
+ * @param {Object} options - Opciones de expansión
+ * @param {number} options.window - Chunks vecinos a cada lado
+ * @param {number} options.maxChars - Presupuesto total de caracteres del contexto
+ * @returns {Array} Pasajes con `text` expandido, `hitText` (texto del mejor resultado),
+ *                  `chunkRange` {from, to}, `hits` (ids de los resultados que contiene) y
+ *                  `pageStart`/`pageEnd` del pasaje completo
+ */
+function expandWithNeighbors(docs, vectorStore, { window = 1, maxChars = 4000 } = {}) {
+  if (window <= 0 || docs.length === 0) {
+    return docs;
+  }
+
+  const hits = docs.map(doc => ({ doc, index: getChunkIndex(doc.id) }));
+
+  // Cargar de una vez todos los vecinos posibles
+  const neighborIds = [];
+  for (const hit of hits) {
+    if (hit.index === null) continue;
+    for (let i = Math.max(0, hit.index - window); i <= hit.index + window; i++) {
+      neighborIds.push(`${hit.doc.filename}_chunk_${i}`);
+    }
+  }
+  const chunksById = vectorStore.getChunksByIds(Array.from(new Set(neighborIds)));
+
+  // Índices cubiertos por archivo, empezando por los propios resultados
+  const covered = new Map();
+  let used = 0;
+
+  for (const hit of hits) {
+    if (hit.index === null) continue;
+    if (!covered.has(hit.doc.filename)) {
+      covered.set(hit.doc.filename, new Set());
+    }
+    const indexes = covered.get(hit.doc.filename);
+    if (!indexes.has(hit.index)) {
+      indexes.add(hit.index);
+      used += hit.doc.text.length;
+    }
+  }
+
+  // Crecer las ventanas por distancia mientras quepa en el presupuesto
+  for (let distance = 1; distance <= window; distance++) {
+    for (const hit of hits) {
+      if (hit.index === null) continue;
+      const indexes = covered.get(hit.doc.filename);
+
+      for (const index of [hit.index - distance, hit.index + distance]) {
+        const chunk = chunksById.get(`${hit.doc.filename}_chunk_${index}`);
+        if (!chunk || indexes.has(index) || used + chunk.text.length > maxChars) continue;
+
+        // Sin saltar huecos (un chunk excluido o que no cupo): el pasaje tiene que ser contiguo
+        if (!indexes.has(index < hit.index ? index + 1 : index - 1)) continue;
+
+        indexes.add(index);
+        used += chunk.text.length;
+      }
+    }
+  }
+
+  // Agrupar índices contiguos en pasajes y asignarles sus resultados
+  const passageByChunk = new Map();
+
+  for (const [filename, indexes] of covered) {
+    const sorted = Array.from(indexes).sort((a, b) => a - b);
+    let run = [];
+
+    const flush = () => {
+      if (run.length === 0) return;
+      const passage = { filename, from: run[0], to: run[run.length - 1], hits: [] };
+      run.forEach(index => passageByChunk.set(`${filename}_chunk_${index}`, passage));
+      run = [];
+    };
+
+    for (const index of sorted) {
+      if (run.length > 0 && index !== run[run.length - 1] + 1) flush();
+      run.push(index);
+    }
+    flush();
+  }
+
+  const results = [];
+
+  for (const hit of hits) {
+    if (hit.index === null) {
+      results.push(hit.doc);
+      continue;
+    }
+
+    const passage = passageByChunk.get(hit.doc.id);
+    passage.hits.push(hit);
+
+    // El pasaje ocupa la posición de su mejor resultado
+    if (passage.hits.length === 1) {
+      results.push(passage);
+    }
+  }
+
+  return results.map(item => {
+    if (!item.hits) return item;
+
+    const best = item.hits[0].doc;
+    let text = '';
+    let pageStart = best.pageStart ?? null;
+    let pageEnd = best.pageEnd ?? null;
+
+    for (let index = item.from; index <= item.to; index++) {
+      const id = `${item.filename}_chunk_${index}`;
+      const chunk = chunksById.get(id) || item.hits.find(hit => hit.doc.id === id).doc;
+      text = text ? joinWithoutOverlap(text, chunk.text) : chunk.text;
+
+      if (chunk.pageStart != null) {
+        pageStart = pageStart == null ? chunk.pageStart : Math.min(pageStart, chunk.pageStart);
+        pageEnd = Math.max(pageEnd ?? chunk.pageEnd, chunk.pageEnd ?? chunk.pageStart);
+      }
+    }
+
+    return {
+      ...best,
+      text,
+      hitText: best.text,
+      pageStart,
+      pageEnd,
+      chunkRange: { from: item.from, to: item.to },
+      hits: item.hits.map(hit => hit.doc.id),
+      retrievers: Array.from(new Set(item.hits.flatMap(hit => hit.doc.retrievers || ['vector'])))
+    };
+  });
+}
+
+module.exports = {
+  expandWithNeighbors,
+  joinWithoutOverlap,
+  getChunkIndex
+};
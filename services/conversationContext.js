@@ -0,0 +1,137 @@
+/**
+ * Contexto Conversacional
+ *
+ * Permite hacer preguntas de seguimiento ("¿y para contratistas?") dentro de una conversación:
+ * resume los últimos turnos con un tamaño acotado y, con el LLM, reformula la pregunta como
+ * una búsqueda independiente antes de recuperar documentos. El resumen también se incluye
+ * en el prompt de la respuesta.
+ */
+
+const { generateLLMResponse } = require('./embeddingService');
+const { buildQueryRewritePrompt } = require('../prompts/ragPrompts');
+
+// Caracteres de cada respuesta anterior que entran en el resumen
+const ANSWER_PREVIEW_CHARS = 300;
+
+// Una reformulación más larga que esto no es una pregunta: se descarta
+const MAX_REWRITTEN_QUERY_LENGTH = 500;
+
+/**
+ * Convierte una respuesta guardada (texto o HTML del formateador) en texto plano de una línea
+ * @param {string} text - Respuesta guardada
+ * @returns {string}
+ */
+function toPlainText(text) {
+  return (text || '')
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#039;/g, "'")
+    .replace(/&amp;/g, '&')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Recorta un texto a un máximo de caracteres
+ * @param {string} text - Texto
+ * @param {number} maxChars - Máximo
+ * @returns {string}
+ */
+function truncate(text, maxChars) {
+  return text.length > maxChars ? `${text.slice(0, maxChars - 1).trimEnd()}…` : text;
+}
+
+/**
+ * Resume los turnos previos de una conversación
+ * Las respuestas se recortan y, si no cabe todo, se descartan los turnos más antiguos
+ *
+ * @param {Array<{question: string, answer: string}>} turns - Turnos, del más antiguo al más reciente
+ * @param {number} maxChars - Tamaño máximo del resumen
+ * @returns {string} - Resumen ('' sin turnos previos)
+ */
+function summarizeTurns(turns, maxChars) {
+  const lines = [];
+  let used = 0;
+
+  for (const turn of [...turns].reverse()) {
+    const line = `User: ${toPlainText(turn.question)}\nAssistant: ${truncate(toPlainText(turn.answer), ANSWER_PREVIEW_CHARS)}`;
+
+    if (used + line.length > maxChars) {
+      // El turno más reciente es el que más importa: entra aunque sea recortado
+      if (lines.length === 0) lines.push(truncate(line, maxChars));
+      break;
+    }
+
+    lines.unshift(line);
+    used += line.length + 1;
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Limpia la reformulación del LLM: primera línea, sin prefijos ni comillas
+ * @param {string} text - Respuesta del LLM
+ * @returns {string}
+ */
+function cleanRewrittenQuery(text) {
+  const line = (text || '').split('\n').map(part => part.trim()).find(Boolean) || '';
+
+  return line
+    .replace(/^(standalone question|pregunta independiente|pregunta)\s*:\s*/i, '')
+    .replace(/^["'«“]+|["'»”]+$/g, '')
+    .trim();
+}
+
+/**
+ * Reformula una pregunta de seguimiento como búsqueda independiente
+ * Si el LLM falla o devuelve algo que no parece una pregunta, se usa la pregunta original
+ *
+ * @param {string} query - Pregunta de seguimiento
+ * @param {string} summary - Resumen de los turnos previos
+ * @returns {Promise<string>}
+ */
+async function rewriteQuery(query, summary) {
+  try {
+    const rewritten = cleanRewrittenQuery(await generateLLMResponse(buildQueryRewritePrompt(summary, query)));
+
+    if (!rewritten || rewritten.length > MAX_REWRITTEN_QUERY_LENGTH) {
+      console.warn('⚠️  Reformulación descartada, se busca con la pregunta original');
+      return query;
+    }
+
+    console.log(`✓ Pregunta reformulada: "${query}" → "${rewritten}"`);
+    return rewritten;
+  } catch (error) {
+    console.warn(`⚠️  No se pudo reformular la pregunta (${error.message}), se busca con la original`);
+    return query;
+  }
+}
+
+/**
+ * Prepara una pregunta dentro de una conversación
+ *
+ * @param {string} query - Pregunta del usuario
+ * @param {Array<{question: string, answer: string}>} turns - Turnos previos, del más antiguo al más reciente
+ * @param {Object} options - Configuración (config.rag.conversation)
+ * @param {boolean} options.rewriteQuery - Reformular con el LLM
+ * @param {number} options.summaryMaxChars - Tamaño máximo del resumen
+ * @returns {Promise<{searchQuery: string, summary: string}>} - Consulta para performRAGSearch y resumen para el prompt
+ */
+async function prepareConversationalQuery(query, turns, { rewriteQuery: rewrite = true, summaryMaxChars = 1500 } = {}) {
+  if (turns.length === 0) {
+    return { searchQuery: query, summary: '' };
+  }
+
+  const summary = summarizeTurns(turns, summaryMaxChars);
+  const searchQuery = rewrite ? await rewriteQuery(query, summary) : query;
+
+  return { searchQuery, summary };
+}
+
+module.exports = {
+  prepareConversationalQuery,
+  summarizeTurns
+};
@@ -0,0 +1,580 @@
+/**
+ * Cargadores de Documentos
+ *
+ * Registro de cargadores por extensión de archivo. Todos devuelven la misma forma:
+ *   { fullText, locationType, numPages, pages, sections }
+ *
+ * - PDF: `pages` con el rango de caracteres de cada página (ubicación = página), `metadata`
+ *   (título, autor, fechas) y `sections` según el outline o, sin él, el tamaño de fuente
+ * - DOCX, Markdown y HTML: `sections` por encabezado ("Capítulo > Apartado")
+ * - TXT: `sections` por párrafo ("Línea 42")
+ * - CSV: cada fila se convierte en "columna: valor; ..." y `sections` por fila ("Fila 7")
+ *
+ * Cada sección es {title, charStart, charEnd} sobre `fullText`. Los cargadores también devuelven
+ * `blocks` ({type: heading | paragraph | list | table, charStart, charEnd}) para el chunking por
+ * estructura. En los formatos con
+ * `headingSections` el título es la ruta de encabezados y se antepone al texto que se
+ * vectoriza, para que el embedding capture de qué trata el apartado.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const mammoth = require('mammoth');
+const { extractTextFromPDFWithPages } = require('./pdfProcessor');
+const { LIST_ITEM_PATTERN } = require('./chunking');
+
+const HTML_ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'",
+  nbsp: ' ',
+  aacute: 'á', eacute: 'é', iacute: 'í', oacute: 'ó', uacute: 'ú', uuml: 'ü', ntilde: 'ñ',
+  Aacute: 'Á', Eacute: 'É', Iacute: 'Í', Oacute: 'Ó', Uacute: 'Ú', Uuml: 'Ü', Ntilde: 'Ñ',
+  iexcl: '¡', iquest: '¿', laquo: '«', raquo: '»', ordm: 'º', ordf: 'ª', deg: '°',
+  ndash: '–', mdash: '—', hellip: '…', lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”',
+  copy: '©', reg: '®', euro: '€'
+};
+
+// Etiquetas que separan bloques de texto en HTML (las celdas de una fila quedan en el mismo bloque)
+const HTML_BLOCK_TAGS = /<\/?(p|div|li|ul|ol|tr|table|thead|tbody|section|article|header|footer|aside|blockquote|pre|dd|dt|dl|figcaption|br|hr)\b[^>]*>/gi;
+
+// Marca el tipo de bloque de <li> y <tr> al convertir HTML en texto ("\u0001list\u0001...")
+const BLOCK_TYPE_MARKER = /^\u0001(\w+)\u0001/;
+
+/**
+ * Normaliza espacios de un bloque de texto
+ * @param {string} text - Texto a normalizar
+ * @returns {string}
+ */
+function normalizeWhitespace(text) {
+  return text.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Lee un archivo de texto como UTF-8 sin BOM
+ * @param {string} filePath - Ruta del archivo
+ * @returns {string}
+ */
+function readTextFile(filePath) {
+  return fs.readFileSync(filePath, 'utf8').replace(/^\uFEFF/, '');
+}
+
+/**
+ * Une bloques de texto en `fullText` y calcula el rango de cada sección y de cada bloque
+ * Los bloques consecutivos con el mismo título forman una sola sección
+ *
+ * @param {Array<{text: string, section: string|null, type?: string}>} blocks - Bloques en orden de lectura
+ * @returns {{fullText: string, sections: Array<{title, charStart, charEnd}>, blocks: Array<{type, charStart, charEnd}>}}
+ */
+function buildFromBlocks(blocks) {
+  let fullText = '';
+  const sections = [];
+  const ranges = [];
+
+  for (const block of blocks) {
+    const text = normalizeWhitespace(block.text);
+    if (!text) continue;
+
+    const charStart = fullText ? fullText.length + 1 : 0;
+    fullText = fullText ? `${fullText}\n${text}` : text;
+    ranges.push({ type: block.type || 'paragraph', charStart, charEnd: fullText.length });
+
+    const last = sections[sections.length - 1];
+    if (last && last.title === block.section) {
+      last.charEnd = fullText.length;
+    } else if (block.section) {
+      sections.push({ title: block.section, charStart, charEnd: fullText.length });
+    }
+  }
+
+  return { fullText, sections, blocks: ranges };
+}
+
+/**
+ * Construye un resultado de cargador basado en secciones
+ * @param {Array} blocks - Bloques {text, section, type?}
+ * @returns {Object} - {fullText, locationType: 'section', numPages: null, pages: [], sections, blocks}
+ */
+function sectionDocument(blocks) {
+  const { fullText, sections, blocks: ranges } = buildFromBlocks(blocks);
+
+  return {
+    fullText,
+    locationType: 'section',
+    numPages: null,
+    pages: [],
+    sections,
+    blocks: ranges
+  };
+}
+
+/**
+ * Decodifica entidades HTML básicas y numéricas
+ * @param {string} text - Texto con entidades
+ * @returns {string}
+ */
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+    if (code[0] === '#') {
+      const value = code[1] === 'x' || code[1] === 'X' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+      return Number.isFinite(value) && value > 0 && value <= 0x10FFFF ? String.fromCodePoint(value) : entity;
+    }
+    return HTML_ENTITIES[code] ?? HTML_ENTITIES[code.toLowerCase()] ?? entity;
+  });
+}
+
+/**
+ * Convierte un fragmento HTML (sin encabezados) en bloques de texto plano
+ * Cada <li> es un bloque 'list' y cada <tr> un bloque 'table' con sus celdas separadas por " | "
+ *
+ * @param {string} html - Fragmento HTML
+ * @returns {Array<{text: string, type: string}>}
+ */
+function htmlToTextBlocks(html) {
+  const lines = html
+    .replace(/<li\b[^>]*>/gi, '\n\u0001list\u0001')
+    .replace(/<tr\b[^>]*>/gi, '\n\u0001table\u0001')
+    // Celdas en una sola línea aunque tengan párrafos dentro (mammoth genera <td><p>...</p></td>)
+    .replace(/<(t[dh])\b[^>]*>([\s\S]*?)<\/\1>/gi, (match, tag, cell) => `${cell.replace(HTML_BLOCK_TAGS, ' ')} | `)
+    .replace(HTML_BLOCK_TAGS, '\n')
+    .replace(/<[^>]+>/g, ' ')
+    .split('\n');
+
+  const blocks = [];
+  let pendingType = null; // <li><p>texto</p></li>: el tipo pasa a la siguiente línea con texto
+
+  for (const line of lines) {
+    const marker = BLOCK_TYPE_MARKER.exec(line);
+    const type = marker ? marker[1] : pendingType || 'paragraph';
+    let text = normalizeWhitespace(decodeEntities(marker ? line.slice(marker[0].length) : line));
+    if (type === 'table') text = text.replace(/\s*\|\s*$/, '');
+
+    if (!text || text === '|') {
+      pendingType = marker ? type : pendingType;
+      continue;
+    }
+
+    blocks.push({ text, type });
+    pendingType = null;
+  }
+
+  return blocks;
+}
+
+/**
+ * Extrae bloques de un documento HTML siguiendo la jerarquía de encabezados h1-h6
+ * @param {string} html - Documento o fragmento HTML
+ * @returns {Array<{text, section}>}
+ */
+function htmlToBlocks(html) {
+  const body = html
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<(script|style|noscript|template|head|svg)\b[\s\S]*?<\/\1>/gi, '');
+
+  const blocks = [];
+  const headingPath = [];
+  const headingRegex = /<h([1-6])\b[^>]*>([\s\S]*?)<\/h\1>/gi;
+  let section = null;
+  let lastIndex = 0;
+  let match;
+
+  const pushText = (fragment) => {
+    for (const { text, type } of htmlToTextBlocks(fragment)) {
+      blocks.push({ text, section, type });
+    }
+  };
+
+  while ((match = headingRegex.exec(body)) !== null) {
+    pushText(body.slice(lastIndex, match.index));
+
+    const title = normalizeWhitespace(decodeEntities(match[2].replace(/<[^>]+>/g, ' ')));
+    if (title) {
+      const level = parseInt(match[1], 10);
+      headingPath.length = level - 1;
+      headingPath[level - 1] = title;
+      section = headingPath.filter(Boolean).join(' > ');
+      blocks.push({ text: title, section, type: 'heading' });
+    }
+
+    lastIndex = headingRegex.lastIndex;
+  }
+
+  pushText(body.slice(lastIndex));
+  return blocks;
+}
+
+/**
+ * Quita la sintaxis inline de Markdown (enlaces, imágenes, énfasis, código)
+ * @param {string} line - Línea de Markdown
+ * @returns {string}
+ */
+function stripMarkdownInline(line) {
+  return line
+    .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/(\*\*|__|~~)(.+?)\1/g, '$2')
+    .replace(/(^|[^\w*])[*_]([^*_\n]+)[*_](?=[^\w*]|$)/g, '$1$2')
+    .replace(/`([^`]+)`/g, '$1');
+}
+
+/**
+ * Cargador PDF: texto por página, metadatos y secciones del outline (pdf.js)
+ * @param {string} filePath - Ruta del archivo
+ * @param {Object} options - Opciones de carga ({boilerplate: {enabled, minPageRatio}})
+ * @returns {Promise<Object>}
+ */
+async function loadPDF(filePath, { boilerplate = {} } = {}) {
+  const pdfData = await extractTextFromPDFWithPages(filePath, {
+    removeBoilerplate: boilerplate.enabled,
+    boilerplateMinPageRatio: boilerplate.minPageRatio
+  });
+
+  return {
+    ...pdfData,
+    locationType: 'page'
+  };
+}
+
+/**
+ * Cargador DOCX: convierte a HTML con mammoth para conservar los encabezados
+ * @param {string} filePath - Ruta del archivo
+ * @returns {Promise<Object>}
+ */
+async function loadDOCX(filePath) {
+  const result = await mammoth.convertToHtml({ path: filePath });
+  return sectionDocument(htmlToBlocks(result.value));
+}
+
+/**
+ * Cargador HTML: texto visible por encabezado
+ * @param {string} filePath - Ruta del archivo
+ * @returns {Promise<Object>}
+ */
+async function loadHTML(filePath) {
+  return sectionDocument(htmlToBlocks(readTextFile(filePath)));
+}
+
+/**
+ * Indica si una línea de Markdown es el separador de encabezado de una tabla (| --- | :-: |)
+ * @param {string} line - Línea de Markdown
+ * @returns {boolean}
+ */
+function isTableSeparator(line) {
+  return /^\s*\|?\s*:?-{3,}:?\s*(\|\s*:?-{3,}:?\s*)*\|?\s*$/.test(line);
+}
+
+/**
+ * Cargador Markdown: párrafos agrupados bajo su ruta de encabezados (ATX y setext)
+ * @param {string} filePath - Ruta del archivo
+ * @returns {Promise<Object>}
+ */
+async function loadMarkdown(filePath) {
+  const lines = readTextFile(filePath).replace(/^---\n[\s\S]*?\n---\n/, '').split(/\r?\n/);
+  const blocks = [];
+  const headingPath = [];
+  let section = null;
+  let paragraph = [];
+  let paragraphType = 'paragraph';
+  let inCodeBlock = false;
+
+  // Cada ítem de lista y cada fila de tabla es un bloque propio
+  const flush = () => {
+    if (paragraph.length > 0) {
+      blocks.push({ text: paragraph.join(' '), section, type: paragraphType });
+      paragraph = [];
+    }
+    paragraphType = 'paragraph';
+  };
+
+  const setHeading = (level, title) => {
+    flush();
+    const text = normalizeWhitespace(stripMarkdownInline(title));
+    if (!text) return;
+    headingPath.length = level - 1;
+    headingPath[level - 1] = text;
+    section = headingPath.filter(Boolean).join(' > ');
+    blocks.push({ text, section, type: 'heading' });
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+
+    if (/^\s*(```|~~~)/.test(line)) {
+      inCodeBlock = !inCodeBlock;
+      continue;
+    }
+
+    if (inCodeBlock) {
+      paragraph.push(line);
+      continue;
+    }
+
+    const atx = /^\s{0,3}(#{1,6})\s+(.*?)\s*#*\s*$/.exec(line);
+    if (atx) {
+      setHeading(atx[1].length, atx[2]);
+      continue;
+    }
+
+    // Encabezado setext: línea de texto subrayada con === o ---
+    const next = lines[i + 1];
+    if (line.trim() && paragraph.length === 0 && next !== undefined && /^\s{0,3}(=+|-+)\s*$/.test(next)) {
+      setHeading(next.trim()[0] === '=' ? 1 : 2, line);
+      i++;
+      continue;
+    }
+
+    // Separadores de tabla y líneas horizontales
+    if (!line.trim() || isTableSeparator(line) || /^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) {
+      flush();
+      continue;
+    }
+
+    const isListItem = /^\s*([-*+]|\d+[.)])\s+/.test(line);
+    const isTableRow = /^\s*\|/.test(line) ||
+      (line.includes('|') && (paragraphType === 'table' || isTableSeparator(lines[i + 1] || '')));
+
+    const text = stripMarkdownInline(line
+      .replace(/^\s*>+\s?/, '')
+      .replace(/^\s*([-*+]|\d+[.)])\s+(\[[ xX]\]\s+)?/, '')
+      .replace(/\s*\|\s*/g, ' | ')
+      .replace(/^\s*\|\s*|\s*\|\s*$/g, ''));
+
+    // Una línea sin marcador tras un ítem de lista lo continúa; tras una fila de tabla, empieza un párrafo
+    if (isListItem || isTableRow) {
+      flush();
+      paragraphType = isListItem ? 'list' : 'table';
+    } else if (paragraphType === 'table') {
+      flush();
+    }
+
+    paragraph.push(text);
+  }
+
+  flush();
+  return sectionDocument(blocks);
+}
+
+/**
+ * Cargador de texto plano: un bloque por párrafo o ítem de lista, ubicado por su línea inicial
+ * @param {string} filePath - Ruta del archivo
+ * @returns {Promise<Object>}
+ */
+async function loadText(filePath) {
+  const lines = readTextFile(filePath).split(/\r?\n/);
+  const blocks = [];
+  let paragraph = [];
+  let paragraphType = 'paragraph';
+  let startLine = 1;
+
+  const flush = () => {
+    if (paragraph.length > 0) {
+      blocks.push({ text: paragraph.join(' '), section: `Línea ${startLine}`, type: paragraphType });
+      paragraph = [];
+    }
+  };
+
+  lines.forEach((line, i) => {
+    if (!line.trim()) {
+      flush();
+      return;
+    }
+
+    // Una viñeta o numeración empieza un ítem de lista aunque no haya línea en blanco
+    if (LIST_ITEM_PATTERN.test(line)) {
+      flush();
+    }
+
+    if (paragraph.length === 0) {
+      startLine = i + 1;
+      paragraphType = LIST_ITEM_PATTERN.test(line) ? 'list' : 'paragraph';
+    }
+    paragraph.push(line);
+  });
+
+  flush();
+
+  return sectionDocument(blocks);
+}
+
+/**
+ * Parsea CSV (RFC 4180: comillas dobles, comillas escapadas y saltos de línea entre comillas)
+ * @param {string} content - Contenido del archivo
+ * @param {string} delimiter - Separador de campos
+ * @returns {Array<Array<string>>} - Filas
+ */
+function parseCSV(content, delimiter) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+
+    if (inQuotes) {
+      if (char === '"' && content[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows;
+}
+
+/**
+ * Detecta el separador más frecuente en la primera línea (, ; o tabulador)
+ * @param {string} content - Contenido del archivo
+ * @returns {string}
+ */
+function detectDelimiter(content) {
+  const firstLine = content.split(/\r?\n/, 1)[0];
+  const counts = [',', ';', '\t'].map(delimiter => ({ delimiter, count: firstLine.split(delimiter).length - 1 }));
+  return counts.sort((a, b) => b.count - a.count)[0].delimiter;
+}
+
+/**
+ * Cargador CSV: la primera fila es el encabezado; cada fila se redacta como "columna: valor"
+ * @param {string} filePath - Ruta del archivo
+ * @returns {Promise<Object>}
+ */
+async function loadCSV(filePath) {
+  const content = readTextFile(filePath);
+  const [header = [], ...rows] = parseCSV(content, detectDelimiter(content));
+  const columns = header.map((name, i) => normalizeWhitespace(name) || `Columna ${i + 1}`);
+
+  const blocks = rows.map((row, i) => {
+    const fields = row
+      .map((value, j) => ({ name: columns[j] || `Columna ${j + 1}`, value: normalizeWhitespace(value) }))
+      .filter(field => field.value);
+
+    return {
+      text: fields.length > 0 ? `${fields.map(field => `${field.name}: ${field.value}`).join('; ')}.` : '',
+      section: `Fila ${i + 2}`, // Numeración como en una hoja de cálculo (fila 1 = encabezado)
+      type: 'table'
+    };
+  });
+
+  return sectionDocument(blocks);
+}
+
+// Registro de cargadores por extensión
+const loaders = new Map();
+
+/**
+ * Registra (o reemplaza) el cargador de una extensión
+ *
+ * @param {string} extension - Extensión con punto (".pdf")
+ * @param {Object} loader - {type, mimeType, headingSections, load: async (filePath) => documentData}
+ */
+function registerLoader(extension, loader) {
+  loaders.set(extension.toLowerCase(), loader);
+}
+
+/**
+ * Obtiene el cargador que corresponde a un nombre de archivo
+ * @param {string} filename - Nombre de archivo (se usa su extensión)
+ * @returns {Object|null} - {type, mimeType, load} o null si el formato no está soportado
+ */
+function getLoader(filename) {
+  return loaders.get(path.extname(filename).toLowerCase()) || null;
+}
+
+/**
+ * Extensiones soportadas
+ * @returns {Array<string>}
+ */
+function getSupportedExtensions() {
+  return Array.from(loaders.keys());
+}
+
+/**
+ * Carga un documento con el cargador de su formato
+ *
+ * @param {string} filePath - Ruta del archivo
+ * @param {string} filename - Nombre con la extensión original (por defecto, el de filePath)
+ * @param {Object} options - Opciones para el cargador (p. ej. config.rag)
+ * @returns {Promise<Object>} - {fullText, locationType, numPages, pages, sections}
+ * @throws {Error} Si el formato no está soportado
+ */
+async function loadDocument(filePath, filename = filePath, options = {}) {
+  const loader = getLoader(filename);
+  if (!loader) {
+    throw new Error(`Formato no soportado: ${path.extname(filename) || filename}`);
+  }
+  return loader.load(filePath, options);
+}
+
+/**
+ * Texto que se envía al modelo de embeddings para un chunk
+ * Antepone la ruta de encabezados si el formato la tiene (no en posiciones como "Fila 7")
+ *
+ * @param {string} text - Texto del chunk
+ * @param {string|null} section - Sección del chunk
+ * @param {string} filename - Nombre del archivo (determina el formato)
+ * @returns {string}
+ */
+function buildEmbeddingText(text, section, filename) {
+  const loader = getLoader(filename);
+  return section && loader && loader.headingSections ? `${section}\n\n${text}` : text;
+}
+
+/**
+ * Encuentra la sección que contiene una posición de carácter
+ * @param {number} charStart - Posición inicial del chunk
+ * @param {Array} sections - Secciones {title, charStart, charEnd} ordenadas
+ * @returns {string|null} - Título de la sección o null si queda antes de la primera
+ */
+function findSectionForChunk(charStart, sections) {
+  let found = null;
+  for (const section of sections) {
+    if (section.charStart > charStart) break;
+    found = section.title;
+  }
+  return found;
+}
+
+registerLoader('.pdf', { type: 'pdf', mimeType: 'application/pdf', headingSections: true, load: loadPDF });
+registerLoader('.docx', { type: 'docx', mimeType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document', headingSections: true, load: loadDOCX });
+registerLoader('.md', { type: 'markdown', mimeType: 'text/markdown', headingSections: true, load: loadMarkdown });
+registerLoader('.markdown', { type: 'markdown', mimeType: 'text/markdown', headingSections: true, load: loadMarkdown });
+registerLoader('.txt', { type: 'text', mimeType: 'text/plain', headingSections: false, load: loadText });
+registerLoader('.html', { type: 'html', mimeType: 'text/html', headingSections: true, load: loadHTML });
+registerLoader('.htm', { type: 'html', mimeType: 'text/html', headingSections: true, load: loadHTML });
+registerLoader('.csv', { type: 'csv', mimeType: 'text/csv', headingSections: false, load: loadCSV });
+
+module.exports = {
+  registerLoader,
+  getLoader,
+  getSupportedExtensions,
+  loadDocument,
+  buildEmbeddingText,
+  findSectionForChunk,
+  htmlToBlocks,
+  parseCSV
+};
@@ -1,78 +1,186 @@
 /**
  * Servicio de Procesamiento de Documentos
  *
- * Maneja el pipeline completo de procesamiento de PDF:
+ * Maneja el pipeline completo de procesamiento de documentos (PDF, DOCX, MD, TXT, HTML, CSV):
  * extracción → chunking → embedding → almacenamiento
  */
 
-const { extractTextFromPDFWithPages, mapChunksToPages } = require('./pdfProcessor');
-const { generateEmbedding } = require('./embeddingService');
-const { splitIntoSemanticChunks } = require('./chunking');
+const crypto = require('crypto');
+const fs = require('fs');
+const { mapChunksToPages } = require('./pdfProcessor');
+const { loadDocument, buildEmbeddingText, findSectionForChunk } = require('./documentLoaders');
+const { generateEmbeddings } = require('./embeddingService');
+const { chunkDocument, getChunkStatistics } = require('./chunking');
+const { ollama: ollamaConfig } = require('../config');
 
 /**
- * Procesa un archivo PDF: extrae texto, lo divide en chunks, genera embeddings
+ * Procesa un documento: extrae texto con el cargador de su formato, lo divide en chunks
+ * y genera embeddings
  *
  * @param {Object} file - Objeto de archivo Multer
- * @param {Object} config - Configuración RAG (chunkSize, chunkOverlap)
- * @returns {Promise<{pdfData, chunks, chunksWithEmbeddings}>}
+ * @param {Object} config - Configuración RAG (chunkStrategy, chunkSize, chunkOverlap, chunkUnit, boilerplate)
+ * @param {string} embedModel - Modelo de embeddings a usar (default: OLLAMA_EMBED_MODEL)
+ * @param {Function} onProgress - Callback de progreso ({stage, current, total}) (opcional)
+ * @param {Object} checkpoint - Embeddings de un intento anterior y cómo guardar los nuevos (opcional, ver generateChunkEmbeddings)
+ * @returns {Promise<{documentData, chunks, chunksWithEmbeddings}>}
  */
-async function processPDFDocument(file, config) {
-  console.log(`\n📄 Procesando PDF: ${file.originalname}`);
+async function processDocument(file, config, embedModel, onProgress = () => {}, checkpoint = null) {
+  console.log(`\n📄 Procesando documento: ${file.originalname}`);
 
-  // Extraer texto con metadata de páginas
-  const pdfData = await extractTextFromPDFWithPages(file.path);
-  console.log(`✓ Texto extraído: ${pdfData.fullText.length} caracteres de ${pdfData.numPages} páginas`);
+  // Extraer texto con metadata de ubicación (páginas o secciones)
+  onProgress({ stage: 'extracting' });
+  const documentData = await loadDocument(file.path, file.originalname, config);
+  console.log(documentData.locationType === 'page'
+    ? `✓ Texto extraído: ${documentData.fullText.length} caracteres de ${documentData.numPages} páginas`
+    : `✓ Texto extraído: ${documentData.fullText.length} caracteres en ${documentData.sections.length} secciones`);
 
-  // Dividir texto semánticamente
-  const chunks = splitIntoSemanticChunks(pdfData.fullText, config.chunkSize, config.chunkOverlap);
-  console.log(`✓ Dividido en ${chunks.length} chunks semánticos (size=${config.chunkSize}, overlap=${config.chunkOverlap})`);
+  // Dividir texto con la estrategia configurada
+  onProgress({ stage: 'chunking' });
+  const chunks = chunkDocument(documentData, config);
+  const stats = getChunkStatistics(chunks);
+  console.log(`✓ Dividido en ${chunks.length} chunks (estrategia=${config.chunkStrategy || 'semantic'}, size=${config.chunkSize} ${config.chunkUnit || 'chars'}, overlap=${config.chunkOverlap})`);
+  console.log(`  Tokens por chunk: promedio ${stats.avgTokens}, mín. ${stats.minTokens}, máx. ${stats.maxTokens}`);
 
-  // Mapear chunks a páginas
-  const mappedChunks = mapChunksToPages(chunks, pdfData);
+  // Chunks que el modelo de embeddings truncaría
+  const oversized = stats.count > 0 ? stats.tokenCounts.filter(tokens => tokens > ollamaConfig.embedContextTokens).length : 0;
+  if (oversized > 0) {
+    console.warn(`⚠️  ${oversized} chunks superan el contexto del modelo de embeddings (${ollamaConfig.embedContextTokens} tokens) y se truncarán`);
+  }
+
+  // Ubicar chunks en páginas o secciones
+  const mappedChunks = mapChunksToLocations(chunks, documentData);
 
   // Generar embeddings para cada chunk
-  const chunksWithEmbeddings = await generateChunkEmbeddings(mappedChunks, file.filename);
+  const chunksWithEmbeddings = await generateChunkEmbeddings(mappedChunks, file.filename, embedModel, onProgress, checkpoint);
   console.log(`✓ Todos los embeddings generados con metadata de ubicación\n`);
 
   return {
-    pdfData,
+    documentData,
     chunks,
     chunksWithEmbeddings
   };
 }
 
+/**
+ * Asigna a cada chunk su ubicación: página (PDF) o sección (resto de formatos)
+ *
+ * @param {Array<{text, charStart, charEnd}>} chunks - Chunks con su posición en fullText
+ * @param {Object} documentData - Resultado del cargador
+ * @returns {Array<{text, page, pageStart, pageEnd, section, charStart, charEnd}>}
+ */
+function mapChunksToLocations(chunks, documentData) {
+  if (documentData.locationType === 'page') {
+    return mapChunksToPages(chunks, documentData).map(chunk => ({
+      ...chunk,
+      section: findSectionForChunk(chunk.charStart, documentData.sections || [])
+    }));
+  }
+
+  return chunks.map(chunk => ({
+    text: chunk.text,
+    page: null,
+    pageStart: null,
+    pageEnd: null,
+    section: findSectionForChunk(chunk.charStart, documentData.sections),
+    charStart: chunk.charStart,
+    charEnd: chunk.charEnd
+  }));
+}
+
 /**
  * Genera embeddings para todos los chunks con seguimiento de progreso
+ * Los lotes se piden en paralelo, pero ids y orden siguen la posición del chunk
+ * Se vectoriza la ruta de encabezados junto al texto; se guarda solo el texto
+ *
+ * Con `checkpoint`, cada lote se guarda apenas se calcula y los chunks que ya tienen
+ * embedding de un intento anterior (mismo texto) no se vuelven a pedir a Ollama.
  *
  * @param {Array} mappedChunks - Chunks con metadata de página
  * @param {string} filename - Nombre de archivo original
+ * @param {string} embedModel - Modelo de embeddings a usar (default: OLLAMA_EMBED_MODEL)
+ * @param {Function} onProgress - Callback de progreso ({stage: 'embedding', current, total}) (opcional)
+ * @param {Object} checkpoint - {completed: Map<posición, {text, embedding}>, save: (rows) => void} (opcional)
  * @returns {Promise<Array>} Chunks con embeddings
  */
-async function generateChunkEmbeddings(mappedChunks, filename) {
-  const chunksWithEmbeddings = [];
-
-  for (let i = 0; i < mappedChunks.length; i++) {
-    process.stdout.write(`\r⏳ Generando embeddings... ${i + 1}/${mappedChunks.length}`);
-
-    const chunk = mappedChunks[i];
-    const embedding = await generateEmbedding(chunk.text);
-
-    chunksWithEmbeddings.push({
-      id: `${filename}_chunk_${i}`,
-      filename: filename,
-      text: chunk.text,
-      embedding: embedding,
-      page: chunk.page,
-      charStart: chunk.charStart,
-      charEnd: chunk.charEnd
-    });
+async function generateChunkEmbeddings(mappedChunks, filename, embedModel, onProgress = () => {}, checkpoint = null) {
+  const texts = mappedChunks.map(chunk => buildEmbeddingText(chunk.text, chunk.section, filename));
+  const embeddings = new Array(texts.length);
+  const pending = [];
+
+  texts.forEach((text, i) => {
+    const saved = checkpoint && checkpoint.completed.get(i);
+    if (saved && saved.text === text) {
+      embeddings[i] = saved.embedding;
+    } else {
+      pending.push(i);
+    }
+  });
+
+  const reused = texts.length - pending.length;
+  if (reused > 0) {
+    console.log(`↻ Reanudando: ${reused}/${texts.length} chunks ya tenían embedding`);
   }
+  onProgress({ stage: 'embedding', current: reused, total: texts.length });
+
+  const pendingEmbeddings = await generateEmbeddings(
+    pending.map(i => texts[i]),
+    embedModel,
+    (current) => {
+      process.stdout.write(`\r⏳ Generando embeddings... ${reused + current}/${texts.length}`);
+      onProgress({ stage: 'embedding', current: reused + current, total: texts.length });
+    },
+    (start, batchEmbeddings) => {
+      if (checkpoint) {
+        checkpoint.save(batchEmbeddings.map((embedding, k) => {
+          const index = pending[start + k];
+          return { index, text: texts[index], embedding };
+        }));
+      }
+    }
+  );
+
+  pendingEmbeddings.forEach((embedding, k) => {
+    embeddings[pending[k]] = embedding;
+  });
 
   console.log(''); // Nueva línea después del progreso
-  return chunksWithEmbeddings;
+
+  return mappedChunks.map((chunk, i) => ({
+    id: `${filename}_chunk_${i}`,
+    filename: filename,
+    text: chunk.text,
+    embedding: embeddings[i],
+    embedModel: embedModel,
+    page: chunk.page,
+    pageStart: chunk.pageStart,
+    pageEnd: chunk.pageEnd,
+    section: chunk.section,
+    charStart: chunk.charStart,
+    charEnd: chunk.charEnd
+  }));
+}
+
+/**
+ * Calcula el hash SHA-256 del contenido de un archivo (por streaming)
+ *
+ * @param {string} filePath - Ruta del archivo
+ * @returns {Promise<string>} Hash en hexadecimal
+ */
+function hashFile(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(filePath)
+      .on('error', reject)
+      .on('data', data => hash.update(data))
+      .on('end', () => resolve(hash.digest('hex')));
+  });
 }
 
 module.exports = {
-  processPDFDocument,
-  generateChunkEmbeddings
+  processDocument,
+  // Nombre anterior, se mantiene por compatibilidad
+  processPDFDocument: processDocument,
+  mapChunksToLocations,
+  generateChunkEmbeddings,
+  hashFile
 };
@@ -0,0 +1,500 @@
+/**
+ * Registro de Documentos
+ *
+ * Una fila por documento subido, independiente de sus chunks: nombre original,
+ * quién lo subió, tamaño, páginas, hash, metadatos del archivo, estado del procesamiento y fecha.
+ * Comparte la conexión SQLite de VectorStore para poder cruzarse con `documents`.
+ *
+ * Versiones: cada versión de un documento es un archivo propio con su fila; todas comparten
+ * `document_id` (el filename de la primera versión) y solo una es la vigente (`is_current`).
+ */
+
+const DOCUMENT_STATUSES = ['processing', 'ready', 'failed'];
+
+// Columnas por las que se puede ordenar el listado (clave pública → columna SQL)
+const SORT_COLUMNS = {
+  createdAt: 'created_at',
+  originalName: 'original_name',
+  byteSize: 'byte_size',
+  chunks: 'chunk_count'
+};
+
+/**
+ * Convierte una fila de document_registry al formato de la API
+ * @param {Object} row - Fila de la base de datos
+ * @returns {Object}
+ */
+function mapDocumentRow(row) {
+  return {
+    filename: row.filename,
+    originalName: row.original_name,
+    collection: row.collection,
+    uploadedBy: row.uploaded_by_name,
+    uploadedById: row.uploaded_by,
+    mimeType: row.mime_type,
+    byteSize: row.byte_size,
+    pages: row.page_count,
+    chunks: row.chunk_count,
+    sha256: row.sha256,
+    status: row.status,
+    error: row.error,
+    metadata: row.metadata ? JSON.parse(row.metadata) : null,
+    documentId: row.document_id,
+    version: row.version,
+    isCurrent: row.is_current === 1,
+    replacedAt: row.replaced_at,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+/**
+ * Deduce el nombre original a partir del nombre generado por multer (`${Date.now()}-${originalname}`)
+ * @param {string} filename - Nombre del archivo en uploads/
+ * @returns {string}
+ */
+function guessOriginalName(filename) {
+  return filename.replace(/^\d{13}-/, '');
+}
+
+class DocumentRegistry {
+  /**
+   * @param {Database} db - Conexión better-sqlite3 (la de VectorStore)
+   */
+  constructor(db) {
+    this.db = db;
+    this.initTables();
+  }
+
+  /**
+   * Crea la tabla del registro y migra los documentos existentes
+   */
+  initTables() {
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS document_registry (
+        filename TEXT PRIMARY KEY,
+        original_name TEXT NOT NULL,
+        collection TEXT NOT NULL DEFAULT 'default',
+        uploaded_by INTEGER,           -- ID del usuario (users.db)
+        uploaded_by_name TEXT,
+        mime_type TEXT,
+        byte_size INTEGER,
+        page_count INTEGER,
+        chunk_count INTEGER NOT NULL DEFAULT 0,
+        sha256 TEXT,                   -- Hash del archivo original (detección de duplicados)
+        status TEXT NOT NULL DEFAULT 'ready' CHECK(status IN ('processing', 'ready', 'failed')),
+        error TEXT,
+        metadata TEXT,                 -- JSON: título, autor, fechas y outline del documento
+        document_id TEXT,              -- Documento al que pertenece la versión (filename de la primera)
+        version INTEGER NOT NULL DEFAULT 1,
+        is_current INTEGER NOT NULL DEFAULT 1, -- 1 = versión vigente (la que se busca por defecto)
+        replaced_at INTEGER,           -- Cuándo la reemplazó una versión nueva
+        created_at INTEGER DEFAULT (unixepoch()),
+        updated_at INTEGER DEFAULT (unixepoch())
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_registry_sha256 ON document_registry(sha256);
+      CREATE INDEX IF NOT EXISTS idx_registry_collection ON document_registry(collection);
+      CREATE INDEX IF NOT EXISTS idx_registry_created_at ON document_registry(created_at);
+    `);
+
+    const columns = this.db.pragma('table_info(document_registry)').map(col => col.name);
+    if (!columns.includes('metadata')) {
+      this.db.exec('ALTER TABLE document_registry ADD COLUMN metadata TEXT');
+      console.log('✓ Columna "metadata" agregada a la tabla document_registry');
+    }
+
+    if (!columns.includes('document_id')) {
+      this.db.exec(`
+        ALTER TABLE document_registry ADD COLUMN document_id TEXT;
+        ALTER TABLE document_registry ADD COLUMN version INTEGER NOT NULL DEFAULT 1;
+        ALTER TABLE document_registry ADD COLUMN is_current INTEGER NOT NULL DEFAULT 1;
+        ALTER TABLE document_registry ADD COLUMN replaced_at INTEGER;
+      `);
+      console.log('✓ Columnas de versionado agregadas a la tabla document_registry');
+    }
+
+    this.db.exec(`
+      UPDATE document_registry SET document_id = filename WHERE document_id IS NULL;
+      CREATE INDEX IF NOT EXISTS idx_registry_document_id ON document_registry(document_id, version);
+    `);
+
+    this.migrateFromChunks();
+  }
+
+  /**
+   * Registra los documentos que solo existían como chunks (antes del registro)
+   * e incorpora los hashes de la antigua tabla document_hashes
+   */
+  migrateFromChunks() {
+    const hasHashesTable = Boolean(
+      this.db.prepare("SELECT name FROM sqlite_master WHERE type='table' AND name='document_hashes'").get()
+    );
+
+    const missing = this.db.prepare(`
+      SELECT filename, MIN(collection) AS collection, COUNT(*) AS chunks,
+             MAX(page) AS pages, MIN(created_at) AS created_at
+      FROM documents
+      WHERE filename NOT IN (SELECT filename FROM document_registry)
+      GROUP BY filename
+    `).all();
+
+    const getHash = hasHashesTable
+      ? this.db.prepare('SELECT sha256, original_name FROM document_hashes WHERE filename = ?')
+      : null;
+    const insert = this.db.prepare(`
+      INSERT INTO document_registry
+        (filename, original_name, collection, mime_type, page_count, chunk_count, sha256, status, document_id, created_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, 'ready', ?, ?, ?)
+    `);
+
+    this.db.transaction(() => {
+      for (const row of missing) {
+        const hash = getHash ? getHash.get(row.filename) : null;
+
+        insert.run(
+          row.filename,
+          (hash && hash.original_name) || guessOriginalName(row.filename),
+          row.collection,
+          row.filename.toLowerCase().endsWith('.pdf') ? 'application/pdf' : null,
+          row.pages,
+          row.chunks,
+          hash ? hash.sha256 : null,
+          row.filename,
+          row.created_at,
+          row.created_at
+        );
+      }
+
+      if (hasHashesTable) {
+        this.db.exec('DROP TABLE document_hashes');
+      }
+    })();
+
+    if (missing.length > 0) {
+      console.log(`✓ ${missing.length} documentos existentes agregados al registro`);
+    }
+  }
+
+  /**
+   * Registra un documento al inicio del procesamiento (estado 'processing')
+   * Una versión nueva (`documentId` de un documento existente) se registra como no vigente
+   * hasta que termine su ingesta (ver setCurrentVersion)
+   *
+   * @param {Object} doc - {filename, originalName, collection, uploadedBy, uploadedByName, mimeType, byteSize, sha256, documentId}
+   * @returns {Object} - Documento registrado
+   */
+  register({ filename, originalName, collection, uploadedBy = null, uploadedByName = null, mimeType = null, byteSize = null, sha256 = null, documentId = null }) {
+    const version = documentId ? this.getNextVersion(documentId) : 1;
+
+    this.db.prepare(`
+      INSERT INTO document_registry
+        (filename, original_name, collection, uploaded_by, uploaded_by_name, mime_type, byte_size, sha256, status,
+         document_id, version, is_current)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, 'processing', ?, ?, ?)
+    `).run(filename, originalName, collection, uploadedBy, uploadedByName, mimeType, byteSize, sha256,
+      documentId || filename, version, documentId ? 0 : 1);
+
+    return this.get(filename);
+  }
+
+  /**
+   * Siguiente número de versión de un documento
+   * @param {string} documentId - ID del documento
+   * @returns {number}
+   */
+  getNextVersion(documentId) {
+    const row = this.db.prepare('SELECT MAX(version) AS version FROM document_registry WHERE document_id = ?').get(documentId);
+    return (row.version || 0) + 1;
+  }
+
+  /**
+   * Versiones de un documento, de la más reciente a la más antigua
+   * @param {string} documentId - ID del documento
+   * @returns {Array<Object>}
+   */
+  getVersions(documentId) {
+    return this.db.prepare('SELECT * FROM document_registry WHERE document_id = ? ORDER BY version DESC')
+      .all(documentId)
+      .map(mapDocumentRow);
+  }
+
+  /**
+   * Versión vigente de un documento
+   * @param {string} documentId - ID del documento
+   * @returns {Object|null}
+   */
+  getCurrentVersion(documentId) {
+    const row = this.db.prepare('SELECT * FROM document_registry WHERE document_id = ? AND is_current = 1').get(documentId);
+    return row ? mapDocumentRow(row) : null;
+  }
+
+  /**
+   * Convierte una versión en la vigente y marca como reemplazadas las demás
+   * @param {string} filename - Archivo de la versión
+   */
+  setCurrentVersion(filename) {
+    const doc = this.get(filename);
+    if (!doc) return;
+
+    this.db.prepare(`
+      UPDATE document_registry
+      SET is_current = 0, replaced_at = unixepoch(), updated_at = unixepoch()
+      WHERE document_id = ? AND filename != ? AND is_current = 1
+    `).run(doc.documentId, filename);
+
+    this.db.prepare(`
+      UPDATE document_registry SET is_current = 1, replaced_at = NULL, updated_at = unixepoch() WHERE filename = ?
+    `).run(filename);
+  }
+
+  /**
+   * Marca un documento como procesado
+   * @param {string} filename - Nombre del archivo
+   * @param {Object} info - {pageCount, chunkCount, metadata}
+   */
+  markReady(filename, { pageCount = null, chunkCount = 0, metadata = null } = {}) {
+    this.db.prepare(`
+      UPDATE document_registry
+      SET status = 'ready', error = NULL, page_count = ?, chunk_count = ?, metadata = ?, updated_at = unixepoch()
+      WHERE filename = ?
+    `).run(pageCount, chunkCount, metadata ? JSON.stringify(metadata) : null, filename);
+  }
+
+  /**
+   * Vuelve a poner en proceso un documento fallido (al reanudar su ingesta)
+   * @param {string} filename - Nombre del archivo
+   */
+  markProcessing(filename) {
+    this.db.prepare(`
+      UPDATE document_registry SET status = 'processing', error = NULL, updated_at = unixepoch() WHERE filename = ?
+    `).run(filename);
+  }
+
+  /**
+   * Marca como fallidos los documentos que quedaron en 'processing' (interrumpidos por un reinicio)
+   * Solo lo llama el servidor al arrancar: otro proceso con la misma base (npm run ingest)
+   * marcaría como fallidas las ingestas en curso del servidor
+   * @returns {Array<Object>} - Documentos interrumpidos
+   */
+  failInterrupted() {
+    const interrupted = this.db.prepare("SELECT * FROM document_registry WHERE status = 'processing'").all();
+
+    this.db.prepare(`
+      UPDATE document_registry
+      SET status = 'failed', error = 'Procesamiento interrumpido por un reinicio del servidor', updated_at = unixepoch()
+      WHERE status = 'processing'
+    `).run();
+
+    if (interrupted.length > 0) {
+      console.warn(`⚠️  ${interrupted.length} documentos quedaron a medio procesar y se marcaron como fallidos`);
+    }
+
+    return interrupted.map(mapDocumentRow);
+  }
+
+  /**
+   * Documentos cuya ingesta falló, del más reciente al más antiguo
+   * @returns {Array<Object>}
+   */
+  listFailed() {
+    return this.db.prepare("SELECT * FROM document_registry WHERE status = 'failed' ORDER BY updated_at DESC, filename")
+      .all()
+      .map(mapDocumentRow);
+  }
+
+  /**
+   * Marca un documento como fallido guardando el motivo
+   * @param {string} filename - Nombre del archivo
+   * @param {string} error - Mensaje de error
+   */
+  markFailed(filename, error) {
+    this.db.prepare(`
+      UPDATE document_registry
+      SET status = 'failed', error = ?, updated_at = unixepoch()
+      WHERE filename = ?
+    `).run(error, filename);
+  }
+
+  /**
+   * Actualiza datos del archivo calculados después del registro (hash, tamaño)
+   * @param {string} filename - Nombre del archivo
+   * @param {Object} info - {sha256, byteSize}
+   */
+  updateFileInfo(filename, { sha256 = null, byteSize = null }) {
+    this.db.prepare(`
+      UPDATE document_registry
+      SET sha256 = COALESCE(?, sha256), byte_size = COALESCE(?, byte_size), updated_at = unixepoch()
+      WHERE filename = ?
+    `).run(sha256, byteSize, filename);
+  }
+
+  /**
+   * Cambia la colección registrada de un documento
+   * @param {string} filename - Nombre del archivo
+   * @param {string} collection - Nueva colección
+   */
+  setCollection(filename, collection) {
+    this.db.prepare(`
+      UPDATE document_registry SET collection = ?, updated_at = unixepoch() WHERE filename = ?
+    `).run(collection, filename);
+  }
+
+  /**
+   * Actualiza el número de chunks de un documento (después de unir o dividir chunks)
+   * @param {string} filename - Nombre del archivo
+   * @param {number} chunkCount - Chunks actuales
+   */
+  setChunkCount(filename, chunkCount) {
+    this.db.prepare(`
+      UPDATE document_registry SET chunk_count = ?, updated_at = unixepoch() WHERE filename = ?
+    `).run(chunkCount, filename);
+  }
+
+  /**
+   * Obtiene un documento del registro
+   * @param {string} filename - Nombre del archivo
+   * @returns {Object|null}
+   */
+  get(filename) {
+    const row = this.db.prepare('SELECT * FROM document_registry WHERE filename = ?').get(filename);
+    return row ? mapDocumentRow(row) : null;
+  }
+
+  /**
+   * Verifica si un documento está registrado
+   * @param {string} filename - Nombre del archivo
+   * @returns {boolean}
+   */
+  has(filename) {
+    return Boolean(this.db.prepare('SELECT 1 FROM document_registry WHERE filename = ?').get(filename));
+  }
+
+  /**
+   * Lista documentos con filtros y paginación
+   * @param {Object} options - Opciones de listado
+   * @param {string} options.collection - Solo esta colección (opcional)
+   * @param {string} options.status - Solo este estado (opcional)
+   * @param {string} options.search - Texto a buscar en el nombre original o el título (opcional)
+   * @param {string} options.sort - createdAt | originalName | byteSize | chunks (default: createdAt)
+   * @param {string} options.order - asc | desc (default: desc)
+   * @param {boolean} options.allVersions - Incluir versiones reemplazadas (default: solo vigentes)
+   * @param {number} options.limit - Documentos por página
+   * @param {number} options.offset - Desplazamiento
+   * @returns {{documents: Array, total: number}}
+   */
+  list({ collection = null, status = null, search = null, sort = 'createdAt', order = 'desc', allVersions = false, limit = 50, offset = 0 } = {}) {
+    const conditions = [];
+    const params = [];
+
+    if (!allVersions) {
+      // Una versión nueva en proceso o fallida se lista junto a la vigente
+      conditions.push("(is_current = 1 OR status != 'ready')");
+    }
+
+    if (collection) {
+      conditions.push('collection = ?');
+      params.push(collection);
+    }
+
+    if (status) {
+      conditions.push('status = ?');
+      params.push(status);
+    }
+
+    if (search) {
+      const pattern = `%${search.replace(/[\\%_]/g, char => `\\${char}`)}%`;
+      conditions.push("(original_name LIKE ? ESCAPE '\\' OR json_extract(metadata, '$.title') LIKE ? ESCAPE '\\')");
+      params.push(pattern, pattern);
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const column = SORT_COLUMNS[sort] || SORT_COLUMNS.createdAt;
+    const direction = order === 'asc' ? 'ASC' : 'DESC';
+
+    const total = this.db.prepare(`SELECT COUNT(*) AS count FROM document_registry ${where}`).get(...params).count;
+    const rows = this.db.prepare(`
+      SELECT * FROM document_registry ${where}
+      ORDER BY ${column} ${direction}, filename ${direction}
+      LIMIT ? OFFSET ?
+    `).all(...params, limit, offset);
+
+    return {
+      documents: rows.map(mapDocumentRow),
+      total
+    };
+  }
+
+  /**
+   * Busca un documento (procesado o en proceso) con el mismo contenido
+   * @param {string} sha256 - Hash SHA-256 (hex) del archivo
+   * @returns {Object|null} - El más antiguo con ese hash
+   */
+  findByHash(sha256) {
+    const row = this.db.prepare(`
+      SELECT * FROM document_registry
+      WHERE sha256 = ? AND status != 'failed'
+      ORDER BY created_at, filename
+      LIMIT 1
+    `).get(sha256);
+
+    return row ? mapDocumentRow(row) : null;
+  }
+
+  /**
+   * Busca un documento fallido con el mismo contenido (su ingesta se puede reanudar)
+   * @param {string} sha256 - Hash SHA-256 (hex) del archivo
+   * @returns {Object|null} - El más reciente con ese hash
+   */
+  findFailedByHash(sha256) {
+    const row = this.db.prepare(`
+      SELECT * FROM document_registry
+      WHERE sha256 = ? AND status = 'failed'
+      ORDER BY created_at DESC, filename DESC
+      LIMIT 1
+    `).get(sha256);
+
+    return row ? mapDocumentRow(row) : null;
+  }
+
+  /**
+   * Documentos sin hash o tamaño (registrados antes de conocerlos)
+   * @returns {Array<string>} - Nombres de archivo
+   */
+  getFilenamesMissingFileInfo() {
+    return this.db.prepare(`
+      SELECT filename FROM document_registry WHERE sha256 IS NULL OR byte_size IS NULL
+    `).all().map(row => row.filename);
+  }
+
+  /**
+   * Detecta inconsistencias entre el registro y los chunks
+   * @returns {{chunksWithoutDocument: Array<string>, documentsWithoutChunks: Array<string>}}
+   */
+  findOrphans() {
+    const chunksWithoutDocument = this.db.prepare(`
+      SELECT DISTINCT filename FROM documents
+      WHERE filename NOT IN (SELECT filename FROM document_registry)
+    `).all().map(row => row.filename);
+
+    const documentsWithoutChunks = this.db.prepare(`
+      SELECT filename FROM document_registry
+      WHERE status = 'ready' AND filename NOT IN (SELECT DISTINCT filename FROM documents)
+    `).all().map(row => row.filename);
+
+    return { chunksWithoutDocument, documentsWithoutChunks };
+  }
+
+  /**
+   * Elimina un documento del registro
+   * @param {string} filename - Nombre del archivo
+   * @returns {boolean} - true si existía
+   */
+  remove(filename) {
+    return this.db.prepare('DELETE FROM document_registry WHERE filename = ?').run(filename).changes > 0;
+  }
+}
+
+module.exports = DocumentRegistry;
+module.exports.DOCUMENT_STATUSES = DOCUMENT_STATUSES;
+module.exports.SORT_COLUMNS = SORT_COLUMNS;
@@ -10,6 +10,10 @@ const config = require('../config');
 const {
   baseURL: OLLAMA_BASE_URL,
   embedModel: EMBED_MODEL,
+  embedBatchSize: EMBED_BATCH_SIZE,
+  embedConcurrency: EMBED_CONCURRENCY,
+  embedRetries: EMBED_RETRIES,
+  embedRetryDelay: EMBED_RETRY_DELAY,
   llmModel: LLM_MODEL,
   timeout: OLLAMA_TIMEOUT,
   temperature: TEMPERATURE,
@@ -17,22 +21,61 @@ const {
   topK: TOP_K
 } = config.ollama;
 
+/**
+ * Indica si un error de Ollama es transitorio y vale la pena reintentar
+ * (sin respuesta, timeout, conexión cortada, 429 o 5xx)
+ *
+ * @param {Error} error - Error de Axios
+ * @returns {boolean}
+ */
+function isRetryableError(error) {
+  if (!error.response) {
+    return true;
+  }
+  const status = error.response.status;
+  return status === 429 || status >= 500;
+}
+
+/**
+ * Ejecuta una petición reintentando los fallos transitorios con backoff exponencial
+ *
+ * @param {Function} request - async () => resultado
+ * @param {string} description - Descripción para los logs
+ * @returns {Promise<*>} Resultado de la petición
+ */
+async function withRetry(request, description) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await request();
+    } catch (error) {
+      if (attempt >= EMBED_RETRIES || !isRetryableError(error)) {
+        throw error;
+      }
+
+      const delay = EMBED_RETRY_DELAY * 2 ** attempt;
+      console.warn(`\n⚠️  ${description} falló (${error.message}), reintento ${attempt + 1}/${EMBED_RETRIES} en ${delay}ms`);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+}
+
 /**
  * Genera vector de embedding para texto dado usando Ollama
  *
  * @param {string} text - Texto a vectorizar
+ * @param {string} model - Modelo de embeddings (default: OLLAMA_EMBED_MODEL)
  * @returns {Promise<Array<number>>} Vector de embedding
  */
-async function generateEmbedding(text) {
+async function generateEmbedding(text, model = EMBED_MODEL) {
   try {
-    const response = await axios.post(
+    const response = await withRetry(() => axios.post(
       `${OLLAMA_BASE_URL}/api/embeddings`,
       {
-        model: EMBED_MODEL,
+        model: model,
         prompt: text
       },
       { timeout: OLLAMA_TIMEOUT }
-    );
+    ), 'Embedding');
     return response.data.embedding;
   } catch (error) {
     console.error('Error generando embedding:', error.message);
@@ -40,6 +83,101 @@ async function generateEmbedding(text) {
   }
 }
 
+/**
+ * Genera embeddings de varios textos en una sola petición (/api/embed con `input`)
+ * Si la versión de Ollama no tiene /api/embed, se usa /api/embeddings texto por texto
+ *
+ * @param {Array<string>} texts - Textos a vectorizar
+ * @param {string} model - Modelo de embeddings (default: OLLAMA_EMBED_MODEL)
+ * @returns {Promise<Array<Array<number>>>} Vectores en el mismo orden que `texts`
+ */
+async function generateEmbeddingBatch(texts, model = EMBED_MODEL) {
+  try {
+    const response = await withRetry(() => axios.post(
+      `${OLLAMA_BASE_URL}/api/embed`,
+      {
+        model: model,
+        input: texts
+      },
+      { timeout: OLLAMA_TIMEOUT }
+    ), `Lote de ${texts.length} embeddings`);
+
+    const embeddings = response.data.embeddings;
+    if (!Array.isArray(embeddings) || embeddings.length !== texts.length) {
+      throw new Error(`Ollama devolvió ${embeddings ? embeddings.length : 0} embeddings para ${texts.length} textos`);
+    }
+    return embeddings;
+  } catch (error) {
+    // Ollama < 0.3 responde 404 sin cuerpo JSON; un 404 de "model not found" sí es un error real
+    if (error.response && error.response.status === 404 && !/model/i.test(JSON.stringify(error.response.data || ''))) {
+      console.warn('⚠️  /api/embed no disponible en esta versión de Ollama, usando /api/embeddings');
+      const embeddings = [];
+      for (const text of texts) {
+        embeddings.push(await generateEmbedding(text, model));
+      }
+      return embeddings;
+    }
+
+    console.error('Error generando lote de embeddings:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Genera embeddings de muchos textos en lotes, con varias peticiones en paralelo
+ *
+ * @param {Array<string>} texts - Textos a vectorizar
+ * @param {string} model - Modelo de embeddings (default: OLLAMA_EMBED_MODEL)
+ * @param {Function} onProgress - Callback (completados, total) tras cada lote (opcional)
+ * @param {Function} onBatch - Callback (posición inicial, vectores del lote) tras cada lote, p. ej. para
+ *   guardarlo antes de que falle otro (opcional)
+ * @returns {Promise<Array<Array<number>>>} Vectores en el mismo orden que `texts`
+ */
+async function generateEmbeddings(texts, model = EMBED_MODEL, onProgress = () => {}, onBatch = () => {}) {
+  const embeddings = new Array(texts.length);
+  const batches = [];
+  for (let start = 0; start < texts.length; start += EMBED_BATCH_SIZE) {
+    batches.push(start);
+  }
+
+  let nextBatch = 0;
+  let completed = 0;
+  let failure = null;
+
+  // Cada worker toma el siguiente lote libre; el resultado se guarda por posición.
+  // Tras el primer error ningún worker toma otro lote ni informa progreso
+  const worker = async () => {
+    while (!failure && nextBatch < batches.length) {
+      const start = batches[nextBatch++];
+      const batchTexts = texts.slice(start, start + EMBED_BATCH_SIZE);
+
+      try {
+        const batchEmbeddings = await generateEmbeddingBatch(batchTexts, model);
+        if (failure) return;
+
+        batchEmbeddings.forEach((embedding, i) => {
+          embeddings[start + i] = embedding;
+        });
+        onBatch(start, batchEmbeddings);
+        completed += batchTexts.length;
+        onProgress(completed, texts.length);
+      } catch (error) {
+        failure = failure || error;
+      }
+    }
+  };
+
+  // Se espera también a las peticiones en curso: ninguna queda solapada con la siguiente ingesta
+  const workers = Array.from({ length: Math.min(EMBED_CONCURRENCY, batches.length) }, worker);
+  await Promise.all(workers);
+
+  if (failure) {
+    throw failure;
+  }
+
+  return embeddings;
+}
+
 /**
  * Genera respuesta LLM usando Ollama (sin streaming)
  *
@@ -103,6 +241,8 @@ async function generateLLMResponseStream(prompt) {
 
 module.exports = {
   generateEmbedding,
+  generateEmbeddingBatch,
+  generateEmbeddings,
   generateLLMResponse,
   generateLLMResponseStream
 };
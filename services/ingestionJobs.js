@@ -0,0 +1,276 @@
+/**
+ * Jobs de Ingesta
+ *
+ * Persiste el estado de cada ingesta (etapa y porcentaje) en SQLite y emite
+ * eventos de progreso para que los clientes puedan consultar o suscribirse por SSE.
+ * Los jobs se ejecutan de a uno para no saturar Ollama.
+ */
+
+const EventEmitter = require('events');
+const { v4: uuidv4 } = require('uuid');
+
+const JOB_STATUSES = ['queued', 'running', 'completed', 'failed'];
+
+// Rango de porcentaje que ocupa cada etapa del pipeline
+const STAGE_PROGRESS = {
+  queued: [0, 0],
+  extracting: [0, 10],
+  chunking: [10, 15],
+  embedding: [15, 95],
+  storing: [95, 100],
+  done: [100, 100]
+};
+
+/**
+ * Calcula el porcentaje global a partir de la etapa y su avance interno
+ * @param {string} stage - Etapa actual
+ * @param {number} current - Elementos procesados en la etapa
+ * @param {number} total - Elementos totales de la etapa
+ * @returns {number} - Porcentaje 0-100 (entero)
+ */
+function computeProgress(stage, current = 0, total = 0) {
+  const [start, end] = STAGE_PROGRESS[stage] || [0, 0];
+  const fraction = total > 0 ? Math.min(current / total, 1) : 0;
+  return Math.round(start + (end - start) * fraction);
+}
+
+/**
+ * Convierte una fila de ingestion_jobs al formato de la API
+ * @param {Object} row - Fila de la base de datos
+ * @returns {Object}
+ */
+function mapJobRow(row) {
+  return {
+    id: row.id,
+    filename: row.filename,
+    originalName: row.original_name,
+    collection: row.collection,
+    batchId: row.batch_id,
+    status: row.status,
+    stage: row.stage,
+    progress: row.progress,
+    current: row.current,
+    total: row.total,
+    error: row.error,
+    result: row.result ? JSON.parse(row.result) : null,
+    createdBy: row.created_by,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+    finishedAt: row.finished_at
+  };
+}
+
+class IngestionJobStore extends EventEmitter {
+  /**
+   * @param {Database} db - Conexión better-sqlite3 (la de VectorStore)
+   */
+  constructor(db) {
+    super();
+    this.db = db;
+    this.queue = Promise.resolve();
+    this.initTables();
+  }
+
+  /**
+   * Crea la tabla de jobs y marca como fallidos los que quedaron a medias
+   */
+  initTables() {
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS ingestion_jobs (
+        id TEXT PRIMARY KEY,
+        filename TEXT NOT NULL,
+        original_name TEXT,
+        collection TEXT,
+        status TEXT NOT NULL DEFAULT 'queued' CHECK(status IN ('queued', 'running', 'completed', 'failed')),
+        stage TEXT NOT NULL DEFAULT 'queued',
+        progress INTEGER NOT NULL DEFAULT 0,   -- Porcentaje global 0-100
+        current INTEGER,                       -- Avance dentro de la etapa (p. ej. embedding i/N)
+        total INTEGER,
+        error TEXT,
+        result TEXT,                           -- Resumen JSON al completar
+        created_by TEXT,
+        batch_id TEXT,                         -- Importación masiva a la que pertenece (opcional)
+        created_at INTEGER DEFAULT (unixepoch()),
+        updated_at INTEGER DEFAULT (unixepoch()),
+        finished_at INTEGER
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_ingestion_jobs_created_at ON ingestion_jobs(created_at);
+    `);
+
+    const columns = this.db.pragma('table_info(ingestion_jobs)').map(col => col.name);
+    if (!columns.includes('batch_id')) {
+      this.db.exec('ALTER TABLE ingestion_jobs ADD COLUMN batch_id TEXT');
+      console.log('✓ Columna "batch_id" agregada a la tabla ingestion_jobs');
+    }
+    this.db.exec('CREATE INDEX IF NOT EXISTS idx_ingestion_jobs_batch_id ON ingestion_jobs(batch_id)');
+
+    const interrupted = this.db.prepare(`
+      UPDATE ingestion_jobs
+      SET status = 'failed', error = 'Job interrumpido por un reinicio del servidor',
+          updated_at = unixepoch(), finished_at = unixepoch()
+      WHERE status IN ('queued', 'running')
+    `).run().changes;
+
+    if (interrupted > 0) {
+      console.warn(`⚠️  ${interrupted} jobs de ingesta interrumpidos por el reinicio se marcaron como fallidos`);
+    }
+  }
+
+  /**
+   * Crea un job en estado 'queued'
+   * @param {Object} job - {filename, originalName, collection, createdBy, batchId}
+   * @returns {Object} - Job creado
+   */
+  create({ filename, originalName = null, collection = null, createdBy = null, batchId = null }) {
+    const id = uuidv4();
+
+    this.db.prepare(`
+      INSERT INTO ingestion_jobs (id, filename, original_name, collection, created_by, batch_id)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `).run(id, filename, originalName, collection, createdBy, batchId);
+
+    return this.get(id);
+  }
+
+  /**
+   * Obtiene un job
+   * @param {string} id - ID del job
+   * @returns {Object|null}
+   */
+  get(id) {
+    const row = this.db.prepare('SELECT * FROM ingestion_jobs WHERE id = ?').get(id);
+    return row ? mapJobRow(row) : null;
+  }
+
+  /**
+   * Lista los jobs más recientes
+   * @param {number} limit - Número máximo de jobs
+   * @returns {Array}
+   */
+  list(limit = 50) {
+    return this.db.prepare('SELECT * FROM ingestion_jobs ORDER BY created_at DESC, rowid DESC LIMIT ?')
+      .all(limit)
+      .map(mapJobRow);
+  }
+
+  /**
+   * Lista los jobs de una importación masiva en el orden en que se crearon
+   * @param {string} batchId - ID del lote
+   * @returns {Array}
+   */
+  listBatch(batchId) {
+    return this.db.prepare('SELECT * FROM ingestion_jobs WHERE batch_id = ? ORDER BY rowid')
+      .all(batchId)
+      .map(mapJobRow);
+  }
+
+  /**
+   * Registra el avance de un job y notifica a los suscriptores
+   * Un job ya terminado no cambia: un aviso tardío no lo vuelve a poner en curso
+   * @param {string} id - ID del job
+   * @param {Object} update - {stage, current, total}
+   */
+  updateProgress(id, { stage, current = null, total = null }) {
+    const result = this.db.prepare(`
+      UPDATE ingestion_jobs
+      SET status = 'running', stage = ?, progress = ?, current = ?, total = ?, updated_at = unixepoch()
+      WHERE id = ? AND status IN ('queued', 'running')
+    `).run(stage, computeProgress(stage, current, total), current, total, id);
+
+    if (result.changes > 0) {
+      this.emitJob(id);
+    }
+  }
+
+  /**
+   * Marca un job como completado
+   * @param {string} id - ID del job
+   * @param {Object} result - Resumen de la ingesta
+   */
+  complete(id, result) {
+    this.db.prepare(`
+      UPDATE ingestion_jobs
+      SET status = 'completed', stage = 'done', progress = 100, result = ?,
+          updated_at = unixepoch(), finished_at = unixepoch()
+      WHERE id = ?
+    `).run(JSON.stringify(result), id);
+
+    this.emitJob(id);
+  }
+
+  /**
+   * Marca un job como fallido
+   * @param {string} id - ID del job
+   * @param {string} error - Mensaje de error
+   */
+  fail(id, error) {
+    this.db.prepare(`
+      UPDATE ingestion_jobs
+      SET status = 'failed', error = ?, updated_at = unixepoch(), finished_at = unixepoch()
+      WHERE id = ?
+    `).run(error, id);
+
+    this.emitJob(id);
+  }
+
+  /**
+   * Emite el estado actual de un job a sus suscriptores
+   * @param {string} id - ID del job
+   */
+  emitJob(id) {
+    this.emit(`job:${id}`, this.get(id));
+  }
+
+  /**
+   * Se suscribe a los cambios de un job
+   * @param {string} id - ID del job
+   * @param {Function} listener - Recibe el job actualizado
+   * @returns {Function} - Cancela la suscripción
+   */
+  subscribe(id, listener) {
+    this.on(`job:${id}`, listener);
+    return () => this.off(`job:${id}`, listener);
+  }
+
+  /**
+   * Encola la ejecución de un job (uno a la vez, en orden de llegada)
+   * El job pasa a 'failed' si la tarea lanza un error
+   *
+   * @param {string} id - ID del job
+   * @param {Function} task - async (onProgress) => result
+   * @returns {Promise<void>}
+   */
+  enqueue(id, task) {
+    const run = async () => {
+      let settled = false;
+      try {
+        const result = await task(update => {
+          if (!settled) this.updateProgress(id, update);
+        });
+        settled = true;
+        this.complete(id, result);
+      } catch (error) {
+        settled = true;
+        console.error(`❌ Job de ingesta ${id} fallido:`, error.message);
+        this.fail(id, error.message);
+      }
+    };
+
+    this.queue = this.queue.then(run);
+    return this.queue;
+  }
+
+  /**
+   * Indica si un job terminó (completado o fallido)
+   * @param {Object} job - Job
+   * @returns {boolean}
+   */
+  static isFinished(job) {
+    return job.status === 'completed' || job.status === 'failed';
+  }
+}
+
+module.exports = IngestionJobStore;
+module.exports.JOB_STATUSES = JOB_STATUSES;
+module.exports.computeProgress = computeProgress;
@@ -0,0 +1,91 @@
+/**
+ * Pipeline de Ingesta
+ *
+ * Orquesta la ingesta completa de un documento ya registrado:
+ * extracción → chunking → embeddings → almacenamiento → registro
+ * Reporta cada etapa mediante `onProgress` para los jobs en segundo plano.
+ *
+ * Si el documento es una versión nueva (ver DocumentRegistry.register), los chunks de la
+ * versión vigente se archivan en la misma transacción en que se guardan los nuevos:
+ * las búsquedas nunca ven ambas versiones ni ninguna.
+ *
+ * Los embeddings se guardan por lotes a medida que se calculan: si la ingesta falla
+ * (p. ej. Ollama se reinicia), volver a llamar a ingestDocument con el mismo archivo
+ * retoma desde el último lote completado.
+ */
+
+const { processDocument } = require('./documentProcessor');
+
+/**
+ * Procesa un archivo subido y guarda sus chunks
+ *
+ * @param {Object} file - Archivo (formato Multer: path, filename, originalname)
+ * @param {Object} options - Opciones de la ingesta
+ * @param {string} options.collection - Colección destino
+ * @param {Array<string>} options.tags - Etiquetas del documento (una versión nueva hereda las de la anterior si no se indican)
+ * @param {Object} services - Dependencias
+ * @param {Object} services.vectorStore - Instancia de VectorStore
+ * @param {Object} services.documentRegistry - Instancia de DocumentRegistry
+ * @param {Object} services.ragConfig - Configuración RAG (chunkSize, chunkOverlap, chunkUnit, boilerplate)
+ * @param {Function} onProgress - Callback ({stage, current, total}) (opcional)
+ * @returns {Promise<Object>} Resumen: {filename, originalName, version, pages, chunks, sections, removedLines, collection, tags}
+ */
+async function ingestDocument(file, { collection, tags = [] }, { vectorStore, documentRegistry, ragConfig }, onProgress = () => {}) {
+  try {
+    // Embeddings con el modelo activo para compartir el espacio vectorial guardado
+    const embedModel = vectorStore.getEmbeddingModel();
+    const checkpoint = {
+      completed: vectorStore.getIngestionCheckpoint(file.filename, embedModel),
+      save: rows => vectorStore.saveIngestionCheckpoint(file.filename, embedModel, rows)
+    };
+    const result = await processDocument(file, ragConfig, embedModel, onProgress, checkpoint);
+    const { documentId, version } = documentRegistry.get(file.filename);
+
+    onProgress({ stage: 'storing', current: 0, total: result.chunksWithEmbeddings.length });
+    const savedTags = vectorStore.transaction(() => {
+      vectorStore.insertChunksBatch(result.chunksWithEmbeddings.map(chunk => ({ ...chunk, collection, version })));
+      vectorStore.clearIngestionCheckpoint(file.filename);
+
+      documentRegistry.markReady(file.filename, {
+        pageCount: result.documentData.numPages,
+        chunkCount: result.chunksWithEmbeddings.length,
+        metadata: result.documentData.metadata
+          ? { ...result.documentData.metadata, outline: result.documentData.outline }
+          : null
+      });
+
+      // La vigente se lee aquí y no al encolar: pudo eliminarse mientras se procesaba
+      let previous = null;
+      if (documentId !== file.filename) {
+        previous = documentRegistry.getCurrentVersion(documentId);
+        if (previous) {
+          vectorStore.archiveDocument(previous.filename);
+        }
+        documentRegistry.setCurrentVersion(file.filename);
+      }
+
+      const inheritedTags = previous && tags.length === 0 ? vectorStore.getDocumentTags(previous.filename) : tags;
+      return vectorStore.setDocumentTags(file.filename, inheritedTags);
+    });
+    console.log(`✓ Guardado en VectorStore: ${result.chunksWithEmbeddings.length} chunks (colección: ${collection}, versión ${version})\n`);
+
+    return {
+      filename: file.filename,
+      originalName: file.originalname,
+      version,
+      pages: result.documentData.numPages,
+      chunks: result.chunksWithEmbeddings.length,
+      sections: result.documentData.sections.length,
+      removedLines: result.documentData.removedLines || [],
+      collection,
+      tags: savedTags
+    };
+  } catch (error) {
+    documentRegistry.markFailed(file.filename, error.message);
+    throw error;
+  }
+}
+
+module.exports = {
+  ingestDocument
+};
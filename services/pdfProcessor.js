@@ -2,79 +2,396 @@
  * Servicio de Procesamiento de PDF
  *
  * Maneja la extracción de texto de PDF con seguimiento preciso de metadata a nivel de página.
- * Utiliza pdf-parse para extracción de texto confiable.
+ * Usa el pdf.js que incluye pdf-parse para leer también los metadatos del documento
+ * (título, autor, fechas) y su índice de marcadores (outline).
  */
 
 const fs = require('fs');
-const pdf = require('pdf-parse');
+// pdf.js incluido en pdf-parse: esta ruta no es parte de su API pública, por eso
+// package.json fija la versión exacta de pdf-parse. Al actualizarlo, verificar que siga existiendo.
+const PDFJS = require('pdf-parse/lib/pdf.js/v1.10.100/build/pdf.js');
+const { LIST_ITEM_PATTERN } = require('./chunking');
+
+PDFJS.disableWorker = true;
+
+// Heading detection without outline: a line this much larger than body text is a heading
+const HEADING_SIZE_RATIO = 1.15;
+const MAX_HEADING_LENGTH = 120;
+const MAX_HEADING_LEVELS = 3;
+
+// Boilerplate: lines at the same height (±tolerance pt) are compared across pages
+const BOILERPLATE_Y_TOLERANCE = 5;
+// Top/bottom share of the page treated as header/footer area
+const MARGIN_RATIO = 0.1;
+// Layout blocks: a horizontal gap this many times the font size separates table cells
+const COLUMN_GAP_RATIO = 1.5;
+// A vertical gap larger than this many times the font size starts a new paragraph
+const PARAGRAPH_GAP_RATIO = 1.6;
+// Indentation (pt) that makes a line the continuation of the list item above it
+const LIST_INDENT_TOLERANCE = 2;
+const PAGE_NUMBER_PATTERN = /^[-–—\s]*((p[áa]g(ina)?|page|p)\.?\s*)?\d+(\s*(de|of|\/)\s*\d+)?[-–—\s]*$/i;
 
 /**
- * Extrae texto de PDF con metadata precisa a nivel de página
+ * Convierte una fecha PDF ("D:20240115103000-05'00'") a ISO 8601
  *
- * @param {string} filePath - Ruta al archivo PDF
- * @returns {Promise<{fullText: string, numPages: number, pages: Array}>}
+ * @param {string} value - Fecha en formato PDF
+ * @returns {string|null} Fecha ISO o null si no se puede interpretar
  */
-async function extractTextFromPDFWithPages(filePath) {
-  const dataBuffer = fs.readFileSync(filePath);
+function parsePDFDate(value) {
+  if (typeof value !== 'string') return null;
+
+  const match = /^(?:D:)?(\d{4})(\d{2})?(\d{2})?(\d{2})?(\d{2})?(\d{2})?(Z|[+-]\d{2}'?\d{2}'?)?/.exec(value.trim());
+  if (!match) return null;
+
+  const [, year, month = '01', day = '01', hour = '00', minute = '00', second = '00', zone] = match;
+  const offset = !zone || zone === 'Z' ? 'Z' : `${zone.slice(0, 3)}:${zone.slice(3).replace(/'/g, '') || '00'}`;
+  const date = new Date(`${year}-${month}-${day}T${hour}:${minute}:${second}${offset}`);
+
+  return isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/**
+ * Extrae los metadatos del diccionario Info del PDF
+ *
+ * @param {Object} doc - Documento pdf.js
+ * @returns {Promise<Object>} {title, author, subject, keywords, creator, producer, creationDate, modificationDate}
+ */
+async function extractMetadata(doc) {
+  const data = await doc.getMetadata().catch(() => null);
+  const info = (data && data.info) || {};
+  const clean = value => (typeof value === 'string' && value.trim() ? value.trim() : null);
+
+  return {
+    title: clean(info.Title),
+    author: clean(info.Author),
+    subject: clean(info.Subject),
+    keywords: clean(info.Keywords),
+    creator: clean(info.Creator),
+    producer: clean(info.Producer),
+    creationDate: parsePDFDate(info.CreationDate),
+    modificationDate: parsePDFDate(info.ModDate)
+  };
+}
 
-  // Custom page render function for text extraction
-  const pageRenderFunction = async function(pageData) {
-    // Get the text content from the page
-    const textContent = await pageData.getTextContent();
+/**
+ * Aplana el outline (marcadores) del PDF resolviendo la página de cada entrada
+ *
+ * @param {Object} doc - Documento pdf.js
+ * @returns {Promise<Array<{title: string, path: string, level: number, page: number|null}>>} En orden de lectura
+ */
+async function extractOutline(doc) {
+  const outline = await doc.getOutline().catch(() => null);
+  if (!outline) return [];
 
-    // Extract text from items
-    let pageText = textContent.items.map(item => item.str).join(' ');
+  const resolvePage = async (dest) => {
+    try {
+      const explicit = typeof dest === 'string' ? await doc.getDestination(dest) : dest;
+      if (!Array.isArray(explicit) || !explicit[0]) return null;
+      return (await doc.getPageIndex(explicit[0])) + 1;
+    } catch (error) {
+      return null;
+    }
+  };
 
-    // CLEANUP: Normalize spaces
-    pageText = pageText
-      .replace(/\s+/g, ' ')  // Multiple spaces to single space
-      .trim();
+  const entries = [];
+  const walk = async (items, ancestors) => {
+    for (const item of items) {
+      const title = (item.title || '').replace(/\s+/g, ' ').trim();
+      if (!title) continue;
 
-    return pageText;
+      const path = [...ancestors, title];
+      entries.push({ title, path: path.join(' > '), level: path.length, page: await resolvePage(item.dest) });
+      await walk(item.items || [], path);
+    }
   };
 
+  await walk(outline, []);
+  return entries;
+}
+
+/**
+ * Agrupa los items de texto de una página en líneas (misma coordenada Y)
+ *
+ * `columns` cuenta los tramos de texto separados por huecos horizontales grandes:
+ * dos o más indican una fila de tabla.
+ *
+ * @param {Array} items - Items de getTextContent()
+ * @returns {Array<{text: string, size: number, y: number, x: number, columns: number}>} Líneas con el tamaño de fuente dominante
+ */
+function groupItemsIntoLines(items) {
+  const lines = [];
+
+  for (const item of items) {
+    const x = item.transform[4];
+    const y = Math.round(item.transform[5]);
+    const size = Math.round(Math.hypot(item.transform[2], item.transform[3]) * 10) / 10;
+    const last = lines[lines.length - 1];
+
+    if (last && last.y === y) {
+      if (item.str.trim() && last.right !== null && x - last.right > size * COLUMN_GAP_RATIO) {
+        last.columns++;
+      }
+      last.parts.push(item.str);
+      last.size = Math.max(last.size, size);
+      last.x = Math.min(last.x, x);
+      if (item.str.trim()) last.right = x + (item.width || 0);
+    } else {
+      lines.push({ y, size, x, columns: 1, right: item.str.trim() ? x + (item.width || 0) : null, parts: [item.str] });
+    }
+  }
+
+  return lines
+    .map(line => ({
+      text: line.parts.join(' ').replace(/\s+/g, ' ').trim(),
+      size: line.size,
+      y: line.y,
+      x: line.x,
+      columns: line.columns
+    }))
+    .filter(line => line.text.length > 0);
+}
+
+/**
+ * Detecta encabezados, pies de página y numeración repetidos entre páginas
+ *
+ * Una línea es repetitiva si aparece con el mismo texto y a la misma altura en al menos
+ * `minPageRatio` de las páginas. En los márgenes superior e inferior los números no cuentan
+ * ("Página 3 de 10" y "Página 4 de 10" son la misma línea) y los números de página sueltos
+ * se quitan siempre.
+ *
+ * @param {Array<Array>} pageLines - Líneas de cada página (groupItemsIntoLines)
+ * @param {Array<number>} pageHeights - Alto de cada página
+ * @param {number} minPageRatio - Fracción mínima de páginas (0-1)
+ * @returns {{isBoilerplate: Function, removedLines: Array<{text: string, pages: number}>}}
+ */
+function detectBoilerplate(pageLines, pageHeights, minPageRatio) {
+  const isInMargin = (line, pageIndex) => {
+    const height = pageHeights[pageIndex];
+    return !height || line.y < height * MARGIN_RATIO || line.y > height * (1 - MARGIN_RATIO);
+  };
+
+  const keyOf = (line, pageIndex) => {
+    const text = line.text.toLowerCase();
+    const y = Math.round(line.y / BOILERPLATE_Y_TOLERANCE);
+    return isInMargin(line, pageIndex) ? `${y}|${text.replace(/\d+/g, '#')}` : `${y}|${text}`;
+  };
+
+  const pagesByKey = new Map();
+  pageLines.forEach((lines, index) => {
+    for (const key of new Set(lines.map(line => keyOf(line, index)))) {
+      pagesByKey.set(key, (pagesByKey.get(key) || 0) + 1);
+    }
+  });
+
+  const minPages = Math.max(2, Math.ceil(pageLines.length * minPageRatio));
+  const repeated = new Set(Array.from(pagesByKey.entries()).filter(([, count]) => count >= minPages).map(([key]) => key));
+
+  const isPageNumber = (line, pageIndex) => PAGE_NUMBER_PATTERN.test(line.text) && isInMargin(line, pageIndex);
+  const isBoilerplate = (line, pageIndex) => repeated.has(keyOf(line, pageIndex)) || isPageNumber(line, pageIndex);
+
+  // Summary: one entry per repeated line, with the text of its first occurrence
+  const removed = new Map();
+  pageLines.forEach((lines, index) => {
+    for (const line of lines) {
+      if (!isBoilerplate(line, index)) continue;
+
+      const key = repeated.has(keyOf(line, index)) ? keyOf(line, index) : 'page-number';
+      const entry = removed.get(key) || { text: line.text, pages: new Set() };
+      entry.pages.add(index);
+      removed.set(key, entry);
+    }
+  });
+
+  return {
+    isBoilerplate,
+    removedLines: Array.from(removed.values()).map(entry => ({ text: entry.text, pages: entry.pages.size }))
+  };
+}
+
+/**
+ * Crea el test de encabezado por tamaño de fuente para un documento
+ * El tamaño del cuerpo es el que cubre más caracteres; un encabezado es una línea corta más grande
+ *
+ * @param {Array<Array>} pageLines - Líneas de cada página (groupItemsIntoLines)
+ * @returns {Function|null} line => boolean, o null si el documento no tiene texto
+ */
+function createHeadingTest(pageLines) {
+  const charsBySize = new Map();
+  pageLines.flat().forEach(line => charsBySize.set(line.size, (charsBySize.get(line.size) || 0) + line.text.length));
+  const bodySize = Array.from(charsBySize.entries()).sort((a, b) => b[1] - a[1])[0]?.[0];
+  if (!bodySize) return null;
+
+  return line => line.size >= bodySize * HEADING_SIZE_RATIO &&
+    line.text.length <= MAX_HEADING_LENGTH &&
+    /\p{L}/u.test(line.text);
+}
+
+/**
+ * Agrupa las líneas de una página en bloques de layout sobre `fullText`
+ *
+ * - heading: línea de encabezado (outline o tamaño de fuente); las líneas seguidas del mismo
+ *   encabezado se unen
+ * - list: un ítem de lista (viñeta o numeración) con sus líneas de continuación sangradas
+ * - table: una fila de tabla (línea con varias columnas separadas por huecos)
+ * - paragraph: líneas consecutivas sin un salto vertical grande ni cambio de tamaño
+ *
+ * @param {Array} lines - Líneas de la página (groupItemsIntoLines, sin boilerplate)
+ * @param {number} pageCharStart - Posición de la página en fullText
+ * @param {Function} isHeading - line => boolean
+ * @returns {Array<{type: string, charStart: number, charEnd: number}>}
+ */
+function detectLayoutBlocks(lines, pageCharStart, isHeading) {
+  const blocks = [];
+  let offset = pageCharStart;
+  let current = null;
+  let previous = null;
+
+  for (const line of lines) {
+    const type = isHeading(line)
+      ? 'heading'
+      : LIST_ITEM_PATTERN.test(line.text) ? 'list' : line.columns > 1 ? 'table' : 'paragraph';
+
+    const closeBelow = previous && previous.y - line.y <= Math.max(previous.size, line.size) * PARAGRAPH_GAP_RATIO;
+    const continues = current && closeBelow && (
+      (type === 'heading' && current.type === 'heading' && line.size === previous.size) ||
+      (type === 'paragraph' && current.type === 'paragraph' && line.size === previous.size) ||
+      (type === 'paragraph' && current.type === 'list' && line.x > current.x + LIST_INDENT_TOLERANCE)
+    );
+
+    if (continues) {
+      current.charEnd = offset + line.text.length;
+    } else {
+      current = { type, x: line.x, charStart: offset, charEnd: offset + line.text.length };
+      blocks.push(current);
+    }
+
+    previous = line;
+    offset += line.text.length + 1; // Lines are joined with a space
+  }
+
+  return blocks.map(({ type, charStart, charEnd }) => ({ type, charStart, charEnd }));
+}
+
+/**
+ * Detecta encabezados por tamaño de fuente cuando el PDF no tiene outline
+ *
+ * @param {Array<Array>} pageLines - Líneas de cada página (groupItemsIntoLines)
+ * @returns {Array<{title: string, level: number, page: number}>} En orden de lectura
+ */
+function detectHeadingsByFontSize(pageLines) {
+  const isHeading = createHeadingTest(pageLines);
+  if (!isHeading) return [];
+
+  // Largest sizes are the top levels; smaller ones beyond MAX_HEADING_LEVELS share the last level
+  const headingSizes = Array.from(new Set(pageLines.flat().filter(isHeading).map(line => line.size))).sort((a, b) => b - a);
+
+  return pageLines.flatMap((lines, index) => lines
+    .filter(isHeading)
+    .map(line => ({
+      title: line.text,
+      level: Math.min(headingSizes.indexOf(line.size) + 1, MAX_HEADING_LEVELS),
+      page: index + 1
+    })));
+}
+
+/**
+ * Ubica cada encabezado dentro del texto completo y calcula el rango de su sección
+ * El encabezado se busca en el texto de su página; si no aparece, la sección empieza al inicio de la página
+ *
+ * @param {Array<{title, level, page, path?}>} headings - Encabezados en orden de lectura
+ * @param {Array} pages - Páginas con charStart/charEnd
+ * @param {number} totalLength - Longitud del texto completo
+ * @returns {Array<{title: string, charStart: number, charEnd: number}>} Secciones con la ruta de encabezados como título
+ */
+function buildHeadingSections(headings, pages, totalLength) {
+  const sections = [];
+  const headingPath = [];
+  let cursor = 0;
+
+  for (const heading of headings) {
+    const page = pages[(heading.page || 1) - 1];
+    if (!page) continue;
+
+    headingPath.length = heading.level - 1;
+    headingPath[heading.level - 1] = heading.title;
+    const title = heading.path || headingPath.filter(Boolean).join(' > ');
+
+    const searchFrom = Math.max(cursor, page.charStart);
+    const found = page.text.toLowerCase().indexOf(heading.title.toLowerCase(), searchFrom - page.charStart);
+    const charStart = found >= 0 ? page.charStart + found : Math.max(cursor, page.charStart);
+    cursor = charStart;
+
+    sections.push({ title, charStart, charEnd: totalLength });
+  }
+
+  // Each section ends where the next one starts
+  sections.sort((a, b) => a.charStart - b.charStart);
+  sections.forEach((section, i) => {
+    if (sections[i + 1]) section.charEnd = sections[i + 1].charStart;
+  });
+
+  return sections;
+}
+
+/**
+ * Extrae texto de PDF con metadata precisa a nivel de página
+ *
+ * @param {string} filePath - Ruta al archivo PDF
+ * @param {Object} options - Opciones de extracción
+ * @param {boolean} options.removeBoilerplate - Quitar encabezados/pies repetidos (default: true)
+ * @param {number} options.boilerplateMinPageRatio - Fracción de páginas en que debe repetirse una línea (default: 0.5)
+ * @returns {Promise<{fullText: string, numPages: number, pages: Array, metadata: Object, outline: Array, sections: Array, blocks: Array, removedLines: Array}>}
+ */
+async function extractTextFromPDFWithPages(filePath, { removeBoilerplate = true, boilerplateMinPageRatio = 0.5 } = {}) {
+  // Copy into a standalone buffer: pdf.js misreads small pooled Buffers
+  const data = new Uint8Array(fs.readFileSync(filePath));
+  let doc;
+
   try {
-    // First: Get page count only (without full text extraction)
-    // Using a minimal pagerender that returns empty string to avoid processing text
-    const metadataOptions = {
-      max: 0, // Don't process any pages for text
-      pagerender: () => '' // Return empty string to skip text extraction
-    };
-    const metadata = await pdf(dataBuffer, metadataOptions);
-    const numPages = metadata.numpages;
+    doc = await PDFJS.getDocument(data);
+    const numPages = doc.numPages;
 
-    console.log(`\n[PDF] Extraction with pdf-parse:`);
+    console.log(`\n[PDF] Extraction with pdf.js:`);
     console.log(`   Total pages: ${numPages}`);
 
+    const metadata = await extractMetadata(doc);
+    const outline = await extractOutline(doc);
+
+    // Read every page first: boilerplate detection compares lines across pages
+    const pageLines = [];
+    const pageHeights = [];
+
+    for (let pageNum = 1; pageNum <= numPages; pageNum++) {
+      const page = await doc.getPage(pageNum);
+      const textContent = await page.getTextContent();
+
+      pageLines.push(groupItemsIntoLines(textContent.items));
+      pageHeights.push(page.getViewport(1).height);
+    }
+
+    const { isBoilerplate, removedLines } = removeBoilerplate
+      ? detectBoilerplate(pageLines, pageHeights, boilerplateMinPageRatio)
+      : { isBoilerplate: () => false, removedLines: [] };
+
+    const contentLines = pageLines.map((lines, index) => lines.filter(line => !isBoilerplate(line, index)));
+
     // Build array of pages with metadata
     const pages = [];
     let charPosition = 0;
 
-    // Extract text page by page individually
-    for (let pageNum = 1; pageNum <= numPages; pageNum++) {
-      const pageOptions = {
-        first: pageNum,
-        last: pageNum,
-        pagerender: pageRenderFunction
-      };
+    contentLines.forEach((lines, index) => {
+      const pageNum = index + 1;
 
-      const pageData = await pdf(dataBuffer, pageOptions);
-      let pageText = pageData.text;
+      // CLEANUP: Normalize spaces
+      const pageText = lines.map(line => line.text).join(' ')
+        .replace(/\s+/g, ' ')
+        .trim();
 
       // DEBUG: Show sample of text from each page
       console.log(`\n[DEBUG] Page ${pageNum}:`);
       console.log(`   Extracted text (first 300 chars): "${pageText.substring(0, 300)}"`);
       console.log(`   Length: ${pageText.length} characters`);
 
-      // Token analysis to verify text quality
-      const tokens = pageText.split(/\s+/).filter(t => t.length > 0);
-      const avgTokenLength = tokens.length > 0
-        ? tokens.reduce((sum, t) => sum + t.length, 0) / tokens.length
-        : 0;
-
-      console.log(`   Tokens: ${tokens.length}, Average length: ${avgTokenLength.toFixed(2)}`);
-      console.log(`   First 10 tokens: ${JSON.stringify(tokens.slice(0, 10))}\n`);
-
       const charStart = charPosition;
       const charEnd = charPosition + pageText.length;
 
@@ -86,21 +403,42 @@ async function extractTextFromPDFWithPages(filePath) {
       });
 
       charPosition = charEnd + 1; // +1 for the newline between pages
-    }
+    });
 
     // Reconstruct full text from all pages
     const fullText = pages.map(p => p.text).join('\n');
 
-    console.log(`\n[OK] Extraction complete: ${fullText.length} characters from ${pages.length} pages\n`);
+    // Section headings: bookmarks when the PDF has them, font size otherwise
+    const headings = outline.length > 0 ? outline : detectHeadingsByFontSize(contentLines);
+    const sections = buildHeadingSections(headings, pages, fullText.length);
 
+    // Layout blocks for structure-aware chunking; bookmark titles also count as headings
+    const outlineTitles = new Set(outline.map(entry => entry.title.toLowerCase()));
+    const isFontHeading = createHeadingTest(contentLines) || (() => false);
+    const isHeading = line => isFontHeading(line) || outlineTitles.has(line.text.toLowerCase());
+    const blocks = contentLines.flatMap((lines, index) => detectLayoutBlocks(lines, pages[index].charStart, isHeading));
+
+    console.log(`\n[OK] Extraction complete: ${fullText.length} characters from ${pages.length} pages`);
+    console.log(`   Title: ${metadata.title || '-'} | Author: ${metadata.author || '-'}`);
+    console.log(`   Sections: ${sections.length} (${outline.length > 0 ? 'outline' : 'font size'})`);
+    console.log(`   Repeated lines removed: ${removedLines.length > 0 ? removedLines.map(line => `"${line.text}" (${line.pages} pages)`).join(', ') : 'none'}\n`);
+
+    // Not trimmed: page offsets (charStart/charEnd) index into this exact string
     return {
-      fullText: fullText.trim(),
+      fullText: fullText,
       numPages: numPages,
-      pages: pages
+      pages: pages,
+      metadata: metadata,
+      outline: outline.map(({ title, level, page }) => ({ title, level, page })),
+      sections: sections,
+      blocks: blocks,
+      removedLines: removedLines
     };
 
   } catch (error) {
-    throw new Error(`Error processing PDF with pdf-parse: ${error.message}`);
+    throw new Error(`Error processing PDF with pdf.js: ${error.message}`);
+  } finally {
+    if (doc) doc.destroy();
   }
 }
 
@@ -126,36 +464,37 @@ function findPageForChunk(charStart, pages, totalLength, numPages) {
 }
 
 /**
- * Mapea chunks a sus páginas correspondientes con posiciones de caracteres
+ * Mapea chunks a sus páginas usando sus posiciones en fullText
  *
- * @param {Array<string>} chunks - Array de chunks de texto
+ * Un chunk que cruza un salto de página registra la página inicial y la final;
+ * `page` es la inicial (la que se cita).
+ *
+ * @param {Array<{text: string, charStart: number, charEnd: number}>} chunks - Chunks con posición (splitIntoSemanticChunksWithOffsets)
  * @param {Object} pdfData - Metadata de PDF de extractTextFromPDFWithPages
- * @returns {Array<{text: string, page: number, charStart: number, charEnd: number}>}
+ * @returns {Array<{text: string, page: number, pageStart: number, pageEnd: number, charStart: number, charEnd: number}>}
  */
 function mapChunksToPages(chunks, pdfData) {
-  const mappedChunks = [];
-  let charPosition = 0;
-
-  for (const chunkText of chunks) {
-    const charStart = charPosition;
-    const charEnd = charPosition + chunkText.length;
-    const page = findPageForChunk(charStart, pdfData.pages, pdfData.fullText.length, pdfData.numPages);
-
-    mappedChunks.push({
-      text: chunkText,
-      page: page,
-      charStart: charStart,
-      charEnd: charEnd
-    });
+  const findPage = charPosition => findPageForChunk(charPosition, pdfData.pages, pdfData.fullText.length, pdfData.numPages);
 
-    charPosition = charEnd;
-  }
+  return chunks.map(chunk => {
+    const pageStart = findPage(chunk.charStart);
+    // charEnd es exclusivo: el último carácter del chunk está en charEnd - 1
+    const pageEnd = Math.max(pageStart, findPage(Math.max(chunk.charStart, chunk.charEnd - 1)));
 
-  return mappedChunks;
+    return {
+      text: chunk.text,
+      page: pageStart,
+      pageStart: pageStart,
+      pageEnd: pageEnd,
+      charStart: chunk.charStart,
+      charEnd: chunk.charEnd
+    };
+  });
 }
 
 module.exports = {
   extractTextFromPDFWithPages,
+  parsePDFDate,
   findPageForChunk,
   mapChunksToPages
 };
@@ -5,26 +5,59 @@
  * context building, and LLM response generation.
  */
 
+const config = require('../config');
 const { generateEmbedding, generateLLMResponse, generateLLMResponseStream } = require('./embeddingService');
 const { buildRAGPrompt } = require('../prompts/ragPrompts');
 const { formatResponseAsHTML, buildSourcesMetadata } = require('./responseFormatter');
+const { reciprocalRankFusion, maximalMarginalRelevance } = require('./reranking');
+const { expandWithNeighbors } = require('./contextExpansion');
 
 /**
  * Performs RAG query search and returns top similar documents
  *
+ * With hybrid search enabled, vector and BM25 keyword results are fused with
+ * Reciprocal Rank Fusion. Each returned document lists the retrievers that found it.
+ * With MMR enabled, a larger candidate pool is diversified down to topK.
+ * With a context window, each hit is expanded with its neighbouring chunks.
+ *
  * @param {string} query - User query
  * @param {Object} vectorStore - VectorStore instance
  * @param {number} topK - Number of top results
  * @param {number} threshold - Similarity threshold
+ * @param {Object} filter - Normalized metadata filter (filenames, pages, tags, upload dates)
+ * @param {Object} options - Per-request overrides
+ * @param {Object} options.mmr - MMR settings {enabled, lambda} (defaults from config.rag.mmr)
+ * @param {number} options.contextWindow - Neighbouring chunks per side (default: config.rag.contextExpansion.window)
  * @returns {Promise<Array>} Top similar documents
  */
-async function performRAGSearch(query, vectorStore, topK, threshold) {
+async function performRAGSearch(query, vectorStore, topK, threshold, filter = null, options = {}) {
   console.log(`\n🔍 Consultando: "${query}"`);
 
-  const queryEmbedding = await generateEmbedding(query);
+  // Always embed with the model of the stored vectors, even if .env changed
+  const queryEmbedding = await generateEmbedding(query, vectorStore.getEmbeddingModel());
   console.log('✓ Embedding de consulta generado');
 
-  const topDocs = vectorStore.searchSimilar(queryEmbedding, topK, threshold);
+  const mmr = { ...config.rag.mmr, ...options.mmr };
+  const candidateCount = mmr.enabled ? Math.max(mmr.candidates, topK) : topK;
+
+  let topDocs = config.rag.hybrid.enabled
+    ? hybridSearch(query, queryEmbedding, vectorStore, candidateCount, threshold, filter)
+    : vectorStore.searchSimilar(queryEmbedding, candidateCount, threshold, filter)
+      .map(doc => ({ ...doc, retrievers: ['vector'] }));
+
+  if (mmr.enabled) {
+    topDocs = diversifyResults(topDocs, vectorStore, topK, mmr.lambda);
+    console.log(`✓ MMR aplicado (lambda=${mmr.lambda}): ${topDocs.length} documentos seleccionados`);
+  }
+
+  const contextWindow = options.contextWindow ?? config.rag.contextExpansion.window;
+  if (contextWindow > 0 && topDocs.length > 0) {
+    topDocs = expandWithNeighbors(topDocs, vectorStore, {
+      window: contextWindow,
+      maxChars: config.rag.contextExpansion.maxChars
+    });
+    console.log(`✓ Contexto expandido (±${contextWindow} chunks): ${topDocs.length} pasajes, ${topDocs.reduce((sum, doc) => sum + doc.text.length, 0)} caracteres`);
+  }
 
   if (topDocs.length === 0) {
     throw new Error('No encontré documentos relevantes para tu pregunta. Por favor, asegúrate de haber cargado PDFs relacionados con tu consulta.');
@@ -35,17 +68,87 @@ async function performRAGSearch(query, vectorStore, topK, threshold) {
   return topDocs;
 }
 
+/**
+ * Runs vector and keyword retrievers and fuses both rankings
+ *
+ * @param {string} query - User query
+ * @param {Array<number>} queryEmbedding - Query embedding
+ * @param {Object} vectorStore - VectorStore instance
+ * @param {number} topK - Number of top results
+ * @param {number} threshold - Similarity threshold (applied to the cosine similarity of both retrievers)
+ * @param {Object} filter - Normalized metadata filter
+ * @returns {Array} Fused documents, best first
+ */
+function hybridSearch(query, queryEmbedding, vectorStore, topK, threshold, filter = null) {
+  const { vectorWeight, keywordWeight, rrfK, candidates } = config.rag.hybrid;
+  const candidateCount = Math.max(candidates, topK);
+
+  const vectorResults = vectorStore.searchSimilar(queryEmbedding, candidateCount, threshold, filter);
+  // A term match alone is not enough: keyword hits must be as similar to the query as vector hits,
+  // otherwise the threshold (and the "no relevant documents" answer) never applies
+  const keywordResults = vectorStore.searchKeyword(query, candidateCount, queryEmbedding, filter)
+    .filter(doc => doc.similarity >= threshold);
+
+  console.log(`✓ Recuperadores: ${vectorResults.length} vectoriales, ${keywordResults.length} por palabras clave`);
+
+  const fused = reciprocalRankFusion([
+    { name: 'vector', results: vectorResults, weight: vectorWeight },
+    { name: 'keyword', results: keywordResults, weight: keywordWeight }
+  ], rrfK);
+
+  // Deduplicate by text content, as searchSimilar does for the vector list
+  const seenTexts = new Set();
+  return fused
+    .filter(doc => {
+      if (seenTexts.has(doc.text)) return false;
+      seenTexts.add(doc.text);
+      return true;
+    })
+    .slice(0, topK);
+}
+
+/**
+ * Re-ranks candidates with Maximal Marginal Relevance
+ *
+ * Vector-only results use cosine similarity as relevance; fused hybrid results
+ * use their min-max normalized fusion score so the RRF ordering is respected.
+ *
+ * @param {Array} docs - Candidate documents, best first
+ * @param {Object} vectorStore - VectorStore instance (to load candidate embeddings)
+ * @param {number} topK - Number of documents to keep
+ * @param {number} lambda - Relevance/diversity trade-off (0-1)
+ * @returns {Array} Diversified documents
+ */
+function diversifyResults(docs, vectorStore, topK, lambda) {
+  const embeddings = vectorStore.getEmbeddingsByIds(docs.map(doc => doc.id));
+  const fusionScores = docs.map(doc => doc.fusionScore).filter(score => score !== undefined);
+  const minFusion = Math.min(...fusionScores);
+  const fusionRange = Math.max(...fusionScores) - minFusion;
+
+  const relevance = doc => doc.fusionScore === undefined
+    ? doc.similarity
+    : (fusionRange > 0 ? (doc.fusionScore - minFusion) / fusionRange : 1);
+
+  return maximalMarginalRelevance(
+    docs.map(doc => ({ ...doc, embedding: embeddings.get(doc.id) })),
+    topK,
+    lambda,
+    relevance
+  ).map(({ embedding, ...doc }) => doc);
+}
+
 /**
  * Generates RAG response (non-streaming)
  *
  * @param {string} query - User query
  * @param {Array} topDocs - Top similar documents
  * @param {boolean} strict - Strict mode flag
+ * @param {string} conversation - Summary of the previous turns (optional)
  * @returns {Promise<{answer, rawAnswer, sources}>}
  */
-async function generateRAGResponse(query, topDocs, strict = true) {
+async function generateRAGResponse(query, topDocs, strict = true, conversation = '') {
   const context = topDocs.map(doc => doc.text).join('\n\n');
-  const prompt = buildRAGPrompt(context, query, strict);
+  const prompt = buildRAGPrompt(context, query, strict, conversation);
 
   const rawAnswer = await generateLLMResponse(prompt);
   console.log('✓ Respuesta generada\n');
@@ -68,8 +171,10 @@ async function generateRAGResponse(query, topDocs, strict = true) {
  * @param {Array} topDocs - Top similar documents
  * @param {boolean} strict - Strict mode flag
  * @param {Object} res - Express response object (for SSE)
+ * @param {string} conversation - Summary of the previous turns (optional)
+ * @returns {Promise<string>} Raw answer once the stream finishes ('' if it failed)
  */
-async function handleStreamingRAGResponse(query, topDocs, strict, res) {
+async function handleStreamingRAGResponse(query, topDocs, strict, res, conversation = '') {
   // Send sources first
   const sources = buildSourcesMetadata(topDocs);
   res.write(`data: ${JSON.stringify({
@@ -79,55 +184,83 @@ async function handleStreamingRAGResponse(query, topDocs, strict, res) {
 
   // Build prompt and start streaming
   const context = topDocs.map(doc => doc.text).join('\n\n');
-  const prompt = buildRAGPrompt(context, query, strict);
+  const prompt = buildRAGPrompt(context, query, strict, conversation);
 
   const response = await generateLLMResponseStream(prompt);
   let fullResponse = '';
+  let buffered = '';
+  let settled = false;
+  let finish;
+  const finished = new Promise(resolve => { finish = resolve; });
 
-  // Process stream
-  response.data.on('data', (chunk) => {
-    const lines = chunk.toString().split('\n').filter(line => line.trim());
-
-    for (const line of lines) {
-      try {
-        const json = JSON.parse(line);
-
-        if (json.response) {
-          fullResponse += json.response;
-
-          res.write(`data: ${JSON.stringify({
-            type: 'token',
-            content: json.response
-          })}\n\n`);
-        }
-
-        if (json.done) {
-          console.log('✓ Respuesta streaming completada\n');
-
-          const formattedAnswer = formatResponseAsHTML(fullResponse);
-          res.write(`data: ${JSON.stringify({
-            type: 'done',
-            content: formattedAnswer,
-            rawAnswer: fullResponse
-          })}\n\n`);
-
-          res.write('data: [DONE]\n\n');
-          res.end();
-        }
-      } catch (e) {
-        // Ignore malformed JSON lines
+  // Sends the final events once, whether Ollama sent its done line or the stream just ended
+  const complete = () => {
+    if (settled) return;
+    settled = true;
+    console.log('✓ Respuesta streaming completada\n');
+
+    const formattedAnswer = formatResponseAsHTML(fullResponse);
+    res.write(`data: ${JSON.stringify({
+      type: 'done',
+      content: formattedAnswer,
+      rawAnswer: fullResponse
+    })}\n\n`);
+
+    res.write('data: [DONE]\n\n');
+    res.end();
+    finish(fullResponse);
+  };
+
+  const processLine = (line) => {
+    if (!line.trim() || settled) return;
+
+    try {
+      const json = JSON.parse(line);
+
+      if (json.response) {
+        fullResponse += json.response;
+
+        res.write(`data: ${JSON.stringify({
+          type: 'token',
+          content: json.response
+        })}\n\n`);
       }
+
+      if (json.done) {
+        complete();
+      }
+    } catch (e) {
+      // Ignore malformed JSON lines
     }
+  };
+
+  // Process stream: a line (the final one carries a large context array) can span several chunks
+  response.data.on('data', (chunk) => {
+    buffered += chunk.toString();
+    const lines = buffered.split('\n');
+    buffered = lines.pop();
+    lines.forEach(processLine);
+  });
+
+  response.data.on('end', () => {
+    processLine(buffered);
+    buffered = '';
+    complete();
   });
 
   response.data.on('error', (error) => {
+    if (settled) return;
+    settled = true;
     console.error('Error en streaming:', error.message);
     res.write(`data: ${JSON.stringify({
       type: 'error',
       content: error.message
     })}\n\n`);
     res.end();
+    finish('');
   });
+
+  return finished;
 }
 
 module.exports = {
@@ -0,0 +1,102 @@
+/**
+ * Servicio de Re-indexación de Embeddings
+ *
+ * Job en segundo plano que vuelve a generar los embeddings de todos los chunks
+ * con otro modelo. Los vectores nuevos se guardan en una tabla de staging y solo
+ * se activan cuando todos los chunks están listos, en una única transacción:
+ * mientras tanto las consultas siguen usando el modelo anterior.
+ */
+
+const { generateEmbeddings } = require('./embeddingService');
+const { buildEmbeddingText } = require('./documentLoaders');
+
+const BATCH_SIZE = 32;
+
+// Solo puede haber un job a la vez por proceso
+let currentJob = null;
+
+/**
+ * Devuelve una copia del estado del job actual (o del último terminado)
+ *
+ * @returns {Object|null} Estado del job
+ */
+function getReembedJob() {
+  return currentJob ? { ...currentJob } : null;
+}
+
+/**
+ * Inicia la re-indexación de todos los chunks con el modelo indicado
+ * Reanuda el staging de un job anterior interrumpido si era del mismo modelo
+ *
+ * @param {Object} vectorStore - Instancia de VectorStore
+ * @param {string} model - Modelo de embeddings destino
+ * @returns {Object} Estado inicial del job
+ * @throws {Error} Si ya hay un job en curso
+ */
+function startReembedJob(vectorStore, model) {
+  if (currentJob && currentJob.status === 'running') {
+    throw new Error(`Ya hay una re-indexación en curso (modelo "${currentJob.model}")`);
+  }
+
+  vectorStore.beginReembed(model);
+
+  currentJob = {
+    model,
+    previousModel: vectorStore.getEmbeddingModel(),
+    status: 'running',
+    total: vectorStore.getChunkCount(),
+    pending: vectorStore.countPendingReembed(),
+    processed: 0,
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+    error: null
+  };
+
+  const job = currentJob;
+  runJob(vectorStore, job).catch(error => {
+    job.status = 'failed';
+    job.error = error.message;
+    job.finishedAt = new Date().toISOString();
+    console.error(`❌ Re-indexación con "${model}" fallida:`, error.message);
+  });
+
+  return getReembedJob();
+}
+
+/**
+ * Procesa lotes hasta vaciar los pendientes y activa el modelo nuevo
+ *
+ * @param {Object} vectorStore - Instancia de VectorStore
+ * @param {Object} job - Estado mutable del job
+ */
+async function runJob(vectorStore, job) {
+  console.log(`\n🔄 Re-indexando ${job.pending} chunks con "${job.model}"...`);
+
+  // Los chunks subidos durante el job quedan pendientes y se procesan en la siguiente vuelta
+  do {
+    let batch;
+    while ((batch = vectorStore.getPendingReembedChunks(BATCH_SIZE)).length > 0) {
+      const embeddings = await generateEmbeddings(
+        batch.map(chunk => buildEmbeddingText(chunk.text, chunk.section, chunk.filename)),
+        job.model
+      );
+      const rows = batch.map((chunk, i) => ({ id: chunk.id, text: chunk.text, embedding: embeddings[i] }));
+
+      vectorStore.stageReembeddings(rows);
+      job.processed += rows.length;
+      job.pending = vectorStore.countPendingReembed();
+      job.total = vectorStore.getChunkCount();
+      process.stdout.write(`\r⏳ Re-indexando... ${job.total - job.pending}/${job.total}`);
+    }
+  } while (!vectorStore.commitReembed(job.model));
+
+  job.status = 'completed';
+  job.pending = 0;
+  job.finishedAt = new Date().toISOString();
+  console.log(`\n✓ Re-indexación completada: modelo activo "${job.model}"\n`);
+}
+
+module.exports = {
+  startReembedJob,
+  getReembedJob
+};
@@ -0,0 +1,96 @@
+/**
+ * Servicio de Re-ranking
+ *
+ * Combina y reordena listas de resultados de distintos recuperadores
+ * (búsqueda vectorial, búsqueda por palabras clave) antes del corte topK.
+ */
+
+const { cosineSimilarity } = require('./vectorMath');
+
+/**
+ * Fusiona varias listas ordenadas con Reciprocal Rank Fusion (RRF)
+ *
+ * score(doc) = Σ weight_i / (k + rank_i(doc))
+ *
+ * Solo usa la posición de cada documento en su lista, por lo que no hace
+ * falta normalizar puntuaciones de escalas distintas (coseno vs BM25).
+ *
+ * @param {Array<{name: string, results: Array, weight?: number}>} rankedLists - Listas ordenadas de mejor a peor
+ * @param {number} k - Constante de suavizado RRF (default: 60)
+ * @returns {Array} - Documentos fusionados con `fusionScore` y `retrievers`, ordenados por score
+ */
+function reciprocalRankFusion(rankedLists, k = 60) {
+  const fused = new Map();
+
+  for (const { name, results, weight = 1 } of rankedLists) {
+    results.forEach((doc, index) => {
+      const contribution = weight / (k + index + 1);
+      const existing = fused.get(doc.id);
+
+      if (existing) {
+        existing.fusionScore += contribution;
+        existing.retrievers.push(name);
+
+        // Conservar la similitud vectorial si alguna lista la trae
+        if (existing.similarity === undefined && doc.similarity !== undefined) {
+          existing.similarity = doc.similarity;
+        }
+      } else {
+        fused.set(doc.id, {
+          ...doc,
+          fusionScore: contribution,
+          retrievers: [name]
+        });
+      }
+    });
+  }
+
+  return Array.from(fused.values()).sort((a, b) => b.fusionScore - a.fusionScore);
+}
+
+/**
+ * Diversifica resultados con Maximal Marginal Relevance (MMR)
+ *
+ * Selección voraz: en cada paso elige el candidato que maximiza
+ *   lambda * relevancia(doc) - (1 - lambda) * max similitud(doc, ya seleccionados)
+ *
+ * Con chunks solapados evita que el top-K sean casi copias del mismo párrafo.
+ * lambda = 1 equivale al orden por relevancia; lambda = 0 maximiza la diversidad.
+ *
+ * @param {Array} candidates - Documentos ordenados por relevancia, con `embedding`
+ * @param {number} topK - Número de documentos a seleccionar
+ * @param {number} lambda - Balance relevancia/diversidad (0-1)
+ * @param {Function} getRelevance - Relevancia de un documento en escala 0-1 (default: `similarity`)
+ * @returns {Array} - Documentos seleccionados en orden de selección, con `mmrScore`
+ */
+function maximalMarginalRelevance(candidates, topK, lambda = 0.7, getRelevance = doc => doc.similarity) {
+  const remaining = candidates.filter(doc => doc.embedding);
+  const selected = [];
+
+  while (selected.length < topK && remaining.length > 0) {
+    let bestIndex = 0;
+    let bestScore = -Infinity;
+
+    remaining.forEach((doc, index) => {
+      const redundancy = selected.length === 0
+        ? 0
+        : Math.max(...selected.map(chosen => cosineSimilarity(doc.embedding, chosen.embedding)));
+      const score = lambda * getRelevance(doc) - (1 - lambda) * redundancy;
+
+      if (score > bestScore) {
+        bestScore = score;
+        bestIndex = index;
+      }
+    });
+
+    const [chosen] = remaining.splice(bestIndex, 1);
+    selected.push({ ...chosen, mmrScore: bestScore });
+  }
+
+  return selected;
+}
+
+module.exports = {
+  reciprocalRankFusion,
+  maximalMarginalRelevance
+};
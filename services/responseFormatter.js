@@ -100,25 +100,51 @@ function wrapInParagraphs(text) {
   return formatted;
 }
 
+/**
+ * Texto de la página o rango de páginas de un chunk ("Página 3", "Páginas 3-4")
+ *
+ * @param {number|null} pageStart - Primera página
+ * @param {number|null} pageEnd - Última página
+ * @returns {string|null}
+ */
+function formatPageRange(pageStart, pageEnd) {
+  if (!pageStart) return null;
+  return pageEnd && pageEnd > pageStart ? `Páginas ${pageStart}-${pageEnd}` : `Página ${pageStart}`;
+}
+
 /**
  * Construye metadata de fuentes para resultados de búsqueda
  *
  * @param {Array} topDocs - Array de documentos top de la búsqueda vectorial
- * @returns {Array} Metadata de fuentes formateada con enlaces a páginas
+ * @returns {Array} Metadata de fuentes con su ubicación (página o sección) y enlace al documento
  */
 function buildSourcesMetadata(topDocs) {
-  return topDocs.map((doc, index) => ({
-    filename: doc.filename,
-    page: doc.page,
-    chunkIndex: index,
-    similarity: doc.similarity.toFixed(4),
-    preview: doc.text.substring(0, 100) + '...',
-    pdfLink: doc.page
-      ? `/api/documents/${doc.filename}?page=${doc.page}`
-      : `/api/documents/${doc.filename}`,
-    charStart: doc.charStart,
-    charEnd: doc.charEnd
-  }));
+  return topDocs.map((doc, index) => {
+    const pageStart = doc.pageStart ?? doc.page ?? null;
+    const pageEnd = doc.pageEnd ?? pageStart;
+
+    return {
+      filename: doc.filename,
+      // Cada versión es un archivo propio: el enlace sigue apuntando a la versión citada
+      version: doc.version ?? 1,
+      page: doc.page,
+      pageStart,
+      pageEnd,
+      section: doc.section || null,
+      location: [formatPageRange(pageStart, pageEnd), doc.section].filter(Boolean).join(' · ') || null,
+      chunkIndex: index,
+      similarity: doc.similarity.toFixed(4),
+      preview: (doc.hitText || doc.text).substring(0, 100) + '...',
+      // El enlace abre la página donde empieza el chunk
+      pdfLink: pageStart
+        ? `/api/documents/${doc.filename}?page=${pageStart}`
+        : `/api/documents/${doc.filename}`,
+      charStart: doc.charStart,
+      charEnd: doc.charEnd,
+      retrievers: doc.retrievers || ['vector'],
+      ...(doc.chunkRange && { chunkRange: doc.chunkRange })
+    };
+  });
 }
 
 module.exports = {
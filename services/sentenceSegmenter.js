@@ -0,0 +1,333 @@
+/**
+ * Segmentador de Oraciones
+ *
+ * Divide texto en oraciones sin perder la posición de cada una en el texto original.
+ * Reconoce abreviaturas por idioma (es/en), decimales, URLs, iniciales, enumeraciones,
+ * puntos suspensivos y los pares "¿...?" / "¡...!" del español.
+ * El texto sin puntuación (tablas, listas, títulos) se divide por líneas.
+ */
+
+// Idiomas con lista de abreviaturas propia
+const SEGMENTER_LANGUAGES = ['es', 'en'];
+
+// Abreviaturas que nunca cierran una oración ("Sr. López", "art. 5", "pág. 3")
+// Las que suelen ir al final ("etc.", "Ltda.", "Inc.") no se incluyen: cierran si lo siguiente va en mayúscula
+const ABBREVIATIONS = {
+  es: [
+    'sr', 'sra', 'srta', 'sres', 'sras', 'dr', 'dra', 'dres', 'lic', 'ing', 'arq', 'prof', 'profa',
+    'ud', 'uds', 'vd', 'vds', 'av', 'avda', 'art', 'arts', 'núm', 'nro', 'nº', 'pág', 'págs', 'pag',
+    'cap', 'vol', 'ed', 'ej', 'aprox', 'tel', 'telf', 'depto', 'dpto', 'gral', 'cnel', 'tte', 'sto', 'sta',
+    'fig', 'máx', 'mín', 'op', 'cit', 'ibid', 'inc', 'lit', 'num', 'ref', 'cta', 'cte', 'prov', 'mun'
+  ],
+  en: [
+    'mr', 'mrs', 'ms', 'dr', 'prof', 'sr', 'jr', 'st', 'vs', 'vol', 'pp', 'approx', 'dept',
+    'nos', 'ch', 'rev', 'lt', 'sgt', 'capt', 'gov',
+    'jan', 'feb', 'apr', 'jun', 'jul', 'aug', 'sep', 'sept', 'oct', 'nov', 'dec', 'ref', 'ave'
+  ]
+};
+
+// Abreviaturas que también son palabras comunes ("The answer is no."):
+// solo se tratan como abreviatura delante de un número ("No. 5", "Art. 3", "Mar. 15")
+const NUMBERED_ABBREVIATIONS = {
+  es: [],
+  en: ['no', 'art', 'est', 'sec', 'ed', 'gen', 'col', 'fig', 'mar']
+};
+
+// Palabras frecuentes para detectar el idioma del texto
+const STOPWORDS = {
+  es: ['de', 'la', 'que', 'el', 'en', 'los', 'del', 'las', 'por', 'con', 'para', 'una', 'es', 'se', 'su', 'al'],
+  en: ['the', 'and', 'of', 'to', 'in', 'is', 'that', 'for', 'with', 'on', 'are', 'this', 'be', 'by', 'it', 'as']
+};
+
+// Caracteres de fin de oración y cierres que pueden seguirlos ("dijo «hola.»")
+const TERMINATORS = new Set(['.', '!', '?', '…']);
+const CLOSERS = new Set(['"', '\'', '”', '’', '»', ')', ']']);
+
+// Separador de párrafos: una o más líneas en blanco
+const PARAGRAPH_BREAK = /\n[^\S\n]*\n\s*/g;
+
+// Caracteres analizados para detectar el idioma
+const LANGUAGE_SAMPLE_LENGTH = 5000;
+
+/**
+ * Detecta si un texto está en español o en inglés contando palabras frecuentes
+ * Ante la duda devuelve 'es'
+ *
+ * @param {string} text - Texto a analizar
+ * @returns {string} - 'es' o 'en'
+ */
+function detectLanguage(text) {
+  const words = (text || '').slice(0, LANGUAGE_SAMPLE_LENGTH).toLowerCase().match(/\p{L}+/gu) || [];
+  const scores = { es: 0, en: 0 };
+
+  for (const word of words) {
+    for (const language of SEGMENTER_LANGUAGES) {
+      if (STOPWORDS[language].includes(word)) scores[language]++;
+    }
+  }
+
+  return scores.en > scores.es ? 'en' : 'es';
+}
+
+/**
+ * Resuelve el idioma a usar: 'auto' (o uno desconocido) se detecta a partir del texto
+ * @param {string} language - 'auto', 'es' o 'en'
+ * @param {string} text - Texto del documento
+ * @returns {string} - 'es' o 'en'
+ */
+function resolveLanguage(language, text) {
+  return SEGMENTER_LANGUAGES.includes(language) ? language : detectLanguage(text);
+}
+
+/**
+ * Palabra (letras o dígitos) que termina justo antes de una posición
+ * @param {string} text - Texto
+ * @param {number} index - Posición del signo de puntuación
+ * @returns {{word: string, start: number}|null}
+ */
+function wordBefore(text, index) {
+  let start = index;
+  while (start > 0 && /[\p{L}\p{N}º]/u.test(text[start - 1])) start--;
+  return start < index ? { word: text.slice(start, index), start } : null;
+}
+
+/**
+ * Indica si un punto cierra la oración, según la palabra que lo precede
+ *
+ * @param {string} text - Texto
+ * @param {number} index - Posición del punto
+ * @param {number} sentenceStart - Inicio de la oración en curso
+ * @param {string} language - 'es' o 'en'
+ * @returns {boolean}
+ */
+function isPeriodBoundary(text, index, sentenceStart, language) {
+  const before = wordBefore(text, index);
+  if (!before) return true;
+
+  const word = before.word.toLowerCase();
+  const lineStart = Math.max(sentenceStart, text.lastIndexOf('\n', before.start - 1) + 1);
+  const startsLine = text.slice(lineStart, before.start).trim() === '';
+
+  // Enumeración al inicio de línea: "1. ", "a. ", "IV. "
+  if (startsLine && /^(?:\p{N}{1,3}|\p{L}|[IVXLC]{1,5})$/u.test(before.word)) return false;
+
+  // Iniciales y siglas con puntos: "J. Pérez", "S.A.", "p. ej."
+  if (/^\p{L}$/u.test(word)) return false;
+
+  if (NUMBERED_ABBREVIATIONS[language].includes(word)) {
+    return !/^[^\S\n]*\p{N}/u.test(text.slice(index + 1));
+  }
+
+  return !ABBREVIATIONS[language].includes(word);
+}
+
+/**
+ * Divide un párrafo en oraciones por su puntuación
+ *
+ * @param {string} text - Texto completo
+ * @param {number} start - Inicio del párrafo
+ * @param {number} end - Fin del párrafo (exclusivo)
+ * @param {string} language - 'es' o 'en'
+ * @returns {Array<{start: number, end: number}>} - Rangos sin recortar
+ */
+function splitByPunctuation(text, start, end, language) {
+  const ranges = [];
+  let sentenceStart = start;
+  let openInverted = 0;
+
+  for (let i = start; i < end; i++) {
+    const char = text[i];
+
+    if (char === '¿' || char === '¡') {
+      openInverted++;
+      continue;
+    }
+    if (!TERMINATORS.has(char)) continue;
+
+    // Consumir la racha de signos ("?!", "...") y los cierres que la siguen
+    let next = i;
+    while (next < end && TERMINATORS.has(text[next])) next++;
+    const run = text.slice(i, next);
+    while (next < end && CLOSERS.has(text[next])) next++;
+    const cursor = next - 1;
+
+    if (run.includes('?') || run.includes('!')) {
+      openInverted = Math.max(0, openInverted - 1);
+    } else if (openInverted > 0) {
+      // Dentro de "¿...?" o "¡...!" un punto no cierra la oración
+      i = cursor;
+      continue;
+    }
+
+    // Signo dentro de una palabra: decimales (1.5), URLs, correos, siglas (S.A.S.)
+    if (next < end && !/\s/.test(text[next])) {
+      i = cursor;
+      continue;
+    }
+
+    // La siguiente oración no puede empezar en minúscula ("etc. y", "... dijo")
+    const following = text.slice(next, end).match(/\S/u);
+    const nextChar = following ? following[0] : '';
+    const isBoundary = !/\p{Ll}/u.test(nextChar)
+      && (run !== '.' || isPeriodBoundary(text, i, sentenceStart, language));
+
+    if (isBoundary) {
+      ranges.push({ start: sentenceStart, end: next });
+      sentenceStart = next;
+    }
+    i = cursor;
+  }
+
+  if (sentenceStart < end) {
+    ranges.push({ start: sentenceStart, end });
+  }
+
+  return ranges;
+}
+
+/**
+ * Recorta los espacios de un rango
+ * @param {string} text - Texto
+ * @param {{start: number, end: number}} range - Rango
+ * @returns {{start: number, end: number}|null} - null si el rango solo tiene espacios
+ */
+function trimRange(text, { start, end }) {
+  while (start < end && /\s/.test(text[start])) start++;
+  while (end > start && /\s/.test(text[end - 1])) end--;
+  return start < end ? { start, end } : null;
+}
+
+/**
+ * Separa por líneas una oración que ocupa varias (títulos, ítems o filas sin puntuación)
+ *
+ * Sin puntuación final se corta en cada salto de línea. Con puntuación final solo se corta
+ * antes de una línea que no empieza en minúscula, para no partir una oración ajustada a mano.
+ *
+ * @param {string} text - Texto completo
+ * @param {{start: number, end: number}} range - Oración recortada
+ * @returns {Array<{start: number, end: number, source: string}>}
+ */
+function splitByLines(text, range) {
+  const sentence = text.slice(range.start, range.end);
+  const lastChar = sentence.replace(/["'”’»)\]]+$/, '').slice(-1);
+  const punctuated = TERMINATORS.has(lastChar);
+  const pieces = [];
+  let pieceStart = range.start;
+
+  for (let i = range.start; i < range.end; i++) {
+    if (text[i] !== '\n') continue;
+
+    const following = text.slice(i + 1, range.end).match(/\S/u);
+    if (punctuated && following && /\p{Ll}/u.test(following[0])) continue;
+
+    const piece = trimRange(text, { start: pieceStart, end: i });
+    if (piece) pieces.push(piece);
+    pieceStart = i + 1;
+  }
+
+  const last = trimRange(text, { start: pieceStart, end: range.end });
+  if (last) pieces.push(last);
+
+  const source = pieces.length > 1 ? 'line' : 'punctuation';
+  return pieces.map(piece => ({ ...piece, source }));
+}
+
+/**
+ * Divide texto en oraciones
+ *
+ * - Los párrafos (separados por líneas en blanco) nunca comparten oración
+ * - Dentro de un párrafo se corta en . ! ? … seguidos de espacio, salvo abreviaturas,
+ *   iniciales, enumeraciones, decimales o si lo siguiente empieza en minúscula
+ * - Un tramo que ocupa varias líneas se divide por líneas (títulos, listas y tablas sin puntuación)
+ *
+ * @param {string} text - Texto a segmentar
+ * @param {Object} options - Opciones
+ * @param {string} options.language - 'auto', 'es' o 'en' (default: 'auto')
+ * @param {number} options.start - Inicio del tramo a segmentar (default: 0)
+ * @param {number} options.end - Fin del tramo, exclusivo (default: text.length)
+ * @returns {Array<{start: number, end: number, source: string}>} - Oraciones en orden;
+ *          text.slice(start, end) es la oración y source indica si se cortó por 'punctuation' o por 'line'
+ */
+function segmentSentences(text, { language = 'auto', start = 0, end } = {}) {
+  if (!text) return [];
+
+  const limit = end === undefined ? text.length : end;
+  const resolvedLanguage = resolveLanguage(language, text.slice(start, limit));
+  const sentences = [];
+
+  // 1. Párrafos
+  const paragraphs = [];
+  let paragraphStart = start;
+  const breaks = new RegExp(PARAGRAPH_BREAK.source, 'g');
+  breaks.lastIndex = start;
+  let match;
+  while ((match = breaks.exec(text)) !== null && match.index < limit) {
+    paragraphs.push({ start: paragraphStart, end: match.index });
+    paragraphStart = Math.min(match.index + match[0].length, limit);
+  }
+  paragraphs.push({ start: paragraphStart, end: limit });
+
+  // 2. Oraciones por puntuación; las líneas sin puntuación final se separan
+  for (const paragraph of paragraphs) {
+    for (const raw of splitByPunctuation(text, paragraph.start, paragraph.end, resolvedLanguage)) {
+      const range = trimRange(text, raw);
+      if (!range) continue;
+
+      const sentence = text.slice(range.start, range.end);
+      if (!sentence.includes('\n')) {
+        sentences.push({ ...range, source: 'punctuation' });
+        continue;
+      }
+
+      sentences.push(...splitByLines(text, range));
+    }
+  }
+
+  return sentences;
+}
+
+/**
+ * Mide la calidad de una segmentación con señales de cortes dudosos
+ *
+ * @param {string} text - Texto segmentado
+ * @param {Array<{start: number, end: number, source?: string}>} sentences - Oraciones
+ * @param {string} language - 'auto', 'es' o 'en' (default: 'auto')
+ * @returns {Object} - {language, sentenceCount, avgLength, maxLength, fragments,
+ *                      lowercaseStarts, abbreviationEnds, lineSplits, suspiciousRatio}
+ */
+function getSegmentationQuality(text, sentences, language = 'auto') {
+  const resolvedLanguage = resolveLanguage(language, text);
+  const lengths = sentences.map(s => s.end - s.start);
+  const texts = sentences.map(s => text.slice(s.start, s.end));
+  const abbreviations = ABBREVIATIONS[resolvedLanguage];
+
+  // Empieza en minúscula: se cortó a mitad de oración
+  const startsLowercase = texts.map(t => /^[^\p{L}]*\p{Ll}/u.test(t));
+  // Termina en abreviatura: se cortó después de "Sr.", "pág.", etc.
+  const endsWithAbbreviation = texts.map(t => {
+    const last = t.match(/([\p{L}º]+)\.$/u);
+    return last !== null && abbreviations.includes(last[1].toLowerCase());
+  });
+  const suspicious = texts.filter((t, i) => startsLowercase[i] || endsWithAbbreviation[i]).length;
+
+  return {
+    language: resolvedLanguage,
+    sentenceCount: sentences.length,
+    avgLength: sentences.length > 0 ? Math.round(lengths.reduce((sum, l) => sum + l, 0) / sentences.length) : 0,
+    maxLength: sentences.length > 0 ? Math.max(...lengths) : 0,
+    // Oraciones de menos de 3 palabras: suelen ser cortes erróneos ("Sr.", "art.")
+    fragments: texts.filter(t => t.split(/\s+/).length < 3).length,
+    lowercaseStarts: startsLowercase.filter(Boolean).length,
+    abbreviationEnds: endsWithAbbreviation.filter(Boolean).length,
+    lineSplits: sentences.filter(s => s.source === 'line').length,
+    suspiciousRatio: sentences.length > 0 ? Number((suspicious / sentences.length).toFixed(3)) : 0
+  };
+}
+
+module.exports = {
+  SEGMENTER_LANGUAGES,
+  segmentSentences,
+  detectLanguage,
+  resolveLanguage,
+  getSegmentationQuality
+};
@@ -0,0 +1,70 @@
+/**
+ * Tokenizador Aproximado
+ *
+ * Estima cuántos tokens ocupa un texto sin cargar el vocabulario del modelo.
+ * Imita un tokenizador WordPiece/BPE: separa palabras, números y signos de puntuación
+ * y reparte las palabras largas en sub-palabras. Está calibrado para sobreestimar
+ * levemente en español, así un chunk medido con esta función no supera el límite real.
+ */
+
+// Pre-tokenización: palabras (con tildes), números o un signo suelto
+const PRE_TOKEN_PATTERN = /[\p{L}\p{M}]+|\p{N}+|[^\s\p{L}\p{M}\p{N}]/gu;
+
+// Una palabra de hasta WORD_HEAD_LENGTH letras es un token; cada SUBWORD_LENGTH letras más, otro
+const WORD_HEAD_LENGTH = 4;
+const SUBWORD_LENGTH = 3;
+
+// Dígitos por token en números largos (montos, códigos, fechas)
+const DIGITS_PER_TOKEN = 3;
+
+// Caracteres por token en texto en español (promedio conservador, incluye espacios)
+const AVG_CHARS_PER_TOKEN = 3;
+
+/**
+ * Tokens estimados de una pre-palabra
+ * @param {string} piece - Palabra, número o signo
+ * @returns {number}
+ */
+function countPieceTokens(piece) {
+  if (/^\p{N}+$/u.test(piece)) {
+    return Math.ceil(piece.length / DIGITS_PER_TOKEN);
+  }
+
+  if (piece.length <= WORD_HEAD_LENGTH) {
+    return 1;
+  }
+
+  return 1 + Math.ceil((piece.length - WORD_HEAD_LENGTH) / SUBWORD_LENGTH);
+}
+
+/**
+ * Cuenta los tokens aproximados de un texto
+ * La cuenta es aditiva: la de "a b" es la suma de la de "a" y la de "b"
+ *
+ * @param {string} text - Texto
+ * @returns {number} - Tokens estimados
+ */
+function countTokens(text) {
+  if (!text) return 0;
+
+  let tokens = 0;
+  for (const match of text.matchAll(PRE_TOKEN_PATTERN)) {
+    tokens += countPieceTokens(match[0]);
+  }
+  return tokens;
+}
+
+/**
+ * Estima los tokens de un texto a partir de su longitud en caracteres
+ * @param {number} chars - Número de caracteres
+ * @returns {number}
+ */
+function estimateTokensFromChars(chars) {
+  return Math.ceil(chars / AVG_CHARS_PER_TOKEN);
+}
+
+module.exports = {
+  countTokens,
+  estimateTokensFromChars,
+  AVG_CHARS_PER_TOKEN
+};
@@ -7,6 +7,24 @@
 const Database = require('better-sqlite3');
 const path = require('path');
 const fs = require('fs');
+const crypto = require('crypto');
+
+const MAX_TITLE_LENGTH = 60;
+
+// Title of the conversation that collects messages saved before conversations existed
+const LEGACY_CONVERSATION_TITLE = 'Historial anterior';
+
+/**
+ * Build a conversation title from its first question (cut at a word boundary)
+ */
+function titleFromQuestion(question) {
+  const text = question.replace(/\s+/g, ' ').trim();
+  if (text.length <= MAX_TITLE_LENGTH) return text;
+
+  const cut = text.slice(0, MAX_TITLE_LENGTH - 1);
+  const lastSpace = cut.lastIndexOf(' ');
+  return `${(lastSpace > MAX_TITLE_LENGTH / 2 ? cut.slice(0, lastSpace) : cut).trimEnd()}…`;
+}
 
 class UserDatabase {
   constructor(dbPath = './data/users.db') {
@@ -54,7 +72,27 @@ class UserDatabase {
         question TEXT NOT NULL,
         answer TEXT NOT NULL,
         sources TEXT,
+        conversation_id TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `);
+
+    // Databases created before conversations were tracked
+    const chatColumns = this.db.pragma('table_info(chat_history)').map(col => col.name);
+    if (!chatColumns.includes('conversation_id')) {
+      this.db.exec('ALTER TABLE chat_history ADD COLUMN conversation_id TEXT');
+      console.log('✓ Columna "conversation_id" agregada a la tabla chat_history');
+    }
+
+    // Conversation threads: messages are ordered by their chat_history id
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS conversations (
+        id TEXT PRIMARY KEY,
+        user_id INTEGER NOT NULL,
+        title TEXT NOT NULL,
         created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
         FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
       )
     `);
@@ -64,11 +102,52 @@ class UserDatabase {
       CREATE INDEX IF NOT EXISTS idx_sessions_expires ON sessions(expires_at);
       CREATE INDEX IF NOT EXISTS idx_sessions_user ON sessions(user_id);
       CREATE INDEX IF NOT EXISTS idx_chat_history_user ON chat_history(user_id);
+      CREATE INDEX IF NOT EXISTS idx_chat_history_conversation ON chat_history(user_id, conversation_id);
+      CREATE INDEX IF NOT EXISTS idx_conversations_user ON conversations(user_id, updated_at);
     `);
 
+    this.migrateChatHistoryToConversations();
+
     console.log('✓ Tablas de usuarios inicializadas');
   }
 
+  /**
+   * Create the conversations of messages that do not belong to one yet.
+   * Messages without conversation id (the old flat log) go to one conversation per user.
+   */
+  migrateChatHistoryToConversations() {
+    const groups = this.db.prepare(`
+      SELECT h.user_id, h.conversation_id, MIN(h.id) AS first_id, MIN(h.created_at) AS created_at, MAX(h.created_at) AS updated_at
+      FROM chat_history h
+      LEFT JOIN conversations c ON c.id = h.conversation_id
+      WHERE c.id IS NULL
+      GROUP BY h.user_id, h.conversation_id
+    `).all();
+
+    if (groups.length === 0) return;
+
+    const firstQuestion = this.db.prepare('SELECT question FROM chat_history WHERE id = ?');
+    const insert = this.db.prepare(`
+      INSERT INTO conversations (id, user_id, title, created_at, updated_at) VALUES (?, ?, ?, ?, ?)
+    `);
+    const assign = this.db.prepare('UPDATE chat_history SET conversation_id = ? WHERE user_id = ? AND conversation_id IS NULL');
+
+    this.db.transaction(() => {
+      for (const group of groups) {
+        if (group.conversation_id === null) {
+          const id = crypto.randomUUID();
+          insert.run(id, group.user_id, LEGACY_CONVERSATION_TITLE, group.created_at, group.updated_at);
+          assign.run(id, group.user_id);
+        } else {
+          const title = titleFromQuestion(firstQuestion.get(group.first_id).question);
+          insert.run(group.conversation_id, group.user_id, title, group.created_at, group.updated_at);
+        }
+      }
+    })();
+
+    console.log(`✓ ${groups.length} conversaciones creadas a partir del historial de chat`);
+  }
+
   /**
    * Create a new user
    */
@@ -198,15 +277,114 @@ class UserDatabase {
 
   /**
    * Save chat message to history
+   * The first message of a conversation creates it, titled after the question
    */
-  saveChatMessage(userId, question, answer, sources = null) {
+  saveChatMessage(userId, question, answer, sources = null, conversationId = null) {
     const stmt = this.db.prepare(`
-      INSERT INTO chat_history (user_id, question, answer, sources)
-      VALUES (?, ?, ?, ?)
+      INSERT INTO chat_history (user_id, question, answer, sources, conversation_id)
+      VALUES (?, ?, ?, ?, ?)
     `);
 
     const sourcesJson = sources ? JSON.stringify(sources) : null;
-    stmt.run(userId, question, answer, sourcesJson);
+
+    this.db.transaction(() => {
+      if (conversationId) {
+        this.db.prepare(`
+          INSERT OR IGNORE INTO conversations (id, user_id, title) VALUES (?, ?, ?)
+        `).run(conversationId, userId, titleFromQuestion(question));
+        this.db.prepare('UPDATE conversations SET updated_at = CURRENT_TIMESTAMP WHERE id = ?').run(conversationId);
+      }
+
+      stmt.run(userId, question, answer, sourcesJson, conversationId);
+    })();
+  }
+
+  /**
+   * Find a conversation by id
+   */
+  findConversation(conversationId) {
+    const stmt = this.db.prepare(`
+      SELECT id, user_id, title, created_at, updated_at
+      FROM conversations
+      WHERE id = ?
+    `);
+    return stmt.get(conversationId);
+  }
+
+  /**
+   * List a user's conversations, most recently active first
+   */
+  listConversations(userId, limit = 50, offset = 0) {
+    const stmt = this.db.prepare(`
+      SELECT c.id, c.title, c.created_at, c.updated_at, COUNT(h.id) AS message_count
+      FROM conversations c
+      LEFT JOIN chat_history h ON h.conversation_id = c.id
+      WHERE c.user_id = ?
+      GROUP BY c.id
+      ORDER BY c.updated_at DESC, c.rowid DESC
+      LIMIT ? OFFSET ?
+    `);
+    return stmt.all(userId, limit, offset);
+  }
+
+  /**
+   * Count a user's conversations
+   */
+  countConversations(userId) {
+    const stmt = this.db.prepare('SELECT COUNT(*) as count FROM conversations WHERE user_id = ?');
+    return stmt.get(userId).count;
+  }
+
+  /**
+   * Get every message of a conversation in order
+   */
+  getConversationMessages(conversationId) {
+    const stmt = this.db.prepare(`
+      SELECT id, question, answer, sources, created_at
+      FROM chat_history
+      WHERE conversation_id = ?
+      ORDER BY id
+    `);
+
+    return stmt.all(conversationId).map(msg => ({
+      ...msg,
+      sources: msg.sources ? JSON.parse(msg.sources) : null
+    }));
+  }
+
+  /**
+   * Rename a conversation
+   */
+  renameConversation(conversationId, title) {
+    const stmt = this.db.prepare('UPDATE conversations SET title = ? WHERE id = ?');
+    return stmt.run(title, conversationId).changes > 0;
+  }
+
+  /**
+   * Delete a conversation and its messages
+   * @returns {number} Deleted messages
+   */
+  deleteConversation(conversationId) {
+    return this.db.transaction(() => {
+      const deleted = this.db.prepare('DELETE FROM chat_history WHERE conversation_id = ?').run(conversationId).changes;
+      this.db.prepare('DELETE FROM conversations WHERE id = ?').run(conversationId);
+      return deleted;
+    })();
+  }
+
+  /**
+   * Get the last turns of a conversation, oldest first
+   */
+  getConversationTurns(userId, conversationId, limit = 4) {
+    const stmt = this.db.prepare(`
+      SELECT question, answer
+      FROM chat_history
+      WHERE user_id = ? AND conversation_id = ?
+      ORDER BY id DESC
+      LIMIT ?
+    `);
+
+    return stmt.all(userId, conversationId, limit).reverse();
   }
 
   /**
@@ -214,10 +392,10 @@ class UserDatabase {
    */
   getChatHistory(userId, limit = 50) {
     const stmt = this.db.prepare(`
-      SELECT id, question, answer, sources, created_at
+      SELECT id, question, answer, sources, conversation_id, created_at
       FROM chat_history
       WHERE user_id = ?
-      ORDER BY created_at DESC
+      ORDER BY id DESC
       LIMIT ?
     `);
 
@@ -0,0 +1,39 @@
+/**
+ * Operaciones sobre Vectores
+ *
+ * Cálculos compartidos entre el almacén de vectores y el re-ranking.
+ */
+
+/**
+ * Calcula la similitud coseno entre dos vectores
+ * @param {Array<number>|Float32Array} a - Vector A
+ * @param {Array<number>|Float32Array} b - Vector B
+ * @returns {number} - Similitud coseno (0 si alguno es nulo)
+ * @throws {Error} Si los vectores tienen distinta dimensión (espacios vectoriales distintos)
+ */
+function cosineSimilarity(a, b) {
+  if (a.length !== b.length) {
+    throw new Error(`No se pueden comparar vectores de dimensión ${a.length} y ${b.length}`);
+  }
+
+  let dotProduct = 0;
+  let magnitudeA = 0;
+  let magnitudeB = 0;
+
+  for (let i = 0; i < a.length; i++) {
+    dotProduct += a[i] * b[i];
+    magnitudeA += a[i] * a[i];
+    magnitudeB += b[i] * b[i];
+  }
+
+  magnitudeA = Math.sqrt(magnitudeA);
+  magnitudeB = Math.sqrt(magnitudeB);
+
+  if (magnitudeA === 0 || magnitudeB === 0) return 0;
+
+  return dotProduct / (magnitudeA * magnitudeB);
+}
+
+module.exports = {
+  cosineSimilarity
+};
@@ -1,20 +1,149 @@
 const Database = require('better-sqlite3');
+const fs = require('fs');
 const path = require('path');
+const HNSWIndex = require('./annIndex');
+const { getChunkIndex } = require('./contextExpansion');
+const { cosineSimilarity } = require('./vectorMath');
+
+// Colección a la que pertenecen los chunks si no se indica otra
+const DEFAULT_COLLECTION = 'default';
+
+// Proporción de nodos eliminados a partir de la cual se reconstruye el índice ANN
+const ANN_REBUILD_DELETED_RATIO = 0.3;
+
+// Palabras vacías (es/en) que no aportan a la búsqueda por palabras clave
+const KEYWORD_STOPWORDS = new Set([
+  'a', 'al', 'como', 'con', 'cual', 'cuál', 'de', 'del', 'el', 'en', 'es', 'esta', 'este', 'la', 'las',
+  'lo', 'los', 'para', 'por', 'que', 'qué', 'se', 'sin', 'su', 'sus', 'un', 'una', 'y', 'o',
+  'an', 'and', 'are', 'for', 'how', 'in', 'is', 'of', 'on', 'or', 'the', 'to', 'what', 'with'
+]);
+
+/**
+ * Convierte texto libre en una expresión MATCH de FTS5
+ * Cada término se cita como frase (conserva códigos como "AB-123") y se combinan con OR
+ * @param {string} text - Texto de la consulta
+ * @returns {string|null} - Expresión FTS5 o null si no hay términos útiles
+ */
+function buildKeywordQuery(text) {
+  const terms = text.match(/[\p{L}\p{N}]+(?:[-_./][\p{L}\p{N}]+)*/gu) || [];
+
+  const unique = [...new Set(terms
+    .filter(term => /\p{N}/u.test(term) || term.length > 1)
+    .filter(term => !KEYWORD_STOPWORDS.has(term.toLowerCase())))];
+
+  if (unique.length === 0) {
+    return null;
+  }
+
+  return unique.map(term => `"${term.replace(/"/g, '""')}"`).join(' OR ');
+}
+
+/**
+ * Normaliza el filtro de búsqueda
+ * Acepta el formato antiguo (string con nombre de archivo) por compatibilidad
+ * @param {Object|string|null} filter - Filtro de metadata
+ * @returns {Object|null} - Filtro normalizado o null si no restringe nada
+ */
+function normalizeFilter(filter) {
+  if (!filter) return null;
+  if (typeof filter === 'string') return { filenames: [filter] };
+
+  const active = hasMetadataRestrictions(filter) || Boolean(filter.collection);
+
+  return active ? filter : null;
+}
+
+/**
+ * Indica si un filtro restringe algo más que la colección
+ * (en ese caso no se puede usar directamente el índice ANN de la colección)
+ * @param {Object|null} filter - Filtro normalizado
+ * @returns {boolean}
+ */
+function hasMetadataRestrictions(filter) {
+  if (!filter) return false;
+
+  // Los índices ANN solo contienen la versión vigente de cada documento
+  return ['filenames', 'pages', 'sections', 'tags'].some(key => Array.isArray(filter[key]) && filter[key].length > 0) ||
+    filter.uploadedAfter != null || filter.uploadedBefore != null || filter.versions === 'all';
+}
+
+/**
+ * Serializa un vector de embedding a un BLOB binario (Float32 little-endian)
+ * @param {Array<number>|Float32Array} embedding - Vector de embedding
+ * @returns {Buffer} - Buffer con 4 bytes por dimensión
+ */
+function serializeEmbedding(embedding) {
+  const vector = embedding instanceof Float32Array ? embedding : Float32Array.from(embedding);
+  return Buffer.from(vector.buffer, vector.byteOffset, vector.byteLength);
+}
+
+/**
+ * Deserializa un BLOB binario a Float32Array
+ * @param {Buffer} blob - Buffer leído de SQLite
+ * @returns {Float32Array} - Vector de embedding
+ */
+function deserializeEmbedding(blob) {
+  // Float32Array requiere un offset alineado a 4 bytes; copiar si no lo está
+  if (blob.byteOffset % Float32Array.BYTES_PER_ELEMENT === 0) {
+    return new Float32Array(blob.buffer, blob.byteOffset, blob.byteLength / Float32Array.BYTES_PER_ELEMENT);
+  }
+  return new Float32Array(Uint8Array.from(blob).buffer);
+}
+
+/**
+ * Convierte una fila de la tabla collections al formato de la API
+ * @param {Object} row - Fila de SQLite
+ * @returns {Object}
+ */
+function mapCollectionRow(row) {
+  return {
+    name: row.name,
+    description: row.description,
+    topK: row.top_k,
+    similarityThreshold: row.similarity_threshold,
+    strictMode: row.strict_mode === null ? null : row.strict_mode === 1,
+    isPublic: row.is_public === 1,
+    documents: row.documents || 0,
+    chunks: row.chunks || 0,
+    createdAt: row.created_at
+  };
+}
 
 /**
  * VectorStore - Almacenamiento persistente de documentos y embeddings
  * Usa SQLite para persistencia y búsqueda eficiente de vectores
  */
 class VectorStore {
-  constructor(dbPath) {
+  /**
+   * @param {string} dbPath - Ruta de la base de datos SQLite
+   * @param {Object} options - Opciones de búsqueda
+   * @param {string} options.searchMode - 'ann' (índice HNSW) o 'exact' (escaneo lineal)
+   * @param {Object} options.hnsw - Parámetros HNSW {m, efConstruction, efSearch}
+   * @param {string} options.indexDir - Directorio de índices ANN persistidos, uno por colección
+   *                                    (default: junto a la DB)
+   * @param {string} options.embedModel - Modelo de embeddings configurado (OLLAMA_EMBED_MODEL)
+   */
+  constructor(dbPath, options = {}) {
     this.db = new Database(dbPath);
+    this.searchMode = options.searchMode || 'exact';
+    this.hnswOptions = options.hnsw || {};
+    this.indexDir = options.indexDir ||
+      path.join(path.dirname(dbPath), `${path.basename(dbPath, path.extname(dbPath))}.hnsw`);
+    this.annIndexes = null; // Map<colección, HNSWIndex> (solo en modo ann)
+    this.pendingAnnUpdates = null; // Cambios ANN aplazados hasta el commit (ver transaction)
+    this.configuredEmbedModel = options.embedModel || null;
 
     // Configuración de performance
     this.db.pragma('journal_mode = WAL'); // Write-Ahead Logging para mejor concurrencia
     this.db.pragma('synchronous = NORMAL'); // Balance entre seguridad y velocidad
     this.db.pragma('cache_size = -64000'); // 64MB de caché
+    this.db.pragma('recursive_triggers = ON'); // INSERT OR REPLACE dispara los triggers de borrado (FTS)
 
     this.initTables();
+
+    if (this.searchMode === 'ann') {
+      this.initAnnIndex();
+    }
   }
 
   /**
@@ -29,34 +158,281 @@ class VectorStore {
         id TEXT PRIMARY KEY,
         filename TEXT NOT NULL,
         text TEXT NOT NULL,
-        embedding TEXT NOT NULL,  -- JSON serializado del vector
-        page INTEGER,             -- Número de página en el PDF
+        embedding BLOB NOT NULL,  -- Vector Float32 serializado (little-endian)
+        page INTEGER,             -- Número de página en el PDF (la inicial si el chunk cruza páginas)
+        page_start INTEGER,       -- Primera página que abarca el chunk
+        page_end INTEGER,         -- Última página que abarca el chunk
+        section TEXT,             -- Sección o encabezado (formatos sin páginas)
         char_start INTEGER,       -- Posición inicial del chunk
         char_end INTEGER,         -- Posición final del chunk
+        collection TEXT NOT NULL DEFAULT 'default', -- Colección / base de conocimiento
+        version INTEGER NOT NULL DEFAULT 1,     -- Versión del documento a la que pertenece el chunk
+        is_current INTEGER NOT NULL DEFAULT 1,  -- 0 = versión reemplazada (solo búsquedas explícitas)
+        excluded INTEGER NOT NULL DEFAULT 0,    -- 1 = excluido de la recuperación por un admin
+        edited_at INTEGER,        -- Última edición manual del chunk (NULL = tal como se procesó)
+        embed_model TEXT,         -- Modelo que generó el embedding
+        dimension INTEGER,        -- Dimensión del vector
         created_at INTEGER DEFAULT (unixepoch())
       );
 
       CREATE INDEX IF NOT EXISTS idx_filename ON documents(filename);
       CREATE INDEX IF NOT EXISTS idx_created_at ON documents(created_at);
+      CREATE INDEX IF NOT EXISTS idx_collection ON documents(collection);
+    `);
+
+    // Colecciones con sus valores por defecto de búsqueda (NULL = usar config global)
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS collections (
+        name TEXT PRIMARY KEY,
+        description TEXT,
+        top_k INTEGER,
+        similarity_threshold REAL,
+        strict_mode INTEGER,
+        is_public INTEGER NOT NULL DEFAULT 1,
+        created_at INTEGER DEFAULT (unixepoch())
+      );
+
+      INSERT OR IGNORE INTO collections (name, description) VALUES ('default', 'Colección por defecto');
     `);
 
     //  Crear índice de página después de asegurar que la columna existe
     this.createPageIndex();
+
+    this.initKeywordIndex();
+
+    // Etiquetas por documento (usadas en filtros de consulta)
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS document_tags (
+        filename TEXT NOT NULL,
+        tag TEXT NOT NULL,
+        PRIMARY KEY (filename, tag)
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_document_tags_tag ON document_tags(tag);
+    `);
+
+    // Metadatos del almacén (modelo de embeddings activo, re-indexación en curso)
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS store_meta (
+        key TEXT PRIMARY KEY,
+        value TEXT
+      );
+
+      CREATE TABLE IF NOT EXISTS reembed_staging (
+        id TEXT PRIMARY KEY,
+        text TEXT NOT NULL,       -- Texto embebido (detecta chunks reemplazados durante el job)
+        embedding BLOB NOT NULL,
+        dimension INTEGER NOT NULL
+      );
+
+      -- Embeddings ya calculados de una ingesta sin terminar (para reanudarla)
+      CREATE TABLE IF NOT EXISTS ingestion_checkpoints (
+        filename TEXT NOT NULL,
+        chunk_index INTEGER NOT NULL,
+        text TEXT NOT NULL,       -- Texto embebido (si el chunking cambió, el chunk se vuelve a embeber)
+        embedding BLOB NOT NULL,
+        embed_model TEXT NOT NULL,
+        created_at INTEGER DEFAULT (unixepoch()),
+        PRIMARY KEY (filename, chunk_index)
+      );
+    `);
+
+    this.initEmbeddingModel();
+  }
+
+  /**
+   * Lee un valor de store_meta
+   * @param {string} key - Clave
+   * @returns {string|null}
+   */
+  getMeta(key) {
+    const row = this.db.prepare('SELECT value FROM store_meta WHERE key = ?').get(key);
+    return row ? row.value : null;
+  }
+
+  /**
+   * Guarda (o elimina con null) un valor de store_meta
+   * @param {string} key - Clave
+   * @param {string|number|null} value - Valor
+   */
+  setMeta(key, value) {
+    if (value === null || value === undefined) {
+      this.db.prepare('DELETE FROM store_meta WHERE key = ?').run(key);
+    } else {
+      this.db.prepare('INSERT OR REPLACE INTO store_meta (key, value) VALUES (?, ?)').run(key, String(value));
+    }
+  }
+
+  /**
+   * Determina el modelo de embeddings activo (el espacio vectorial de los chunks guardados)
+   *
+   * - Chunks anteriores al seguimiento de modelo se asignan al modelo configurado
+   * - Con la base vacía, el modelo activo sigue siempre al configurado
+   * - Si hay chunks de otro modelo, se mantiene el activo y se avisa: las consultas
+   *   seguirán usando ese modelo hasta ejecutar la re-indexación
+   */
+  initEmbeddingModel() {
+    const configured = this.configuredEmbedModel;
+    const chunkCount = this.db.prepare('SELECT COUNT(*) as count FROM documents').get().count;
+
+    if (chunkCount === 0) {
+      if (configured) {
+        this.setMeta('embed_model', configured);
+      }
+      this.setMeta('embed_dimension', null);
+      return;
+    }
+
+    let active = this.getMeta('embed_model');
+    const legacy = this.db.prepare('SELECT COUNT(*) as count FROM documents WHERE embed_model IS NULL').get().count;
+
+    if (legacy > 0) {
+      active = active || configured;
+
+      if (active) {
+        this.db.prepare(`
+          UPDATE documents SET embed_model = ?, dimension = length(embedding) / 4
+          WHERE embed_model IS NULL
+        `).run(active);
+        console.log(`✓ ${legacy} chunks existentes asignados al modelo de embeddings "${active}"`);
+      }
+    }
+
+    if (!active) return;
+
+    this.setMeta('embed_model', active);
+
+    if (this.getMeta('embed_dimension') === null) {
+      const row = this.db.prepare('SELECT dimension FROM documents WHERE embed_model = ? LIMIT 1').get(active);
+      if (row) {
+        this.setMeta('embed_dimension', row.dimension);
+      }
+    }
+
+    const others = this.db.prepare(`
+      SELECT embed_model, COUNT(*) as count FROM documents
+      WHERE embed_model != ? GROUP BY embed_model
+    `).all(active);
+
+    for (const row of others) {
+      console.warn(`⚠️  ${row.count} chunks del modelo "${row.embed_model}" no coinciden con el modelo activo "${active}" y se ignoran en las búsquedas`);
+    }
+
+    if (configured && configured !== active) {
+      console.warn(`⚠️  OLLAMA_EMBED_MODEL="${configured}" pero los vectores guardados usan "${active}".`);
+      console.warn(`   Las consultas seguirán usando "${active}" hasta re-indexar (POST /api/admin/reembed).`);
+    }
+  }
+
+  /**
+   * Modelo de embeddings activo: el que debe usarse para consultas e ingestas nuevas
+   * @returns {string|null}
+   */
+  getEmbeddingModel() {
+    return this.getMeta('embed_model') || this.configuredEmbedModel;
+  }
+
+  /**
+   * Dimensión de los vectores del modelo activo (null si aún no hay chunks)
+   * @returns {number|null}
+   */
+  getEmbeddingDimension() {
+    const value = this.getMeta('embed_dimension');
+    return value === null ? null : parseInt(value, 10);
+  }
+
+  /**
+   * Estado del espacio vectorial: modelo activo, configurado y distribución de chunks por modelo
+   * @returns {Object}
+   */
+  getEmbeddingStatus() {
+    const activeModel = this.getEmbeddingModel();
+    const models = this.db.prepare(`
+      SELECT embed_model AS model, dimension, COUNT(*) AS chunks
+      FROM documents GROUP BY embed_model, dimension ORDER BY chunks DESC
+    `).all();
+
+    return {
+      activeModel,
+      configuredModel: this.configuredEmbedModel,
+      dimension: this.getEmbeddingDimension(),
+      mismatch: Boolean(this.configuredEmbedModel && activeModel !== this.configuredEmbedModel),
+      models
+    };
+  }
+
+  /**
+   * Verifica que un embedding de consulta pertenezca al espacio vectorial activo
+   * @param {Array<number>} queryEmbedding - Vector de la consulta
+   * @throws {Error} Si la dimensión no coincide con la de los vectores guardados
+   */
+  assertQueryDimension(queryEmbedding) {
+    const dimension = this.getEmbeddingDimension();
+
+    if (dimension !== null && queryEmbedding.length !== dimension) {
+      throw new Error(
+        `El embedding de la consulta tiene dimensión ${queryEmbedding.length} pero los vectores guardados ` +
+        `(modelo "${this.getEmbeddingModel()}") tienen dimensión ${dimension}. Re-indexa los documentos con el nuevo modelo.`
+      );
+    }
+  }
+
+  /**
+   * Crea la tabla FTS5 para búsqueda por palabras clave (BM25)
+   * Se mantiene sincronizada con `documents` mediante triggers
+   */
+  initKeywordIndex() {
+    const exists = this.db.prepare("SELECT name FROM sqlite_master WHERE type='table' AND name='documents_fts'").get();
+
+    this.db.exec(`
+      CREATE VIRTUAL TABLE IF NOT EXISTS documents_fts USING fts5(
+        text,
+        content='documents',
+        content_rowid='rowid',
+        tokenize='unicode61 remove_diacritics 2'
+      );
+
+      CREATE TRIGGER IF NOT EXISTS documents_fts_insert AFTER INSERT ON documents BEGIN
+        INSERT INTO documents_fts(rowid, text) VALUES (new.rowid, new.text);
+      END;
+
+      CREATE TRIGGER IF NOT EXISTS documents_fts_delete AFTER DELETE ON documents BEGIN
+        INSERT INTO documents_fts(documents_fts, rowid, text) VALUES ('delete', old.rowid, old.text);
+      END;
+
+      CREATE TRIGGER IF NOT EXISTS documents_fts_update AFTER UPDATE OF text ON documents BEGIN
+        INSERT INTO documents_fts(documents_fts, rowid, text) VALUES ('delete', old.rowid, old.text);
+        INSERT INTO documents_fts(rowid, text) VALUES (new.rowid, new.text);
+      END;
+    `);
+
+    if (!exists) {
+      // Indexar los chunks que ya existían antes de crear la tabla FTS
+      this.rebuildKeywordIndex();
+      console.log('✓ Índice de palabras clave (FTS5) creado');
+    }
+  }
+
+  /**
+   * Reconstruye el índice FTS5 desde la tabla documents
+   */
+  rebuildKeywordIndex() {
+    this.db.exec("INSERT INTO documents_fts(documents_fts) VALUES ('rebuild')");
   }
 
   /**
    * Migración para agregar campos de ubicación a tablas existentes
    */
   migrateSchema() {
-    try {
-      // Verificar si la tabla existe
-      const tables = this.db.prepare("SELECT name FROM sqlite_master WHERE type='table' AND name='documents'").all();
+    // Verificar si la tabla existe
+    const tables = this.db.prepare("SELECT name FROM sqlite_master WHERE type='table' AND name='documents'").all();
 
-      if (tables.length === 0) {
-        // La tabla no existe aún, se creará en initTables
-        return;
-      }
+    if (tables.length === 0) {
+      // La tabla no existe aún, se creará en initTables
+      return;
+    }
 
+    try {
       // Verificar si las columnas ya existen
       const tableInfo = this.db.pragma('table_info(documents)');
       const columnNames = tableInfo.map(col => col.name);
@@ -67,6 +443,19 @@ class VectorStore {
         console.log('✓ Columna "page" agregada a la tabla documents');
       }
 
+      if (!columnNames.includes('page_start')) {
+        this.db.exec('ALTER TABLE documents ADD COLUMN page_start INTEGER');
+        this.db.exec('ALTER TABLE documents ADD COLUMN page_end INTEGER');
+        // Chunks anteriores: se asume que no cruzan páginas
+        this.db.exec('UPDATE documents SET page_start = page, page_end = page WHERE page IS NOT NULL');
+        console.log('✓ Columnas "page_start" y "page_end" agregadas a la tabla documents');
+      }
+
+      if (!columnNames.includes('section')) {
+        this.db.exec('ALTER TABLE documents ADD COLUMN section TEXT');
+        console.log('✓ Columna "section" agregada a la tabla documents');
+      }
+
       if (!columnNames.includes('char_start')) {
         this.db.exec('ALTER TABLE documents ADD COLUMN char_start INTEGER');
         console.log('✓ Columna "char_start" agregada a la tabla documents');
@@ -76,9 +465,80 @@ class VectorStore {
         this.db.exec('ALTER TABLE documents ADD COLUMN char_end INTEGER');
         console.log('✓ Columna "char_end" agregada a la tabla documents');
       }
+
+      if (!columnNames.includes('collection')) {
+        this.db.exec(`ALTER TABLE documents ADD COLUMN collection TEXT NOT NULL DEFAULT '${DEFAULT_COLLECTION}'`);
+        console.log('✓ Columna "collection" agregada a la tabla documents');
+      }
+
+      if (!columnNames.includes('version')) {
+        this.db.exec('ALTER TABLE documents ADD COLUMN version INTEGER NOT NULL DEFAULT 1');
+        this.db.exec('ALTER TABLE documents ADD COLUMN is_current INTEGER NOT NULL DEFAULT 1');
+        console.log('✓ Columnas "version" e "is_current" agregadas a la tabla documents');
+      }
+
+      if (!columnNames.includes('excluded')) {
+        this.db.exec('ALTER TABLE documents ADD COLUMN excluded INTEGER NOT NULL DEFAULT 0');
+        this.db.exec('ALTER TABLE documents ADD COLUMN edited_at INTEGER');
+        console.log('✓ Columnas "excluded" y "edited_at" agregadas a la tabla documents');
+      }
+
+      if (!columnNames.includes('embed_model')) {
+        this.db.exec('ALTER TABLE documents ADD COLUMN embed_model TEXT');
+        console.log('✓ Columna "embed_model" agregada a la tabla documents');
+      }
+
+      if (!columnNames.includes('dimension')) {
+        this.db.exec('ALTER TABLE documents ADD COLUMN dimension INTEGER');
+        console.log('✓ Columna "dimension" agregada a la tabla documents');
+      }
     } catch (error) {
       console.error('⚠️  Error en migración de schema:', error.message);
     }
+
+    // Fuera del try: con embeddings todavía en JSON las búsquedas leerían texto como
+    // vectores binarios, así que si la conversión falla el servidor no debe iniciar
+    this.migrateEmbeddingsToBinary();
+  }
+
+  /**
+   * Convierte embeddings almacenados como JSON (formato antiguo) a BLOB Float32
+   * Procesa por lotes para no cargar toda la tabla en memoria
+   */
+  migrateEmbeddingsToBinary() {
+    const pending = this.db.prepare("SELECT COUNT(*) as count FROM documents WHERE typeof(embedding) = 'text'").get().count;
+
+    if (pending === 0) {
+      return;
+    }
+
+    console.log(`⏳ Migrando ${pending} embeddings de JSON a formato binario...`);
+
+    const selectBatch = this.db.prepare(`
+      SELECT rowid, embedding FROM documents
+      WHERE typeof(embedding) = 'text'
+      LIMIT 500
+    `);
+    const update = this.db.prepare('UPDATE documents SET embedding = ? WHERE rowid = ?');
+
+    const convertBatch = this.db.transaction((rows) => {
+      for (const row of rows) {
+        let embedding;
+        try {
+          embedding = JSON.parse(row.embedding);
+        } catch (error) {
+          throw new Error(`No se pudo migrar el embedding del chunk con rowid ${row.rowid} (JSON inválido): ${error.message}`);
+        }
+        update.run(serializeEmbedding(embedding), row.rowid);
+      }
+    });
+
+    let rows;
+    while ((rows = selectBatch.all()).length > 0) {
+      convertBatch(rows);
+    }
+
+    console.log(`✓ ${pending} embeddings migrados a formato binario (Float32)`);
   }
 
   /**
@@ -98,6 +558,151 @@ class VectorStore {
     }
   }
 
+  /**
+   * Construye los índices ANN (uno por colección) a partir de las filas de SQLite
+   * Reutiliza los grafos persistidos si existen y los sincroniza con la base de datos
+   */
+  initAnnIndex() {
+    const startTime = Date.now();
+    const vectorsByCollection = new Map();
+
+    for (const { name } of this.db.prepare('SELECT name FROM collections').all()) {
+      vectorsByCollection.set(name, new Map());
+    }
+
+    const rows = this.db.prepare('SELECT id, collection, embedding FROM documents WHERE embed_model IS ? AND is_current = 1 AND excluded = 0')
+      .iterate(this.getEmbeddingModel());
+
+    for (const row of rows) {
+      if (!vectorsByCollection.has(row.collection)) {
+        vectorsByCollection.set(row.collection, new Map());
+      }
+      vectorsByCollection.get(row.collection).set(row.id, deserializeEmbedding(row.embedding));
+    }
+
+    fs.mkdirSync(this.indexDir, { recursive: true });
+    this.annIndexes = new Map();
+    let total = 0;
+
+    for (const [collection, vectorsById] of vectorsByCollection) {
+      let index = HNSWIndex.load(this.getAnnIndexPath(collection), vectorsById, this.hnswOptions);
+      let changed = false;
+
+      if (!index || index.deletedRatio > ANN_REBUILD_DELETED_RATIO) {
+        index = new HNSWIndex(this.hnswOptions);
+        changed = true;
+      }
+
+      for (const [id, vector] of vectorsById) {
+        if (!index.has(id)) {
+          index.add(id, vector);
+          changed = true;
+        }
+      }
+
+      this.annIndexes.set(collection, index);
+      total += index.size;
+
+      if (changed) {
+        this.saveAnnIndex(collection);
+      }
+    }
+
+    console.log(`✓ Índice ANN listo: ${total} vectores en ${this.annIndexes.size} colecciones (${Date.now() - startTime}ms)`);
+  }
+
+  /**
+   * Ruta del archivo de índice ANN de una colección
+   * @param {string} collection - Nombre de la colección
+   * @returns {string}
+   */
+  getAnnIndexPath(collection) {
+    return path.join(this.indexDir, `${collection}.json`);
+  }
+
+  /**
+   * Obtiene (o crea vacío) el índice ANN de una colección
+   * @param {string} collection - Nombre de la colección
+   * @returns {HNSWIndex}
+   */
+  getAnnIndex(collection) {
+    if (!this.annIndexes.has(collection)) {
+      this.annIndexes.set(collection, new HNSWIndex(this.hnswOptions));
+    }
+    return this.annIndexes.get(collection);
+  }
+
+  /**
+   * Persiste el índice ANN de una colección junto a la base de datos
+   * @param {string} collection - Nombre de la colección
+   */
+  saveAnnIndex(collection) {
+    if (!this.annIndexes || !this.annIndexes.has(collection)) return;
+
+    try {
+      this.annIndexes.get(collection).save(this.getAnnIndexPath(collection));
+    } catch (error) {
+      console.error('⚠️  Error guardando índice ANN:', error.message);
+    }
+  }
+
+  /**
+   * Reconstruye el índice ANN de una colección desde cero (descarta tombstones)
+   * @param {string} collection - Nombre de la colección
+   */
+  rebuildAnnIndex(collection) {
+    const index = new HNSWIndex(this.hnswOptions);
+
+    const rows = this.db.prepare('SELECT id, embedding FROM documents WHERE collection = ? AND embed_model IS ? AND is_current = 1 AND excluded = 0')
+      .iterate(collection, this.getEmbeddingModel());
+
+    for (const row of rows) {
+      index.add(row.id, deserializeEmbedding(row.embedding));
+    }
+
+    this.annIndexes.set(collection, index);
+    this.saveAnnIndex(collection);
+  }
+
+  /**
+   * Elimina ids de los índices ANN y reconstruye los que acumulan demasiados tombstones
+   * @param {Array<{id: string, collection: string}>} rows - Chunks eliminados
+   */
+  removeFromAnnIndexes(rows) {
+    if (!this.annIndexes || rows.length === 0) return;
+
+    this.updateAnnIndexes(() => {
+      const touched = new Set();
+      for (const row of rows) {
+        this.getAnnIndex(row.collection).remove(row.id);
+        touched.add(row.collection);
+      }
+
+      for (const collection of touched) {
+        if (this.annIndexes.get(collection).deletedRatio > ANN_REBUILD_DELETED_RATIO) {
+          this.rebuildAnnIndex(collection);
+        } else {
+          this.saveAnnIndex(collection);
+        }
+      }
+    });
+  }
+
+  /**
+   * Aplica un cambio a los índices ANN. Dentro de transaction() se aplaza hasta el commit:
+   * si la transacción falla, los índices no quedan con cambios que la base deshizo
+   * @param {Function} update - Cambio sobre los índices
+   */
+  updateAnnIndexes(update) {
+    if (!this.annIndexes) return;
+
+    if (this.pendingAnnUpdates) {
+      this.pendingAnnUpdates.push(update);
+    } else {
+      update();
+    }
+  }
+
   /**
    * Inserta un chunk de documento con su embedding
    * @param {string} id - ID único del chunk
@@ -107,106 +712,279 @@ class VectorStore {
    * @param {number} page - Número de página (opcional)
    * @param {number} charStart - Posición inicial (opcional)
    * @param {number} charEnd - Posición final (opcional)
+   * @param {string} collection - Colección del documento (opcional)
+   * @param {string} embedModel - Modelo que generó el embedding (default: modelo activo)
    */
-  insertChunk(id, filename, text, embedding, page = null, charStart = null, charEnd = null) {
-    const stmt = this.db.prepare(`
-      INSERT OR REPLACE INTO documents (id, filename, text, embedding, page, char_start, char_end)
-      VALUES (?, ?, ?, ?, ?, ?, ?)
-    `);
-
-    stmt.run(id, filename, text, JSON.stringify(embedding), page, charStart, charEnd);
+  insertChunk(id, filename, text, embedding, page = null, charStart = null, charEnd = null, collection = DEFAULT_COLLECTION, embedModel = null) {
+    this.insertChunksBatch([{ id, filename, text, embedding, page, charStart, charEnd, collection, embedModel }]);
   }
 
   /**
    * Inserta múltiples chunks en una transacción (mucho más rápido)
    * Soporta campos de ubicación opcionales en cada chunk
-   * @param {Array} chunks - Array de {id, filename, text, embedding, page?, charStart?, charEnd?}
+   * Rechaza embeddings de otro modelo o dimensión para no mezclar espacios vectoriales
+   * @param {Array} chunks - Array de {id, filename, text, embedding, page?, pageStart?, pageEnd?, section?, charStart?, charEnd?, collection?, version?, isCurrent?, excluded?, editedAt?, embedModel?}
+   * @throws {Error} Si algún chunk no pertenece al espacio vectorial activo
    */
   insertChunksBatch(chunks) {
+    const activeModel = this.getEmbeddingModel() || (chunks.find(chunk => chunk.embedModel) || {}).embedModel || null;
+    let dimension = this.getEmbeddingDimension();
+
+    for (const chunk of chunks) {
+      const model = chunk.embedModel || activeModel;
+
+      if (model !== activeModel) {
+        throw new Error(`Los embeddings se generaron con "${model}" pero el modelo activo es "${activeModel}". Vuelve a procesar el documento.`);
+      }
+
+      if (dimension === null) {
+        dimension = chunk.embedding.length;
+      } else if (chunk.embedding.length !== dimension) {
+        throw new Error(`Dimensión de embedding ${chunk.embedding.length} incompatible con la de los vectores guardados (${dimension})`);
+      }
+    }
+
     const insert = this.db.prepare(`
-      INSERT OR REPLACE INTO documents (id, filename, text, embedding, page, char_start, char_end)
-      VALUES (?, ?, ?, ?, ?, ?, ?)
+      INSERT OR REPLACE INTO documents (id, filename, text, embedding, page, page_start, page_end, section, char_start, char_end, collection, version, is_current, excluded, edited_at, embed_model, dimension)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `);
+    const findExisting = this.db.prepare('SELECT id, collection FROM documents WHERE id = ?');
+    const replaced = [];
 
     const insertMany = this.db.transaction((chunks) => {
       for (const chunk of chunks) {
+        const existing = findExisting.get(chunk.id);
+        if (existing) {
+          replaced.push(existing);
+        }
+
         insert.run(
           chunk.id,
           chunk.filename,
           chunk.text,
-          JSON.stringify(chunk.embedding),
-          chunk.page || null,
-          chunk.charStart || null,
-          chunk.charEnd || null
+          serializeEmbedding(chunk.embedding),
+          chunk.page ?? null,
+          chunk.pageStart ?? chunk.page ?? null,
+          chunk.pageEnd ?? chunk.pageStart ?? chunk.page ?? null,
+          chunk.section || null,
+          // charStart 0 es una posición válida (primer chunk)
+          chunk.charStart ?? null,
+          chunk.charEnd ?? null,
+          chunk.collection || DEFAULT_COLLECTION,
+          chunk.version ?? 1,
+          chunk.isCurrent === false ? 0 : 1,
+          chunk.excluded ? 1 : 0,
+          chunk.editedAt ?? null,
+          activeModel,
+          dimension
         );
       }
+
+      if (chunks.length > 0) {
+        this.setMeta('embed_model', activeModel);
+        this.setMeta('embed_dimension', dimension);
+      }
     });
 
     insertMany(chunks);
+
+    // Un chunk reemplazado pudo estar en otra colección
+    this.removeFromAnnIndexes(replaced);
+
+    this.updateAnnIndexes(() => {
+      const touched = new Set();
+      for (const chunk of chunks.filter(chunk => chunk.isCurrent !== false && !chunk.excluded)) {
+        const collection = chunk.collection || DEFAULT_COLLECTION;
+        this.getAnnIndex(collection).add(chunk.id, chunk.embedding);
+        touched.add(collection);
+      }
+      touched.forEach(collection => this.saveAnnIndex(collection));
+    });
   }
 
   /**
-   * Calcula la similitud coseno entre dos vectores
-   * @param {Array<number>} a - Vector A
-   * @param {Array<number>} b - Vector B
-   * @returns {number} - Similitud coseno (0-1)
+   * Prepara la tabla de staging para re-indexar con otro modelo
+   * Si el staging pertenece a otro modelo se descarta; si es del mismo, se reanuda
+   * @param {string} model - Modelo de embeddings destino
    */
-  cosineSimilarity(a, b) {
-    let dotProduct = 0;
-    let magnitudeA = 0;
-    let magnitudeB = 0;
-
-    for (let i = 0; i < a.length; i++) {
-      dotProduct += a[i] * b[i];
-      magnitudeA += a[i] * a[i];
-      magnitudeB += b[i] * b[i];
+  beginReembed(model) {
+    if (this.getMeta('reembed_model') !== model) {
+      this.db.exec('DELETE FROM reembed_staging');
+      this.setMeta('reembed_model', model);
     }
+  }
 
-    magnitudeA = Math.sqrt(magnitudeA);
-    magnitudeB = Math.sqrt(magnitudeB);
-
-    if (magnitudeA === 0 || magnitudeB === 0) return 0;
-
-    return dotProduct / (magnitudeA * magnitudeB);
+  /**
+   * Chunks que aún no tienen embedding en el staging (o cuyo texto cambió desde entonces)
+   * @param {number} limit - Tamaño máximo del lote
+   * @returns {Array<{id: string, filename: string, text: string, section: string|null}>}
+   */
+  getPendingReembedChunks(limit = 50) {
+    return this.db.prepare(`
+      SELECT d.id, d.filename, d.text, d.section FROM documents d
+      LEFT JOIN reembed_staging s ON s.id = d.id
+      WHERE s.id IS NULL OR s.text != d.text
+      LIMIT ?
+    `).all(limit);
   }
 
   /**
-   * Busca los chunks más similares a un embedding de consulta
-   * @param {Array<number>} queryEmbedding - Vector de la consulta
-   * @param {number} topK - Número de resultados a devolver
-   * @param {number} similarityThreshold - Umbral mínimo de similitud (0-1)
-   * @param {string} filenameFilter - Filtrar por nombre de archivo (opcional)
-   * @returns {Array} - Array de documentos con similarity score y metadata de ubicación
+   * Número de chunks pendientes de re-indexar
+   * @returns {number}
    */
-  searchSimilar(queryEmbedding, topK = 3, similarityThreshold = 0.3, filenameFilter = null) {
-    // Construir query con filtro opcional
-    let query = 'SELECT id, filename, text, embedding, page, char_start, char_end FROM documents';
-    const params = [];
+  countPendingReembed() {
+    return this.db.prepare(`
+      SELECT COUNT(*) as count FROM documents d
+      LEFT JOIN reembed_staging s ON s.id = d.id
+      WHERE s.id IS NULL OR s.text != d.text
+    `).get().count;
+  }
+
+  /**
+   * Guarda en el staging los embeddings nuevos de un lote
+   * @param {Array<{id: string, text: string, embedding: Array<number>}>} rows - Chunks re-embebidos
+   * @throws {Error} Si la dimensión no coincide con la de los vectores ya guardados en el staging
+   */
+  stageReembeddings(rows) {
+    const existing = this.db.prepare('SELECT dimension FROM reembed_staging LIMIT 1').get();
+    let dimension = existing ? existing.dimension : null;
 
-    if (filenameFilter) {
-      query += ' WHERE filename = ?';
-      params.push(filenameFilter);
+    for (const row of rows) {
+      if (dimension === null) {
+        dimension = row.embedding.length;
+      } else if (row.embedding.length !== dimension) {
+        throw new Error(`El modelo devolvió vectores de dimensión ${row.embedding.length} y ${dimension}`);
+      }
     }
 
-    const stmt = this.db.prepare(query);
-    const documents = stmt.all(...params);
+    const insert = this.db.prepare('INSERT OR REPLACE INTO reembed_staging (id, text, embedding, dimension) VALUES (?, ?, ?, ?)');
+    this.db.transaction(() => {
+      for (const row of rows) {
+        insert.run(row.id, row.text, serializeEmbedding(row.embedding), dimension);
+      }
+    })();
+  }
 
-    // Calcular similitudes
-    const results = documents.map(doc => {
-      const embedding = JSON.parse(doc.embedding);
-      const similarity = this.cosineSimilarity(queryEmbedding, embedding);
+  /**
+   * Sustituye atómicamente los embeddings por los del staging y activa el nuevo modelo
+   * Solo se completa si no quedan chunks pendientes (p. ej. subidos durante el job)
+   * @param {string} model - Modelo de embeddings destino
+   * @returns {boolean} - false si aún hay chunks pendientes
+   */
+  commitReembed(model) {
+    const swap = this.db.transaction(() => {
+      if (this.countPendingReembed() > 0) {
+        return false;
+      }
 
-      return {
-        id: doc.id,
-        filename: doc.filename,
-        text: doc.text,
-        similarity: similarity,
-        page: doc.page,
-        charStart: doc.char_start,
-        charEnd: doc.char_end
-      };
+      const staged = this.db.prepare('SELECT dimension FROM reembed_staging LIMIT 1').get();
+
+      this.db.exec(`
+        UPDATE documents
+        SET embedding = s.embedding, dimension = s.dimension
+        FROM reembed_staging s
+        WHERE documents.id = s.id
+      `);
+      this.db.prepare('UPDATE documents SET embed_model = ?').run(model);
+      this.db.exec('DELETE FROM reembed_staging');
+
+      this.setMeta('embed_model', model);
+      this.setMeta('embed_dimension', staged ? staged.dimension : null);
+      this.setMeta('reembed_model', null);
+      return true;
     });
 
+    if (!swap()) {
+      return false;
+    }
+
+    if (this.annIndexes) {
+      // Los grafos HNSW del modelo anterior ya no sirven
+      for (const collection of Array.from(this.annIndexes.keys())) {
+        this.rebuildAnnIndex(collection);
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * Descarta el staging de una re-indexación
+   */
+  cancelReembed() {
+    this.db.exec('DELETE FROM reembed_staging');
+    this.setMeta('reembed_model', null);
+  }
+
+  /**
+   * Embeddings guardados de una ingesta sin terminar
+   * Los de otro modelo se ignoran: no comparten espacio vectorial con el activo
+   * @param {string} filename - Nombre del archivo
+   * @param {string} model - Modelo de embeddings de la ingesta
+   * @returns {Map<number, {text: string, embedding: Array<number>}>} - Por posición del chunk
+   */
+  getIngestionCheckpoint(filename, model) {
+    const rows = this.db.prepare(`
+      SELECT chunk_index, text, embedding FROM ingestion_checkpoints WHERE filename = ? AND embed_model = ?
+    `).all(filename, model);
+
+    return new Map(rows.map(row => [row.chunk_index, { text: row.text, embedding: deserializeEmbedding(row.embedding) }]));
+  }
+
+  /**
+   * Guarda los embeddings de un lote de chunks de una ingesta en curso
+   * @param {string} filename - Nombre del archivo
+   * @param {string} model - Modelo de embeddings
+   * @param {Array<{index: number, text: string, embedding: Array<number>}>} rows - Chunks embebidos
+   */
+  saveIngestionCheckpoint(filename, model, rows) {
+    const insert = this.db.prepare(`
+      INSERT OR REPLACE INTO ingestion_checkpoints (filename, chunk_index, text, embedding, embed_model)
+      VALUES (?, ?, ?, ?, ?)
+    `);
+
+    this.db.transaction(() => {
+      for (const row of rows) {
+        insert.run(filename, row.index, row.text, serializeEmbedding(row.embedding), model);
+      }
+    })();
+  }
+
+  /**
+   * Número de chunks con embedding guardado por archivo
+   * @returns {Object<string, number>}
+   */
+  countIngestionCheckpoints() {
+    const rows = this.db.prepare('SELECT filename, COUNT(*) AS count FROM ingestion_checkpoints GROUP BY filename').all();
+    return Object.fromEntries(rows.map(row => [row.filename, row.count]));
+  }
+
+  /**
+   * Descarta los embeddings guardados de una ingesta (terminada o abandonada)
+   * @param {string} filename - Nombre del archivo
+   */
+  clearIngestionCheckpoint(filename) {
+    this.db.prepare('DELETE FROM ingestion_checkpoints WHERE filename = ?').run(filename);
+  }
+
+  /**
+   * Busca los chunks más similares a un embedding de consulta
+   * Usa el índice ANN de la colección si está activo; con filtros de metadata o en modo
+   * exacto hace escaneo lineal sobre el subconjunto filtrado
+   * @param {Array<number>} queryEmbedding - Vector de la consulta
+   * @param {number} topK - Número de resultados a devolver
+   * @param {number} similarityThreshold - Umbral mínimo de similitud (0-1)
+   * @param {Object|string} filter - Filtro de metadata (ver buildFilterClause) o nombre de archivo (opcional)
+   * @returns {Array} - Array de documentos con similarity score y metadata de ubicación
+   */
+  searchSimilar(queryEmbedding, topK = 3, similarityThreshold = 0.3, filter = null) {
+    this.assertQueryDimension(queryEmbedding);
+    filter = normalizeFilter(filter);
+
+    const results = this.annIndexes && !hasMetadataRestrictions(filter)
+      ? this.searchApproximate(queryEmbedding, topK, filter ? filter.collection : null)
+      : this.searchExact(queryEmbedding, filter);
+
     // Filtrar por threshold y ordenar por similitud descendente
     const filtered = results
       .filter(doc => doc.similarity >= similarityThreshold)
@@ -231,45 +1009,750 @@ class VectorStore {
     return deduplicated;
   }
 
+  /**
+   * Búsqueda exacta: calcula la similitud contra todos los chunks que pasan el filtro
+   * @param {Array<number>} queryEmbedding - Vector de la consulta
+   * @param {Object|string} filter - Filtro de metadata (opcional)
+   * @returns {Array} - Documentos con similarity score (sin ordenar)
+   */
+  searchExact(queryEmbedding, filter = null) {
+    // Construir query con filtro opcional (solo chunks del modelo activo)
+    const { sql: filterSql, params } = this.buildFilterClause(normalizeFilter(filter), 'AND');
+    const query = `SELECT d.id, d.filename, d.text, d.embedding, d.page, d.page_start, d.page_end, d.section, d.char_start, d.char_end, d.version FROM documents d WHERE d.embed_model IS ?${filterSql}`;
+
+    const stmt = this.db.prepare(query);
+    const documents = stmt.all(this.getEmbeddingModel(), ...params);
+
+    // Calcular similitudes
+    return documents.map(doc => {
+      const embedding = deserializeEmbedding(doc.embedding);
+      const similarity = cosineSimilarity(queryEmbedding, embedding);
+
+      return {
+        id: doc.id,
+        filename: doc.filename,
+        text: doc.text,
+        similarity: similarity,
+        page: doc.page,
+        pageStart: doc.page_start,
+        pageEnd: doc.page_end,
+        section: doc.section,
+        charStart: doc.char_start,
+        charEnd: doc.char_end,
+        version: doc.version
+      };
+    });
+  }
+
+  /**
+   * Construye la cláusula SQL de un filtro de metadata sobre la tabla `documents d`
+   *
+   * Campos soportados (todos opcionales, se combinan con AND):
+   * - filenames: Array<string> - solo estos archivos
+   * - pages: Array<{from, to}> - chunks que abarcan alguna página de los rangos
+   * - sections: Array<string> - chunks bajo alguno de estos encabezados (en cualquier nivel
+   *   de la ruta, p. ej. "Permisos" o "Manual > Permisos"; sin distinguir mayúsculas)
+   * - tags: Array<string> - documentos con al menos una de las etiquetas
+   * - uploadedAfter / uploadedBefore: number - timestamp unix (segundos) de carga
+   * - collection: string - solo chunks de esta colección
+   * - versions: 'current' | 'all' - por defecto solo la versión vigente de cada documento;
+   *   'all' incluye las versiones reemplazadas. Con `filenames` y sin `versions` se buscan
+   *   esos archivos aunque sean versiones anteriores (pedido explícito); 'current' lo impide
+   *
+   * Los chunks excluidos por un admin quedan fuera siempre, con cualquier filtro.
+   *
+   * @param {Object|null} filter - Filtro normalizado
+   * @param {string} keyword - Palabra inicial de la cláusula ('WHERE' o 'AND')
+   * @returns {{sql: string, params: Array}}
+   */
+  buildFilterClause(filter, keyword = 'WHERE') {
+    filter = filter || {};
+
+    const conditions = [];
+    const params = [];
+
+    conditions.push('d.excluded = 0');
+
+    const explicitFiles = Array.isArray(filter.filenames) && filter.filenames.length > 0;
+    if (filter.versions === 'current' || (filter.versions !== 'all' && !explicitFiles)) {
+      conditions.push('d.is_current = 1');
+    }
+
+    if (filter.collection) {
+      conditions.push('d.collection = ?');
+      params.push(filter.collection);
+    }
+
+    if (filter.filenames && filter.filenames.length > 0) {
+      conditions.push(`d.filename IN (${filter.filenames.map(() => '?').join(', ')})`);
+      params.push(...filter.filenames);
+    }
+
+    if (filter.pages && filter.pages.length > 0) {
+      // Un chunk que cruza páginas coincide si su rango [page_start, page_end] se solapa
+      conditions.push(`(${filter.pages.map(() => '(COALESCE(d.page_start, d.page) <= ? AND COALESCE(d.page_end, d.page) >= ?)').join(' OR ')})`);
+      filter.pages.forEach(range => params.push(range.to, range.from));
+    }
+
+    if (filter.sections && filter.sections.length > 0) {
+      // Coincidencia por segmentos completos de la ruta "A > B > C"
+      conditions.push(`(${filter.sections.map(() => "(' > ' || d.section || ' > ') LIKE ? ESCAPE '\\'").join(' OR ')})`);
+      filter.sections.forEach(section => params.push(`% > ${section.replace(/[\\%_]/g, char => `\\${char}`)} > %`));
+    }
+
+    if (filter.tags && filter.tags.length > 0) {
+      conditions.push(`d.filename IN (SELECT filename FROM document_tags WHERE tag IN (${filter.tags.map(() => '?').join(', ')}))`);
+      params.push(...filter.tags);
+    }
+
+    if (filter.uploadedAfter != null) {
+      conditions.push('d.created_at >= ?');
+      params.push(filter.uploadedAfter);
+    }
+
+    if (filter.uploadedBefore != null) {
+      conditions.push('d.created_at <= ?');
+      params.push(filter.uploadedBefore);
+    }
+
+    if (conditions.length === 0) {
+      return { sql: '', params: [] };
+    }
+
+    return { sql: ` ${keyword} ${conditions.join(' AND ')}`, params };
+  }
+
+  /**
+   * Búsqueda aproximada con los índices HNSW
+   * Recupera candidatos extra para compensar la deduplicación por texto
+   * @param {Array<number>} queryEmbedding - Vector de la consulta
+   * @param {number} topK - Número de resultados deseados
+   * @param {string} collection - Colección a consultar (null = todas)
+   * @returns {Array} - Documentos con similarity score (sin ordenar)
+   */
+  searchApproximate(queryEmbedding, topK, collection = null) {
+    const indexes = collection
+      ? [this.annIndexes.get(collection)].filter(Boolean)
+      : Array.from(this.annIndexes.values());
+
+    const candidates = indexes
+      .flatMap(index => index.search(queryEmbedding, topK * 4))
+      .sort((a, b) => b.similarity - a.similarity)
+      .slice(0, topK * 4);
+
+    if (candidates.length === 0) {
+      return [];
+    }
+
+    const placeholders = candidates.map(() => '?').join(', ');
+    const rows = this.db.prepare(`
+      SELECT id, filename, text, page, page_start, page_end, section, char_start, char_end, version
+      FROM documents
+      WHERE id IN (${placeholders})
+    `).all(...candidates.map(c => c.id));
+
+    const rowsById = new Map(rows.map(row => [row.id, row]));
+
+    return candidates
+      .filter(c => rowsById.has(c.id))
+      .map(c => {
+        const doc = rowsById.get(c.id);
+
+        return {
+          id: doc.id,
+          filename: doc.filename,
+          text: doc.text,
+          similarity: c.similarity,
+          page: doc.page,
+          pageStart: doc.page_start,
+          pageEnd: doc.page_end,
+          section: doc.section,
+          charStart: doc.char_start,
+          charEnd: doc.char_end,
+          version: doc.version
+        };
+      });
+  }
+
+  /**
+   * Búsqueda por palabras clave con ranking BM25 (FTS5)
+   * Encuentra términos exactos que los embeddings suelen perder: códigos, siglas, nombres
+   * @param {string} queryText - Texto de la consulta
+   * @param {number} limit - Número máximo de resultados
+   * @param {Array<number>} queryEmbedding - Vector de la consulta para calcular similarity (opcional)
+   * @param {Object|string} filter - Filtro de metadata (opcional)
+   * @returns {Array} - Documentos ordenados por relevancia BM25 (mejor primero)
+   */
+  searchKeyword(queryText, limit = 10, queryEmbedding = null, filter = null) {
+    const matchQuery = buildKeywordQuery(queryText);
+
+    if (!matchQuery) {
+      return [];
+    }
+
+    let query = `
+      SELECT d.id, d.filename, d.text, d.embedding, d.page, d.page_start, d.page_end, d.section, d.char_start, d.char_end, d.version,
+             bm25(documents_fts) AS score
+      FROM documents_fts
+      JOIN documents d ON d.rowid = documents_fts.rowid
+      WHERE documents_fts MATCH ? AND d.embed_model IS ?
+    `;
+    const params = [matchQuery, this.getEmbeddingModel()];
+
+    const filterClause = this.buildFilterClause(normalizeFilter(filter), 'AND');
+    query += filterClause.sql;
+    params.push(...filterClause.params);
+
+    query += ' ORDER BY score LIMIT ?';
+    params.push(limit);
+
+    const rows = this.db.prepare(query).all(...params);
+
+    return rows.map(doc => ({
+      id: doc.id,
+      filename: doc.filename,
+      text: doc.text,
+      // bm25() devuelve valores negativos: más negativo = más relevante
+      keywordScore: -doc.score,
+      similarity: queryEmbedding
+        ? cosineSimilarity(queryEmbedding, deserializeEmbedding(doc.embedding))
+        : undefined,
+      page: doc.page,
+      pageStart: doc.page_start,
+      pageEnd: doc.page_end,
+      section: doc.section,
+      charStart: doc.char_start,
+      charEnd: doc.char_end,
+      version: doc.version
+    }));
+  }
+
+  /**
+   * Obtiene los embeddings de un conjunto de chunks (p. ej. para re-ranking MMR)
+   * @param {Array<string>} ids - IDs de chunks
+   * @returns {Map<string, Float32Array>}
+   */
+  getEmbeddingsByIds(ids) {
+    if (ids.length === 0) {
+      return new Map();
+    }
+
+    const rows = this.db.prepare(`
+      SELECT id, embedding FROM documents
+      WHERE id IN (${ids.map(() => '?').join(', ')})
+    `).all(...ids);
+
+    return new Map(rows.map(row => [row.id, deserializeEmbedding(row.embedding)]));
+  }
+
+  /**
+   * Obtiene chunks por id (sin embeddings), p. ej. los vecinos de un resultado
+   * @param {Array<string>} ids - IDs de chunks
+   * @returns {Map<string, Object>} - id → {id, filename, text, page, pageStart, pageEnd, section, charStart, charEnd, version}
+   */
+  getChunksByIds(ids) {
+    if (ids.length === 0) {
+      return new Map();
+    }
+
+    const rows = this.db.prepare(`
+      SELECT id, filename, text, page, page_start, page_end, section, char_start, char_end, version FROM documents
+      WHERE id IN (${ids.map(() => '?').join(', ')}) AND excluded = 0
+    `).all(...ids);
+
+    return new Map(rows.map(row => [row.id, {
+      id: row.id,
+      filename: row.filename,
+      text: row.text,
+      page: row.page,
+      pageStart: row.page_start,
+      pageEnd: row.page_end,
+      section: row.section,
+      charStart: row.char_start,
+      charEnd: row.char_end,
+      version: row.version
+    }]));
+  }
+
+  /**
+   * Lista los chunks de un documento en orden de aparición (inspector de chunks)
+   * @param {string} filename - Nombre del archivo
+   * @returns {Array<Object>} - {id, index, text, page, pageStart, pageEnd, section, charStart, charEnd,
+   *   collection, version, isCurrent, excluded, editedAt, embedModel}
+   */
+  getDocumentChunks(filename) {
+    const rows = this.db.prepare(`
+      SELECT id, text, page, page_start, page_end, section, char_start, char_end, collection, version,
+        is_current, excluded, edited_at, embed_model
+      FROM documents WHERE filename = ?
+    `).all(filename);
+
+    return rows
+      .map(row => ({
+        id: row.id,
+        index: getChunkIndex(row.id),
+        text: row.text,
+        page: row.page,
+        pageStart: row.page_start,
+        pageEnd: row.page_end,
+        section: row.section,
+        charStart: row.char_start,
+        charEnd: row.char_end,
+        collection: row.collection,
+        version: row.version,
+        isCurrent: row.is_current === 1,
+        excluded: row.excluded === 1,
+        editedAt: row.edited_at,
+        embedModel: row.embed_model
+      }))
+      .sort((a, b) => a.index - b.index);
+  }
+
+  /**
+   * Indica si un chunk debe estar en el índice ANN (versión vigente, no excluido, modelo activo)
+   * @param {Object} row - Fila con is_current, excluded y embed_model
+   * @returns {boolean}
+   */
+  isAnnIndexable(row) {
+    return row.is_current === 1 && row.excluded === 0 && row.embed_model === this.getEmbeddingModel();
+  }
+
+  /**
+   * Reemplaza el texto de un chunk y su embedding (edición manual)
+   * @param {string} id - ID del chunk
+   * @param {string} text - Texto nuevo
+   * @param {Array<number>} embedding - Embedding del texto nuevo, generado con el modelo activo
+   * @param {string} previousText - Texto leído antes de generar el embedding
+   * @returns {boolean} - false si el chunk cambió mientras tanto (no se modifica)
+   * @throws {Error} Si el chunk no existe o el embedding no es del espacio vectorial activo
+   */
+  updateChunkText(id, text, embedding, previousText) {
+    const dimension = this.getEmbeddingDimension();
+    if (dimension !== null && embedding.length !== dimension) {
+      throw new Error(`Dimensión de embedding ${embedding.length} incompatible con la de los vectores guardados (${dimension})`);
+    }
+
+    const result = this.db.prepare(`
+      UPDATE documents SET text = ?, embedding = ?, embed_model = ?, dimension = ?, edited_at = unixepoch()
+      WHERE id = ? AND text = ?
+    `).run(text, serializeEmbedding(embedding), this.getEmbeddingModel(), embedding.length, id, previousText);
+
+    if (result.changes === 0) {
+      if (!this.db.prepare('SELECT 1 FROM documents WHERE id = ?').get(id)) {
+        throw new Error(`Chunk no encontrado: ${id}`);
+      }
+      return false;
+    }
+
+    this.syncAnnEntry(id);
+    return true;
+  }
+
+  /**
+   * Excluye un chunk de la recuperación o lo vuelve a incluir
+   * @param {string} id - ID del chunk
+   * @param {boolean} excluded - true = excluir
+   * @throws {Error} Si el chunk no existe
+   */
+  setChunkExcluded(id, excluded) {
+    const result = this.db.prepare('UPDATE documents SET excluded = ?, edited_at = unixepoch() WHERE id = ?')
+      .run(excluded ? 1 : 0, id);
+
+    if (result.changes === 0) {
+      throw new Error(`Chunk no encontrado: ${id}`);
+    }
+
+    this.syncAnnEntry(id);
+  }
+
+  /**
+   * Agrega o quita un chunk del índice ANN según su estado actual en la base
+   * @param {string} id - ID del chunk
+   */
+  syncAnnEntry(id) {
+    this.updateAnnIndexes(() => {
+      const row = this.db.prepare('SELECT id, collection, embedding, is_current, excluded, embed_model FROM documents WHERE id = ?').get(id);
+      if (!row) return;
+
+      if (this.isAnnIndexable(row)) {
+        this.getAnnIndex(row.collection).add(row.id, deserializeEmbedding(row.embedding));
+        this.saveAnnIndex(row.collection);
+      } else {
+        this.removeFromAnnIndexes([row]);
+      }
+    });
+  }
+
+  /**
+   * Reemplaza un tramo de chunks consecutivos de un documento por otros (unir o dividir chunks)
+   * Renumera los chunks siguientes para que los índices sigan siendo contiguos
+   * (la expansión de contexto busca los vecinos por índice)
+   *
+   * Entre la lectura de los chunks y esta llamada se generan embeddings, así que otra edición
+   * puede haber renumerado el documento: si el tramo ya no es el que se leyó, no se cambia nada
+   *
+   * @param {string} filename - Nombre del archivo
+   * @param {number} from - Índice del primer chunk reemplazado
+   * @param {Array<{id: string, text: string}>} replaced - Chunks reemplazados, tal como se leyeron
+   * @param {Array<Object>} newChunks - Chunks nuevos en orden (formato de insertChunksBatch, sin id)
+   * @returns {number|null} - Total de chunks del documento después del cambio (null si el tramo cambió)
+   */
+  spliceChunks(filename, from, replaced, newChunks) {
+    const idOf = index => `${filename}_chunk_${index}`;
+    const removeCount = replaced.length;
+    const delta = newChunks.length - removeCount;
+    const previousCount = this.getChunkCount(filename);
+
+    const applied = this.transaction(() => {
+      const currentStmt = this.db.prepare('SELECT text FROM documents WHERE id = ?');
+      const unchanged = replaced.every((chunk, offset) =>
+        chunk.id === idOf(from + offset) && currentStmt.get(chunk.id)?.text === chunk.text
+      );
+      if (!unchanged) return false;
+
+      const trailing = this.db.prepare('SELECT id FROM documents WHERE filename = ?')
+        .all(filename)
+        .map(row => ({ id: row.id, index: getChunkIndex(row.id) }))
+        .filter(row => row.index >= from + removeCount)
+        // Renumerar en el sentido que no pisa ids todavía ocupados
+        .sort((a, b) => (delta > 0 ? b.index - a.index : a.index - b.index));
+
+      const deleteStmt = this.db.prepare('DELETE FROM documents WHERE id = ?');
+      for (let index = from; index < from + removeCount; index++) {
+        deleteStmt.run(idOf(index));
+      }
+
+      if (delta !== 0) {
+        const renameStmt = this.db.prepare('UPDATE documents SET id = ? WHERE id = ?');
+        trailing.forEach(row => renameStmt.run(idOf(row.index + delta), row.id));
+      }
+
+      this.insertChunksBatch(newChunks.map((chunk, offset) => ({ ...chunk, id: idOf(from + offset), filename })));
+      return true;
+    });
+
+    if (!applied) return null;
+
+    const total = this.getChunkCount(filename);
+
+    if (this.annIndexes) {
+      // Desde `from` los ids apuntan a otros chunks: se vuelven a cargar todos desde la base
+      const rows = this.db.prepare('SELECT id, collection, embedding, is_current, excluded, embed_model FROM documents WHERE filename = ?')
+        .all(filename)
+        .filter(row => getChunkIndex(row.id) >= from);
+
+      const touched = new Set();
+      for (const row of rows.filter(row => this.isAnnIndexable(row))) {
+        this.getAnnIndex(row.collection).add(row.id, deserializeEmbedding(row.embedding));
+        touched.add(row.collection);
+      }
+      touched.forEach(collection => this.saveAnnIndex(collection));
+
+      const collection = this.getDocumentCollection(filename);
+      const stale = rows.filter(row => !this.isAnnIndexable(row));
+      for (let index = total; index < previousCount; index++) {
+        stale.push({ id: idOf(index), collection });
+      }
+      this.removeFromAnnIndexes(stale);
+    }
+
+    return total;
+  }
+
+  /**
+   * Ejecuta una función en una transacción de la base de datos
+   * DocumentRegistry e IngestionJobStore comparten la conexión, así que sus cambios
+   * quedan dentro de la misma transacción.
+   * Los cambios de los índices ANN (en memoria) se aplican recién después del commit;
+   * si fn lanza un error se descartan junto con los de la base
+   * @param {Function} fn - Función sincrónica
+   * @returns {*} - Resultado de fn
+   */
+  transaction(fn) {
+    // Anidada: sus cambios ANN esperan al commit de la transacción externa
+    if (this.pendingAnnUpdates) {
+      return this.db.transaction(fn)();
+    }
+
+    const updates = [];
+    this.pendingAnnUpdates = updates;
+
+    let result;
+    try {
+      result = this.db.transaction(fn)();
+    } finally {
+      this.pendingAnnUpdates = null;
+    }
+
+    updates.forEach(update => update());
+    return result;
+  }
+
+  /**
+   * Marca los chunks de un archivo como versión reemplazada: dejan de aparecer en las
+   * búsquedas normales pero se conservan (citas antiguas, búsquedas explícitas)
+   * @param {string} filename - Nombre del archivo de la versión anterior
+   * @returns {number} - Chunks archivados
+   */
+  archiveDocument(filename) {
+    const rows = this.db.prepare('SELECT id, collection FROM documents WHERE filename = ? AND is_current = 1').all(filename);
+
+    this.db.prepare('UPDATE documents SET is_current = 0 WHERE filename = ?').run(filename);
+    this.removeFromAnnIndexes(rows);
+
+    return rows.length;
+  }
+
+  /**
+   * Vuelve a hacer vigentes los chunks de un archivo (p. ej. al eliminar la versión que lo reemplazó)
+   * @param {string} filename - Nombre del archivo
+   * @returns {number} - Chunks reactivados
+   */
+  activateDocument(filename) {
+    const rows = this.db.prepare('SELECT id, collection, embedding, embed_model FROM documents WHERE filename = ? AND is_current = 0 AND excluded = 0')
+      .all(filename);
+
+    this.db.prepare('UPDATE documents SET is_current = 1 WHERE filename = ?').run(filename);
+
+    this.updateAnnIndexes(() => {
+      const touched = new Set();
+      for (const row of rows.filter(row => row.embed_model === this.getEmbeddingModel())) {
+        this.getAnnIndex(row.collection).add(row.id, deserializeEmbedding(row.embedding));
+        touched.add(row.collection);
+      }
+      touched.forEach(collection => this.saveAnnIndex(collection));
+    });
+
+    return rows.length;
+  }
+
   /**
    * Elimina todos los chunks de un archivo
    * @param {string} filename - Nombre del archivo a eliminar
    * @returns {number} - Número de chunks eliminados
    */
   deleteByFilename(filename) {
-    const countStmt = this.db.prepare('SELECT COUNT(*) as count FROM documents WHERE filename = ?');
-    const count = countStmt.get(filename).count;
+    const rows = this.db.prepare('SELECT id, collection FROM documents WHERE filename = ?').all(filename);
 
     const deleteStmt = this.db.prepare('DELETE FROM documents WHERE filename = ?');
     deleteStmt.run(filename);
+    this.db.prepare('DELETE FROM document_tags WHERE filename = ?').run(filename);
+    this.clearIngestionCheckpoint(filename);
+
+    this.removeFromAnnIndexes(rows);
+
+    // Sin chunks no hay espacio vectorial que preservar: adoptar el modelo configurado
+    if (this.configuredEmbedModel && this.getChunkCount() === 0) {
+      this.setMeta('embed_model', this.configuredEmbedModel);
+      this.setMeta('embed_dimension', null);
+    }
+
+    return rows.length;
+  }
+
+  /**
+   * Reemplaza las etiquetas de un documento
+   * @param {string} filename - Nombre del archivo
+   * @param {Array<string>} tags - Etiquetas (se normalizan a minúsculas)
+   * @returns {Array<string>} - Etiquetas guardadas
+   */
+  setDocumentTags(filename, tags) {
+    const normalized = [...new Set(tags.map(tag => tag.trim().toLowerCase()).filter(tag => tag.length > 0))];
 
-    return count;
+    const insert = this.db.prepare('INSERT INTO document_tags (filename, tag) VALUES (?, ?)');
+    const replaceTags = this.db.transaction(() => {
+      this.db.prepare('DELETE FROM document_tags WHERE filename = ?').run(filename);
+      for (const tag of normalized) {
+        insert.run(filename, tag);
+      }
+    });
+
+    replaceTags();
+    return normalized;
+  }
+
+  /**
+   * Obtiene las etiquetas de un documento
+   * @param {string} filename - Nombre del archivo
+   * @returns {Array<string>}
+   */
+  getDocumentTags(filename) {
+    return this.db.prepare('SELECT tag FROM document_tags WHERE filename = ? ORDER BY tag')
+      .all(filename)
+      .map(row => row.tag);
+  }
+
+  /**
+   * Lista las colecciones con su número de documentos y chunks
+   * @returns {Array<Object>}
+   */
+  listCollections() {
+    const rows = this.db.prepare(`
+      SELECT c.*, COUNT(DISTINCT CASE WHEN d.is_current = 1 THEN d.filename END) AS documents, COUNT(d.id) AS chunks
+      FROM collections c
+      LEFT JOIN documents d ON d.collection = c.name
+      GROUP BY c.name
+      ORDER BY c.name
+    `).all();
+
+    return rows.map(mapCollectionRow);
+  }
+
+  /**
+   * Obtiene una colección por nombre
+   * @param {string} name - Nombre de la colección
+   * @returns {Object|null}
+   */
+  getCollection(name) {
+    const row = this.db.prepare(`
+      SELECT c.*,
+        (SELECT COUNT(DISTINCT filename) FROM documents WHERE collection = c.name AND is_current = 1) AS documents,
+        (SELECT COUNT(*) FROM documents WHERE collection = c.name) AS chunks
+      FROM collections c
+      WHERE c.name = ?
+    `).get(name);
+
+    return row ? mapCollectionRow(row) : null;
+  }
+
+  /**
+   * Crea una colección
+   * @param {Object} collection - {name, description?, topK?, similarityThreshold?, strictMode?, isPublic?}
+   * @returns {Object} - Colección creada
+   */
+  createCollection({ name, description = null, topK = null, similarityThreshold = null, strictMode = null, isPublic = true }) {
+    this.db.prepare(`
+      INSERT INTO collections (name, description, top_k, similarity_threshold, strict_mode, is_public)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `).run(
+      name,
+      description,
+      topK,
+      similarityThreshold,
+      strictMode === null ? null : Number(strictMode),
+      Number(isPublic)
+    );
+
+    return this.getCollection(name);
+  }
+
+  /**
+   * Actualiza los valores por defecto de una colección
+   * Solo modifica los campos presentes en `settings` (null restablece el valor global)
+   * @param {string} name - Nombre de la colección
+   * @param {Object} settings - {description?, topK?, similarityThreshold?, strictMode?, isPublic?}
+   * @returns {Object} - Colección actualizada
+   */
+  updateCollection(name, settings) {
+    const columns = {
+      description: 'description',
+      topK: 'top_k',
+      similarityThreshold: 'similarity_threshold',
+      strictMode: 'strict_mode',
+      isPublic: 'is_public'
+    };
+
+    const updates = Object.keys(columns).filter(key => settings[key] !== undefined);
+
+    if (updates.length > 0) {
+      const values = updates.map(key =>
+        typeof settings[key] === 'boolean' ? Number(settings[key]) : settings[key]
+      );
+
+      this.db.prepare(`
+        UPDATE collections SET ${updates.map(key => `${columns[key]} = ?`).join(', ')}
+        WHERE name = ?
+      `).run(...values, name);
+    }
+
+    return this.getCollection(name);
+  }
+
+  /**
+   * Elimina una colección vacía
+   * @param {string} name - Nombre de la colección
+   * @returns {boolean} - true si se eliminó
+   */
+  deleteCollection(name) {
+    const result = this.db.prepare('DELETE FROM collections WHERE name = ?').run(name);
+
+    if (this.annIndexes) {
+      this.annIndexes.delete(name);
+      fs.rmSync(this.getAnnIndexPath(name), { force: true });
+    }
+
+    return result.changes > 0;
+  }
+
+  /**
+   * Mueve todos los chunks de un documento a otra colección
+   * Reutiliza los embeddings existentes (no hace falta regenerarlos)
+   * @param {string} filename - Nombre del archivo
+   * @param {string} collection - Colección destino
+   * @returns {number} - Número de chunks movidos
+   */
+  moveDocumentToCollection(filename, collection) {
+    const rows = this.db.prepare('SELECT id, collection, embedding, is_current, excluded FROM documents WHERE filename = ? AND collection != ?')
+      .all(filename, collection);
+
+    if (rows.length === 0) {
+      return 0;
+    }
+
+    this.db.prepare('UPDATE documents SET collection = ? WHERE filename = ?').run(collection, filename);
+
+    this.removeFromAnnIndexes(rows);
+    this.updateAnnIndexes(() => {
+      const index = this.getAnnIndex(collection);
+      rows.filter(row => row.is_current === 1 && row.excluded === 0).forEach(row => index.add(row.id, deserializeEmbedding(row.embedding)));
+      this.saveAnnIndex(collection);
+    });
+
+    return rows.length;
+  }
+
+  /**
+   * Obtiene la colección de un documento
+   * @param {string} filename - Nombre del archivo
+   * @returns {string|null}
+   */
+  getDocumentCollection(filename) {
+    const row = this.db.prepare('SELECT collection FROM documents WHERE filename = ? LIMIT 1').get(filename);
+    return row ? row.collection : null;
   }
 
   /**
    * Obtiene estadísticas de documentos almacenados
-   * @returns {Object} - {totalDocuments, files: {filename: count}}
+   * @param {string} collection - Limitar a una colección (opcional)
+   * @returns {Object} - {totalDocuments, files: {filename: count}, collections: {filename: collection}}
    */
-  getDocumentStats() {
+  getDocumentStats(collection = null) {
+    const where = collection ? 'WHERE collection = ?' : '';
+    const params = collection ? [collection] : [];
+
     const statsStmt = this.db.prepare(`
-      SELECT filename, COUNT(*) as count
+      SELECT filename, collection, COUNT(*) as count
       FROM documents
+      ${where}
       GROUP BY filename
       ORDER BY filename
     `);
-    const stats = statsStmt.all();
+    const stats = statsStmt.all(...params);
 
-    const totalStmt = this.db.prepare('SELECT COUNT(*) as total FROM documents');
-    const total = totalStmt.get().total;
+    const totalStmt = this.db.prepare(`SELECT COUNT(*) as total FROM documents ${where}`);
+    const total = totalStmt.get(...params).total;
 
     const files = {};
+    const collections = {};
     for (const stat of stats) {
       files[stat.filename] = stat.count;
+      collections[stat.filename] = stat.collection;
     }
 
     return {
       totalDocuments: total,
-      files: files
+      files: files,
+      collections: collections
     };
   }
 
@@ -286,10 +1769,14 @@ class VectorStore {
 
   /**
    * Obtiene el número de chunks de un archivo
-   * @param {string} filename - Nombre del archivo
+   * @param {string} filename - Nombre del archivo (opcional, sin él cuenta todos)
    * @returns {number}
    */
   getChunkCount(filename) {
+    if (filename === undefined) {
+      return this.db.prepare('SELECT COUNT(*) as count FROM documents').get().count;
+    }
+
     const stmt = this.db.prepare('SELECT COUNT(*) as count FROM documents WHERE filename = ?');
     const result = stmt.get(filename);
     return result.count;
@@ -301,6 +1788,9 @@ class VectorStore {
   optimize() {
     this.db.exec('VACUUM');
     this.db.exec('ANALYZE');
+
+    // VACUUM puede renumerar los rowid implícitos de documents
+    this.rebuildKeywordIndex();
   }
 
   /**
@@ -312,3 +1802,6 @@ class VectorStore {
 }
 
 module.exports = VectorStore;
+module.exports.DEFAULT_COLLECTION = DEFAULT_COLLECTION;
+module.exports.serializeEmbedding = serializeEmbedding;
+module.exports.deserializeEmbedding = deserializeEmbedding;